@@ -12,7 +12,8 @@ class CacheManager {
       riskAssessments: new Map(),
       liquidityData: new Map(),
       holderData: new Map(),
-      volumeData: new Map()
+      volumeData: new Map(),
+      lookupTables: new Map()
     };
     
     // TTL configurations (in milliseconds)
@@ -22,7 +23,8 @@ class CacheManager {
       riskAssessments: options.riskAssessmentsTTL || 600000,  // 10 minutes
       liquidityData: options.liquidityDataTTL || 60000,       // 1 minute
       holderData: options.holderDataTTL || 300000,           // 5 minutes
-      volumeData: options.volumeDataTTL || 120000            // 2 minutes
+      volumeData: options.volumeDataTTL || 120000,           // 2 minutes
+      lookupTables: options.lookupTablesTTL || 3600000       // 1 hour
     };
     
     // Cache limits to prevent memory bloat
@@ -32,7 +34,8 @@ class CacheManager {
       riskAssessments: options.riskAssessmentsLimit || 3000,
       liquidityData: options.liquidityDataLimit || 2000,
       holderData: options.holderDataLimit || 2000,
-      volumeData: options.volumeDataLimit || 2000
+      volumeData: options.volumeDataLimit || 2000,
+      lookupTables: options.lookupTablesLimit || 1000
     };
     
     // Statistics
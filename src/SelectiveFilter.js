@@ -82,7 +82,7 @@ class SelectiveFilter {
       }
       
       // Risk score filtering (if available)
-      if (tokenData.riskScore !== undefined && !this.passesRiskFilter(tokenData)) {
+      if (tokenData.riskReport !== undefined && !this.passesRiskFilter(tokenData)) {
         this.incrementFilterReason('risk_filter');
         return false;
       }
@@ -203,11 +203,13 @@ class SelectiveFilter {
   }
 
   /**
-   * Risk score filtering
+   * Risk score filtering against the token's risk report (0-10)
    */
   passesRiskFilter(tokenData) {
-    const riskScore = parseFloat(tokenData.riskScore);
-    return riskScore <= this.maxRiskScore;
+    const { riskReport } = tokenData;
+    if (!riskReport) return true;
+    
+    return riskReport.score <= this.maxRiskScore;
   }
 
   /**
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+
+const DEFAULT_LIST_PATH = 'data/known-tokens.json';
+const RELOAD_CHECK_MS = 60000;
+const MIN_NAME_LENGTH = 3;
+
+// Established tokens every copycat list starts from, extended by the local list file
+const ESTABLISHED_TOKENS = [
+  { mint: 'So11111111111111111111111111111111111111112', symbol: 'SOL', name: 'Wrapped SOL' },
+  { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', name: 'USD Coin' },
+  { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', name: 'Tether USD' },
+  { mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', symbol: 'JUP', name: 'Jupiter' },
+  { mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', symbol: 'RAY', name: 'Raydium' },
+  { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', name: 'Bonk' },
+  { mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', symbol: 'WIF', name: 'dogwifhat' },
+  { mint: '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr', symbol: 'POPCAT', name: 'Popcat' }
+];
+
+// Letters from other scripts and symbols that read as a latin letter
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'һ': 'h', 'ӏ': 'i', 'ԛ': 'q', 'ԝ': 'w', 'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n',
+  'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  'ɡ': 'g', 'ı': 'i', 'ȷ': 'j', 'ł': 'l', 'ø': 'o', 'ß': 'b',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '$': 's', '@': 'a', '!': 'i', '|': 'i'
+};
+
+// Emoji letter blocks NFKC leaves alone: regional indicators and squared/circled capitals
+const EMOJI_LETTER_RANGES = [
+  [0x1F1E6, 0x1F1FF],
+  [0x1F130, 0x1F149],
+  [0x1F150, 0x1F169],
+  [0x1F170, 0x1F189]
+];
+
+/**
+ * Reduce a name or ticker to the plain latin letters it reads as, e.g. "$ВОNK 🚀" and
+ * "🅱🅾🅽🅺" both become "bonk". l and 1 both read as i, so they are folded together.
+ */
+function normalizeTokenText(text) {
+  if (!text) return '';
+
+  const chars = [...text.replace(/^\s*\$+/, '').normalize('NFKC').toLowerCase()];
+  return chars.map(char => {
+    const code = char.codePointAt(0);
+    const range = EMOJI_LETTER_RANGES.find(([start, end]) => code >= start && code <= end);
+    if (range) return String.fromCharCode(97 + code - range[0]);
+
+    const base = char.normalize('NFD').replace(/\p{M}/gu, '');
+    const letter = HOMOGLYPHS[base] || base;
+    return letter === 'l' ? 'i' : letter;
+  }).join('').replace(/[^a-z]/g, '');
+}
+
+/**
+ * Similarity of two strings from 0 to 1, one minus their edit distance over the longer length
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Compares new tokens against established tokens (built in plus a local list
+ * file of { mint, symbol, name }) and tokens trending in this session, and
+ * reports the one a token appears to impersonate.
+ */
+class CopycatDetector {
+  constructor(options = {}) {
+    const copycatConfig = getConfig().get('copycat_detection') || {};
+
+    const listPath = options.listPath !== undefined
+      ? options.listPath
+      : copycatConfig.KNOWN_TOKENS_PATH || DEFAULT_LIST_PATH;
+    this.listPath = listPath ? path.resolve(__dirname, '..', listPath) : null;
+
+    this.nameSimilarity = copycatConfig.NAME_SIMILARITY || 0.85;
+    this.trendingMs = (copycatConfig.TRENDING_HOURS || 24) * 60 * 60 * 1000;
+
+    this.established = new Map(); // mint -> known token
+    this.trending = new Map(); // mint -> known token with addedAt
+    this.listModifiedAt = null;
+    this.lastReloadCheck = 0;
+
+    ESTABLISHED_TOKENS.forEach(token => this.addKnownToken(this.established, token, 'established'));
+    this.loadList();
+  }
+
+  /**
+   * Remember a token that is trending now, e.g. one that just left its bonding curve
+   */
+  addTrending({ mint, name, symbol }, now = Date.now()) {
+    if (!mint || this.established.has(mint)) return;
+    this.addKnownToken(this.trending, { mint, name, symbol, addedAt: now }, 'trending');
+  }
+
+  /**
+   * Find the known token a new token impersonates: same ticker, or a name at
+   * least NAME_SIMILARITY alike once both are normalized
+   * @returns {Object|null} { reason: 'ticker_collision'|'similar_name', similarity, target }
+   */
+  detect({ mint, name, symbol }, now = Date.now()) {
+    this.reloadIfChanged(now);
+    this.pruneTrending(now);
+
+    const normalizedSymbol = normalizeTokenText(symbol);
+    const normalizedName = normalizeTokenText(name);
+    let best = null;
+
+    for (const known of [...this.established.values(), ...this.trending.values()]) {
+      if (known.mint === mint) continue;
+
+      let match = null;
+      if (normalizedSymbol.length > 1 && normalizedSymbol === known.normalizedSymbol) {
+        match = { reason: 'ticker_collision', similarity: 1 };
+      } else if (normalizedName.length >= MIN_NAME_LENGTH && known.normalizedName.length >= MIN_NAME_LENGTH) {
+        const score = similarity(normalizedName, known.normalizedName);
+        if (score >= this.nameSimilarity) {
+          match = { reason: 'similar_name', similarity: Math.round(score * 100) / 100 };
+        }
+      }
+
+      // Ticker collisions first, then the closest name
+      if (match && (!best || (match.reason === 'ticker_collision' && best.reason !== 'ticker_collision') ||
+          (match.reason === best.reason && match.similarity > best.similarity))) {
+        best = {
+          ...match,
+          target: { mint: known.mint, symbol: known.symbol, name: known.name, list: known.list }
+        };
+      }
+    }
+
+    return best;
+  }
+
+  addKnownToken(list, token, listName) {
+    list.set(token.mint, {
+      ...token,
+      list: listName,
+      normalizedSymbol: normalizeTokenText(token.symbol),
+      normalizedName: normalizeTokenText(token.name)
+    });
+  }
+
+  pruneTrending(now) {
+    for (const [mint, token] of this.trending) {
+      if (now - token.addedAt > this.trendingMs) {
+        this.trending.delete(mint);
+      }
+    }
+  }
+
+  /**
+   * Pick up edits to the list file without a restart, checked at most once a minute
+   */
+  reloadIfChanged(now) {
+    if (!this.listPath || now - this.lastReloadCheck < RELOAD_CHECK_MS) return;
+    this.lastReloadCheck = now;
+
+    try {
+      const modifiedAt = fs.existsSync(this.listPath) ? fs.statSync(this.listPath).mtimeMs : null;
+      if (modifiedAt !== this.listModifiedAt) {
+        this.loadList();
+      }
+    } catch (error) {
+      logger.debug('Error checking known token list:', error.message);
+    }
+  }
+
+  loadList() {
+    if (!this.listPath || !fs.existsSync(this.listPath)) return;
+
+    try {
+      this.listModifiedAt = fs.statSync(this.listPath).mtimeMs;
+      const tokens = JSON.parse(fs.readFileSync(this.listPath, 'utf8'));
+
+      this.established = new Map();
+      [...ESTABLISHED_TOKENS, ...tokens]
+        .filter(token => token.mint && (token.symbol || token.name))
+        .forEach(token => this.addKnownToken(this.established, token, 'established'));
+
+      logger.info(`🪞 Loaded ${this.established.size} known tokens for copycat detection`);
+    } catch (error) {
+      logger.error(`Failed to load known tokens from ${this.listPath}:`, error.message);
+    }
+  }
+}
+
+module.exports = CopycatDetector;
\ No newline at end of file
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+
+const DEFAULT_STORE_PATH = 'data/creator-reputation.json';
+
+/**
+ * Local history of every token each creator wallet launched and how it ended:
+ * rugged, migrated off its bonding curve, abandoned or still active, with the
+ * highest market cap seen. Kept in memory; creators whose history can flag a
+ * launch are persisted to a JSON file.
+ */
+class CreatorReputation {
+  constructor(options = {}) {
+    const reputationConfig = getConfig().get('creator_reputation') || {};
+
+    const storePath = options.storePath !== undefined
+      ? options.storePath
+      : reputationConfig.STORE_PATH || DEFAULT_STORE_PATH;
+    this.storePath = storePath ? path.resolve(__dirname, '..', storePath) : null;
+
+    this.serialRuggerMinRugs = reputationConfig.SERIAL_RUGGER_MIN_RUGS || 2;
+    this.abandonedAfterMs = (reputationConfig.ABANDONED_AFTER_HOURS || 24) * 60 * 60 * 1000;
+    this.retentionMs = (reputationConfig.RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+    this.saveIntervalMs = options.saveIntervalMs || 60000;
+    this.blacklist = new Set(reputationConfig.BLACKLIST || []);
+
+    this.creators = new Map(); // creator -> Map(mint -> launch)
+    this.launchCreators = new Map(); // mint -> creator
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+
+    this.load();
+  }
+
+  /**
+   * Record a token launch by a creator
+   */
+  recordLaunch(creator, { mint, name, symbol, source, launchedAt = Date.now() }) {
+    if (!creator || !mint || this.launchCreators.has(mint)) return;
+
+    if (!this.creators.has(creator)) {
+      this.creators.set(creator, new Map());
+    }
+
+    this.creators.get(creator).set(mint, {
+      mint,
+      name: name || null,
+      symbol: symbol || null,
+      source: source || null,
+      launchedAt,
+      outcome: 'active',
+      outcomeAt: null,
+      lastActivityAt: launchedAt,
+      maxMarketCap: 0
+    });
+    this.launchCreators.set(mint, creator);
+    this.scheduleSave();
+  }
+
+  /**
+   * Record how a launch ended ('rugged' or 'migrated'). A rug is final.
+   */
+  recordOutcome(mint, outcome, timestamp = Date.now()) {
+    const launch = this.getLaunch(mint);
+    if (!launch || launch.outcome === 'rugged') return;
+
+    launch.outcome = outcome;
+    launch.outcomeAt = timestamp;
+    this.scheduleSave();
+  }
+
+  /**
+   * Note a trade on a launch, a launch nobody trades is abandoned
+   */
+  recordActivity(mint, timestamp = Date.now()) {
+    const launch = this.getLaunch(mint);
+    if (!launch || timestamp <= launch.lastActivityAt) return;
+
+    launch.lastActivityAt = timestamp;
+    this.scheduleSave();
+  }
+
+  /**
+   * Keep the highest market cap seen for a launch
+   */
+  recordMarketCap(mint, marketCap, timestamp = Date.now()) {
+    const launch = this.getLaunch(mint);
+    if (!launch) return;
+
+    this.recordActivity(mint, timestamp);
+    if (!(marketCap > launch.maxMarketCap)) return;
+
+    launch.maxMarketCap = marketCap;
+    this.scheduleSave();
+  }
+
+  getLaunch(mint) {
+    const creator = this.launchCreators.get(mint);
+    return creator ? this.creators.get(creator).get(mint) : null;
+  }
+
+  getCreator(mint) {
+    return this.launchCreators.get(mint) || null;
+  }
+
+  isBlacklisted(creator) {
+    return Boolean(creator) && this.blacklist.has(creator);
+  }
+
+  /**
+   * Summarize a creator's earlier launches
+   * @param {string} excludeMint - The token being assessed, not part of its own history
+   */
+  getCreatorStats(creator, excludeMint = null, now = Date.now()) {
+    const stats = {
+      creator,
+      launches: 0,
+      rugged: 0,
+      migrated: 0,
+      abandoned: 0,
+      active: 0,
+      maxMarketCap: 0
+    };
+
+    const launches = this.creators.get(creator);
+    if (!launches) return stats;
+
+    for (const launch of launches.values()) {
+      if (launch.mint === excludeMint) continue;
+
+      stats.launches += 1;
+      stats.maxMarketCap = Math.max(stats.maxMarketCap, launch.maxMarketCap);
+
+      if (launch.outcome === 'active') {
+        // No trade for long enough: the creator walked away
+        if (now - (launch.lastActivityAt || launch.launchedAt) > this.abandonedAfterMs) {
+          stats.abandoned += 1;
+        } else {
+          stats.active += 1;
+        }
+      } else {
+        stats[launch.outcome] += 1;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Check whether a creator's history counts as serial rugging
+   */
+  isSerialRugger(stats) {
+    return stats.rugged >= this.serialRuggerMinRugs;
+  }
+
+  /**
+   * Drop launches older than the retention period
+   */
+  prune(now = Date.now()) {
+    for (const [creator, launches] of this.creators) {
+      for (const [mint, launch] of launches) {
+        if (now - launch.launchedAt > this.retentionMs) {
+          launches.delete(mint);
+          this.launchCreators.delete(mint);
+        }
+      }
+
+      if (launches.size === 0) {
+        this.creators.delete(creator);
+      }
+    }
+  }
+
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+
+      for (const [creator, launches] of Object.entries(stored.creators || {})) {
+        this.creators.set(creator, new Map(launches.map(launch => [launch.mint, launch])));
+        launches.forEach(launch => this.launchCreators.set(launch.mint, creator));
+      }
+
+      this.prune();
+      logger.info(`📇 Loaded launch history of ${this.creators.size} creators`);
+    } catch (error) {
+      logger.error(`Failed to load creator reputation from ${this.storePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Save at most once per interval, launches arrive in bursts
+   */
+  scheduleSave() {
+    if (!this.storePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Whether a creator's history can flag their next launch. Most creators launch
+   * once and never finish, a restart only forgets those single active launches.
+   */
+  isWorthStoring(launches) {
+    return launches.size > 1 || [...launches.values()].some(launch => launch.outcome !== 'active');
+  }
+
+  /**
+   * Persist creators worth storing. Writes queue behind each other so their renames never race.
+   */
+  save() {
+    if (!this.storePath) return Promise.resolve();
+
+    this.saving = this.saving.then(() => this.writeStore());
+    return this.saving;
+  }
+
+  async writeStore() {
+    try {
+      this.prune();
+
+      const creators = {};
+      for (const [creator, launches] of this.creators) {
+        if (this.isWorthStoring(launches)) {
+          creators[creator] = [...launches.values()];
+        }
+      }
+
+      // Write then rename so a crash never leaves a truncated file
+      await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.promises.writeFile(`${this.storePath}.tmp`, JSON.stringify({ version: 1, creators }));
+      await fs.promises.rename(`${this.storePath}.tmp`, this.storePath);
+    } catch (error) {
+      logger.error('Failed to save creator reputation:', error.message);
+    }
+  }
+
+  async shutdown() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    await this.save();
+  }
+}
+
+module.exports = CreatorReputation;
\ No newline at end of file
@@ -0,0 +1,135 @@
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('./utils/logger');
+const { retryAsync } = require('./utils/helpers');
+
+const MAX_SIGNATURES = 1000;
+const MAX_CACHE_SIZE = 10000;
+
+// System program instructions that move SOL into a wallet, with the field naming the recipient
+const FUNDING_INSTRUCTIONS = {
+  transfer: 'destination',
+  transferWithSeed: 'destination',
+  createAccount: 'newAccount',
+  createAccountWithSeed: 'newAccount'
+};
+
+/**
+ * Finds who first sent SOL to a wallet: the source of the system transfer in
+ * the wallet's oldest transaction. Wallets with more history than one page of
+ * signatures are treated as established and left unresolved.
+ */
+class FundingTracer {
+  constructor(connection) {
+    this.connection = connection;
+    this.cache = new Map(); // wallet -> funding
+  }
+
+  /**
+   * @returns {Promise<{wallet, funder, lamports, signature, slot, fundedAt, reason}|null>} null when the lookup failed
+   */
+  async getFundingSource(wallet) {
+    if (this.cache.has(wallet)) {
+      return this.cache.get(wallet);
+    }
+
+    try {
+      const signatures = await retryAsync(
+        () => this.connection.getSignaturesForAddress(new PublicKey(wallet), { limit: MAX_SIGNATURES }),
+        2,
+        1000
+      );
+
+      let funding;
+      if (signatures.length === 0) {
+        funding = this.unresolved(wallet, 'no_history');
+      } else if (signatures.length === MAX_SIGNATURES) {
+        funding = this.unresolved(wallet, 'history_too_long');
+      } else {
+        // Newest first: the last signature is the wallet's first transaction
+        const first = signatures[signatures.length - 1];
+        const tx = await retryAsync(
+          () => this.connection.getParsedTransaction(first.signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+          }),
+          2,
+          1000
+        );
+
+        const transfer = tx ? this.findFundingTransfer(tx, wallet) : null;
+        funding = transfer
+          ? {
+            wallet,
+            ...transfer,
+            signature: first.signature,
+            slot: first.slot,
+            fundedAt: first.blockTime ? first.blockTime * 1000 : null,
+            reason: null
+          }
+          : this.unresolved(wallet, 'no_funding_transfer');
+      }
+
+      this.remember(wallet, funding);
+      return funding;
+    } catch (error) {
+      logger.debug(`Error tracing funding of ${wallet}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Trace several wallets a few at a time
+   * @returns {Promise<Map<string, Object>>} wallet -> funding, failed lookups left out
+   */
+  async getFundingSources(wallets, concurrency = 4) {
+    const fundings = new Map();
+
+    for (let i = 0; i < wallets.length; i += concurrency) {
+      const chunk = wallets.slice(i, i + concurrency);
+      const results = await Promise.all(chunk.map(wallet => this.getFundingSource(wallet)));
+
+      results.forEach((funding, index) => {
+        if (funding) fundings.set(chunk[index], funding);
+      });
+    }
+
+    return fundings;
+  }
+
+  /**
+   * Find the system transfer paying SOL into the wallet, top level or inner
+   */
+  findFundingTransfer(tx, wallet) {
+    const instructions = [
+      ...tx.transaction.message.instructions,
+      ...((tx.meta && tx.meta.innerInstructions) || []).flatMap(inner => inner.instructions)
+    ];
+
+    for (const ix of instructions) {
+      if (ix.program !== 'system' || !ix.parsed) continue;
+
+      const recipientField = FUNDING_INSTRUCTIONS[ix.parsed.type];
+      const { info } = ix.parsed;
+
+      if (recipientField && info[recipientField] === wallet && info.source !== wallet) {
+        return { funder: info.source, lamports: info.lamports || 0 };
+      }
+    }
+
+    return null;
+  }
+
+  unresolved(wallet, reason) {
+    return { wallet, funder: null, lamports: 0, signature: null, slot: null, fundedAt: null, reason };
+  }
+
+  remember(wallet, funding) {
+    // Funding never changes, only the size of the cache needs bounding
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(wallet, funding);
+  }
+}
+
+module.exports = FundingTracer;
\ No newline at end of file
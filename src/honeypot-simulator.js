@@ -0,0 +1,328 @@
+const {
+  PublicKey,
+  SystemProgram,
+  ComputeBudgetProgram,
+  TransactionMessage,
+  VersionedTransaction,
+  LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const {
+  NATIVE_MINT,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  unpackAccount
+} = require('@solana/spl-token');
+const { getConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+const { retryAsync } = require('./utils/helpers');
+const { QUOTE_MINTS } = require('./utils/programs');
+const { buildCpmmSwapBaseInput, decodeCpmmTradeFeeRate, getAmountOut } = require('./utils/swap-instructions');
+
+// Position of the swaps in the simulated transaction, tells which leg failed
+const BUY_INSTRUCTION = 5;
+const SELL_INSTRUCTION = 6;
+
+const MAX_STORED_LOGS = 30;
+
+// Outcomes that mean a holder cannot get out at a fair price
+const HONEYPOT_STATUSES = ['custom_program_error', 'transfer_hook_rejected', 'sell_failed', 'high_fee'];
+
+// Outcomes where the sell was never tried
+const INCONCLUSIVE_STATUSES = ['not_simulated', 'simulation_failed', 'buy_failed'];
+
+/**
+ * Detects honeypots by simulating a small buy followed by a sell of part of
+ * the bought amount against the token's Raydium CPMM SOL pool. CPMM is the
+ * Raydium pool type that accepts Token-2022 mints, where transfer fees and
+ * hooks can block or tax sells; other pools are reported as not simulated.
+ *
+ * The transaction is never signed: the configured wallet only has to exist
+ * with enough SOL to pay for the buy, and stands in for a fresh holder.
+ */
+class HoneypotSimulator {
+  constructor(connection, poolDiscovery) {
+    this.connection = connection;
+    this.poolDiscovery = poolDiscovery;
+
+    const riskConfig = getConfig().get('risk_assessment') || {};
+    this.wallet = riskConfig.HONEYPOT_SIMULATION_WALLET || null;
+    this.buyAmountSOL = riskConfig.HONEYPOT_SIMULATION_SOL || 0.01;
+    this.maxFeePercent = riskConfig.HONEYPOT_MAX_FEE_PERCENT || 10;
+  }
+
+  /**
+   * Simulate a round trip through the token's deepest CPMM SOL pool
+   * @param {string|null} hookProgramId - Transfer hook program of the mint, if any
+   * @returns {Promise<Object>} outcome with a status and the evidence behind it
+   */
+  async simulate(tokenMint, hookProgramId = null) {
+    if (!this.wallet) {
+      return { status: 'not_simulated', reason: 'no_simulation_wallet' };
+    }
+
+    const pool = await this.findSimulationPool(tokenMint);
+    if (!pool) {
+      return { status: 'not_simulated', reason: 'no_cpmm_sol_pool' };
+    }
+
+    try {
+      const plan = await this.planRoundTrip(tokenMint, pool);
+      const transaction = this.buildTransaction(plan);
+
+      const { value } = await retryAsync(
+        () => this.connection.simulateTransaction(transaction, {
+          sigVerify: false,
+          replaceRecentBlockhash: true,
+          accounts: {
+            encoding: 'base64',
+            addresses: [plan.tokenAccount.toBase58(), plan.wsolAccount.toBase58()]
+          }
+        }),
+        2,
+        1000
+      );
+
+      const outcome = this.classify(plan, value, hookProgramId);
+      logger.debug(`Honeypot simulation for ${tokenMint}: ${outcome.status}`);
+
+      return outcome;
+    } catch (error) {
+      logger.debug(`Error simulating sell for ${tokenMint}:`, error.message);
+      return { status: 'simulation_failed', dex: pool.dex, pool: pool.pool, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a simulation outcome should raise the honeypot flag
+   */
+  isHoneypot(outcome) {
+    return HONEYPOT_STATUSES.includes(outcome.status);
+  }
+
+  /**
+   * Check whether a simulation outcome says anything about selling
+   */
+  isConclusive(outcome) {
+    return Boolean(outcome) && !INCONCLUSIVE_STATUSES.includes(outcome.status);
+  }
+
+  /**
+   * Pick the CPMM pool pairing the token with the most SOL
+   */
+  async findSimulationPool(tokenMint) {
+    try {
+      const pools = (await this.poolDiscovery.findPools(tokenMint)).filter(pool => (
+        pool.dex === 'raydium_cpmm' &&
+        [pool.baseMint, pool.quoteMint].includes(QUOTE_MINTS.WSOL) &&
+        [pool.baseMint, pool.quoteMint].includes(tokenMint)
+      ));
+      if (pools.length === 0) return null;
+
+      const withReserves = await this.poolDiscovery.loadReserves(pools);
+      const solReserve = (pool) => (pool.baseMint === QUOTE_MINTS.WSOL ? pool.baseReserve : pool.quoteReserve);
+
+      return withReserves.reduce((deepest, pool) => (
+        !deepest || solReserve(pool) > solReserve(deepest) ? pool : deepest
+      ), null);
+    } catch (error) {
+      logger.debug(`Error finding simulation pool for ${tokenMint}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Work out the amounts of the round trip and what a fee-free token would return
+   */
+  async planRoundTrip(tokenMint, pool) {
+    const tokenIsBase = pool.baseMint === tokenMint;
+    const owner = new PublicKey(this.wallet);
+    const mint = new PublicKey(tokenMint);
+    const tokenProgram = new PublicKey(tokenIsBase ? pool.baseTokenProgram : pool.quoteTokenProgram);
+
+    const tokenAccount = getAssociatedTokenAddressSync(mint, owner, true, tokenProgram);
+    const wsolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, owner, true);
+
+    // Balances before the round trip, in case the wallet already holds either token
+    const [tokenInfo, wsolInfo, configInfo] = await retryAsync(
+      () => this.connection.getMultipleAccountsInfo([tokenAccount, wsolAccount, new PublicKey(pool.ammConfig)]),
+      2,
+      1000
+    );
+
+    if (!configInfo) {
+      throw new Error(`AMM config ${pool.ammConfig} not found`);
+    }
+
+    const feeRate = decodeCpmmTradeFeeRate(configInfo.data);
+    const tokenReserve = (tokenIsBase ? pool.baseReserve : pool.quoteReserve) *
+      Math.pow(10, tokenIsBase ? pool.baseDecimals : pool.quoteDecimals);
+    const solReserve = (tokenIsBase ? pool.quoteReserve : pool.baseReserve) * LAMPORTS_PER_SOL;
+
+    const amountIn = BigInt(Math.round(this.buyAmountSOL * LAMPORTS_PER_SOL));
+    const expectedTokens = getAmountOut(Number(amountIn), solReserve, tokenReserve, feeRate);
+
+    // Sell half, so a transfer fee on the buy still leaves enough to sell
+    const sellAmount = BigInt(Math.floor(expectedTokens / 2));
+    if (sellAmount === BigInt(0)) {
+      throw new Error('Pool too shallow to simulate a sell');
+    }
+
+    const expectedSol = getAmountOut(
+      Number(sellAmount),
+      tokenReserve - expectedTokens,
+      solReserve + Number(amountIn),
+      feeRate
+    );
+
+    return {
+      tokenMint,
+      pool,
+      owner,
+      tokenAccount,
+      wsolAccount,
+      tokenProgram,
+      amountIn,
+      sellAmount,
+      expectedTokens,
+      expectedSol,
+      preToken: this.readAmount(tokenAccount, tokenInfo),
+      preWsol: this.readAmount(wsolAccount, wsolInfo)
+    };
+  }
+
+  /**
+   * Build the unsigned buy-then-sell transaction
+   */
+  buildTransaction(plan) {
+    const { pool, owner, tokenAccount, wsolAccount, tokenProgram } = plan;
+
+    const instructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400000 }),
+      createAssociatedTokenAccountIdempotentInstruction(owner, tokenAccount, owner, new PublicKey(plan.tokenMint), tokenProgram),
+      createAssociatedTokenAccountIdempotentInstruction(owner, wsolAccount, owner, NATIVE_MINT),
+      SystemProgram.transfer({ fromPubkey: owner, toPubkey: wsolAccount, lamports: plan.amountIn }),
+      createSyncNativeInstruction(wsolAccount),
+      buildCpmmSwapBaseInput({
+        pool,
+        payer: owner,
+        inputAccount: wsolAccount,
+        outputAccount: tokenAccount,
+        inputMint: QUOTE_MINTS.WSOL,
+        amountIn: plan.amountIn
+      }),
+      buildCpmmSwapBaseInput({
+        pool,
+        payer: owner,
+        inputAccount: tokenAccount,
+        outputAccount: wsolAccount,
+        inputMint: plan.tokenMint,
+        amountIn: plan.sellAmount
+      })
+    ];
+
+    const message = new TransactionMessage({
+      payerKey: owner,
+      recentBlockhash: PublicKey.default.toBase58(), // replaced by the RPC node
+      instructions
+    }).compileToV0Message();
+
+    return new VersionedTransaction(message);
+  }
+
+  /**
+   * Turn a simulation result into an outcome
+   */
+  classify(plan, value, hookProgramId) {
+    const logs = value.logs || [];
+    const outcome = {
+      dex: plan.pool.dex,
+      pool: plan.pool.pool,
+      unitsConsumed: value.unitsConsumed || null
+    };
+
+    if (value.err) {
+      const failure = this.parseFailure(value.err, logs);
+      let failedLeg = 'setup';
+      if (failure.instructionIndex === BUY_INSTRUCTION) failedLeg = 'buy';
+      if (failure.instructionIndex === SELL_INSTRUCTION) failedLeg = 'sell';
+
+      let status = failedLeg === 'buy' ? 'buy_failed' : 'simulation_failed';
+      if (failedLeg === 'sell') {
+        if (hookProgramId && failure.failingProgram === hookProgramId) {
+          status = 'transfer_hook_rejected';
+        } else if (failure.customCode !== null) {
+          status = 'custom_program_error';
+        } else {
+          status = 'sell_failed';
+        }
+      }
+
+      return {
+        status,
+        ...outcome,
+        failedLeg,
+        ...failure,
+        logs: logs.slice(-MAX_STORED_LOGS)
+      };
+    }
+
+    const [tokenAfter, wsolAfter] = value.accounts || [];
+    const received = this.readSimulatedAmount(plan.tokenAccount, tokenAfter) - plan.preToken + plan.sellAmount;
+    const solOut = this.readSimulatedAmount(plan.wsolAccount, wsolAfter) - plan.preWsol;
+
+    // Whatever the constant product does not explain was taken by the token
+    const feePercent = (actual, expected) => Math.max(0, Math.round((1 - Number(actual) / expected) * 10000) / 100);
+    const buyFeePct = feePercent(received, plan.expectedTokens);
+    const sellFeePct = feePercent(solOut, plan.expectedSol);
+
+    return {
+      status: Math.max(buyFeePct, sellFeePct) > this.maxFeePercent ? 'high_fee' : 'sellable',
+      ...outcome,
+      buyFeePct,
+      sellFeePct
+    };
+  }
+
+  /**
+   * Locate the failing instruction and program of a simulation error
+   */
+  parseFailure(err, logs) {
+    const [instructionIndex, detail] = err.InstructionError || [null, err];
+    const customCode = detail && typeof detail === 'object' && 'Custom' in detail ? detail.Custom : null;
+
+    // The innermost failing program logs its failure first
+    const failedLog = logs.find(log => /^Program \w+ failed: /.test(log));
+
+    return {
+      instructionIndex,
+      customCode,
+      failingProgram: failedLog ? failedLog.split(' ')[1] : null,
+      error: failedLog ? failedLog.replace(/^Program \w+ failed: /, '') : JSON.stringify(err)
+    };
+  }
+
+  /**
+   * Raw balance of a token account, zero when it does not exist
+   */
+  readAmount(address, accountInfo) {
+    if (!accountInfo) return BigInt(0);
+    return unpackAccount(address, accountInfo, accountInfo.owner).amount;
+  }
+
+  /**
+   * Raw balance of a token account returned by simulateTransaction
+   */
+  readSimulatedAmount(address, account) {
+    if (!account) return BigInt(0);
+
+    const owner = new PublicKey(account.owner);
+    return this.readAmount(address, {
+      ...account,
+      owner,
+      data: Buffer.from(account.data[0], 'base64')
+    });
+  }
+}
+
+module.exports = HoneypotSimulator;
\ No newline at end of file
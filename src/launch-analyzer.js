@@ -0,0 +1,176 @@
+const { getConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+const { clusterByFunding } = require('./utils/wallet-clusters');
+
+const MAX_LAUNCHES = 5000;
+const MAX_TRACED_BUYERS = 20;
+
+/**
+ * Follows the wallets buying a token in the first slots after its creation and,
+ * once that window is over, splits them into bundlers and snipers:
+ *
+ * - bundlers bought in the creation slot, were funded by the creator or by another
+ *   early buyer, or share a funding wallet with another early buyer
+ * - snipers are the remaining early buyers, buying fast but on their own
+ *
+ * Holdings are the net of every buy and sell seen from those wallets, so a bundle
+ * that already dumped no longer counts against the token.
+ */
+class LaunchAnalyzer {
+  constructor(fundingTracer) {
+    this.fundingTracer = fundingTracer;
+
+    const riskConfig = getConfig().get('risk_assessment') || {};
+    this.windowSlots = riskConfig.SNIPER_WINDOW_SLOTS || 10;
+
+    this.launches = new Map(); // mint -> { creationSlot, creator, buyers }
+    this.latestSlot = 0;
+  }
+
+  /**
+   * Keep track of the chain's progress, closes the windows of earlier launches
+   */
+  observeSlot(slot) {
+    if (slot > this.latestSlot) {
+      this.latestSlot = slot;
+    }
+  }
+
+  /**
+   * Start following a token created in the given slot
+   */
+  startLaunch(mint, { slot, creator = null }) {
+    if (!slot || this.launches.has(mint)) return;
+
+    if (this.launches.size >= MAX_LAUNCHES) {
+      this.launches.delete(this.launches.keys().next().value);
+    }
+
+    this.launches.set(mint, { mint, creationSlot: slot, creator, buyers: new Map() });
+    this.observeSlot(slot);
+  }
+
+  forget(mint) {
+    this.launches.delete(mint);
+  }
+
+  /**
+   * Record a trade; wallets are followed from their first buy inside the window
+   */
+  recordTrade(mint, { slot, trader, side, tokenAmount = 0 }) {
+    if (slot) this.observeSlot(slot);
+
+    const launch = this.launches.get(mint);
+    if (!launch || !trader || trader === launch.creator) return;
+
+    let buyer = launch.buyers.get(trader);
+    if (!buyer) {
+      if (side !== 'buy' || !slot || slot > launch.creationSlot + this.windowSlots) return;
+
+      buyer = { wallet: trader, firstSlot: slot, bought: 0, sold: 0 };
+      launch.buyers.set(trader, buyer);
+    }
+
+    if (side === 'buy') {
+      buyer.bought += tokenAmount;
+    } else {
+      buyer.sold += tokenAmount;
+    }
+  }
+
+  hasLaunch(mint) {
+    return this.launches.has(mint);
+  }
+
+  isWindowClosed(mint) {
+    const launch = this.launches.get(mint);
+    return Boolean(launch) && this.latestSlot > launch.creationSlot + this.windowSlots;
+  }
+
+  /**
+   * Cluster the early buyers and measure what they still hold
+   * @param {number} supply - Total supply in tokens
+   * @returns {Promise<Object|null>} null while the window is open or for unknown launches
+   */
+  async analyze(mint, supply) {
+    if (!this.isWindowClosed(mint) || !(supply > 0)) return null;
+
+    const launch = this.launches.get(mint);
+    const holding = (buyer) => Math.max(0, buyer.bought - buyer.sold);
+    const pctOf = (amount) => Math.round((amount / supply) * 10000) / 100;
+
+    // Funding lookups cost two calls each, only the largest early buyers are traced
+    const buyers = [...launch.buyers.values()].sort((a, b) => b.bought - a.bought);
+    const traced = buyers.slice(0, MAX_TRACED_BUYERS).map(buyer => buyer.wallet);
+    const fundings = traced.length > 0
+      ? await this.fundingTracer.getFundingSources(traced)
+      : new Map();
+
+    const clusters = this.clusterBuyers(launch, buyers, fundings);
+
+    const bundlers = new Set();
+    for (const cluster of clusters) {
+      const bundled = cluster.wallets.length > 1 || cluster.creatorFunded || cluster.creationSlot;
+      if (bundled) cluster.wallets.forEach(wallet => bundlers.add(wallet));
+    }
+
+    let bundledAmount = 0;
+    let snipedAmount = 0;
+    for (const buyer of buyers) {
+      if (bundlers.has(buyer.wallet)) {
+        bundledAmount += holding(buyer);
+      } else {
+        snipedAmount += holding(buyer);
+      }
+    }
+
+    const largest = clusters
+      .map(cluster => ({
+        funder: cluster.funder,
+        wallets: cluster.wallets,
+        pct: pctOf(cluster.wallets.reduce((total, wallet) => total + holding(launch.buyers.get(wallet)), 0))
+      }))
+      .filter(cluster => cluster.wallets.length > 1)
+      .sort((a, b) => b.pct - a.pct)[0] || null;
+
+    const analysis = {
+      creationSlot: launch.creationSlot,
+      windowSlots: this.windowSlots,
+      earlyBuyers: buyers.length,
+      creationSlotBuyers: buyers.filter(buyer => buyer.firstSlot === launch.creationSlot).length,
+      tracedBuyers: fundings.size,
+      bundlers: bundlers.size,
+      snipers: buyers.length - bundlers.size,
+      bundledPct: pctOf(bundledAmount),
+      sniperPct: pctOf(snipedAmount),
+      heldPct: pctOf(bundledAmount + snipedAmount),
+      largestCluster: largest
+    };
+
+    logger.debug(`Launch of ${mint}: ${analysis.bundlers} bundlers hold ${analysis.bundledPct}%, ${analysis.snipers} snipers hold ${analysis.sniperPct}%`);
+
+    return analysis;
+  }
+
+  /**
+   * Group early buyers linked by a shared funder, by funding each other or by
+   * buying in the creation slot
+   * @returns {Array<{wallets: string[], funder: string|null, creationSlot: boolean, creatorFunded: boolean}>}
+   */
+  clusterBuyers(launch, buyers, fundings) {
+    // Landing in the same slot as the create instruction takes a bundle
+    const sameSlot = buyers.filter(buyer => buyer.firstSlot === launch.creationSlot);
+    const links = sameSlot.slice(1).map(buyer => [buyer.wallet, sameSlot[0].wallet]);
+
+    return clusterByFunding(buyers.map(buyer => buyer.wallet), fundings, links).map(cluster => ({
+      ...cluster,
+      creationSlot: cluster.wallets.some(wallet => launch.buyers.get(wallet).firstSlot === launch.creationSlot),
+      creatorFunded: cluster.wallets.some(wallet => {
+        const funding = fundings.get(wallet);
+        return Boolean(funding && funding.funder === launch.creator);
+      })
+    }));
+  }
+}
+
+module.exports = LaunchAnalyzer;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const { PublicKey } = require('@solana/web3.js');
+const { unpackMint } = require('@solana/spl-token');
+const logger = require('./utils/logger');
+const { retryAsync } = require('./utils/helpers');
+const { PROGRAM_IDS, isTokenProgram } = require('./utils/programs');
+const { getMetadataAddress, decodeMetaplexMetadata, getToken2022Metadata } = require('./utils/token-metadata');
+
+/**
+ * Reads a mint together with its name, symbol and URI. Token-2022 mints may
+ * carry their metadata in the mint itself, every other mint has it in a
+ * Metaplex metadata account; both are fetched in one call.
+ */
+class MetadataFetcher {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} mint fields and tokenMetadata: { source, name, symbol, uri,
+   *   updateAuthority, isMutable }, plus mintInfo, the unpacked mint in the shape the risk
+   *   assessment reads; null when the mint has no metadata
+   */
+  async fetchMetadata(tokenMint) {
+    try {
+      const mintAddress = new PublicKey(tokenMint);
+      const [mintAccount, metadataAccount] = await retryAsync(
+        () => this.connection.getMultipleAccountsInfo([mintAddress, new PublicKey(getMetadataAddress(tokenMint))]),
+        2,
+        1000
+      );
+
+      if (!mintAccount || !isTokenProgram(mintAccount.owner.toBase58())) {
+        return null;
+      }
+
+      const mintInfo = unpackMint(mintAddress, mintAccount, mintAccount.owner);
+      const tokenProgram = mintAccount.owner.toBase58();
+      const tokenMetadata = this.readMetadata(mintInfo, metadataAccount);
+
+      return {
+        supply: mintInfo.supply.toString(),
+        decimals: mintInfo.decimals,
+        mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toBase58() : null,
+        freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toBase58() : null,
+        tokenProgram,
+        tokenMetadata,
+        mintInfo: { ...mintInfo, tokenProgram, tokenMetadata }
+      };
+    } catch (error) {
+      logger.debug(`Error fetching metadata for ${tokenMint}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read the metadata of an unpacked mint, preferring the metadata embedded in a
+   * Token-2022 mint over a Metaplex account
+   * @param {Object|null} metadataAccount - The mint's Metaplex metadata account, if it exists
+   */
+  readMetadata(mintInfo, metadataAccount) {
+    try {
+      const embedded = getToken2022Metadata(mintInfo);
+      if (embedded) return embedded;
+
+      if (metadataAccount && metadataAccount.owner.toBase58() === PROGRAM_IDS.METAPLEX_METADATA) {
+        return decodeMetaplexMetadata(metadataAccount.data);
+      }
+    } catch (error) {
+      logger.debug(`Error decoding metadata of ${mintInfo.address.toBase58()}:`, error.message);
+    }
+
+    return null;
+  }
+}
+
+module.exports = MetadataFetcher;
\ No newline at end of file
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
 const { Connection, PublicKey } = require('@solana/web3.js');
+const { unpackMint } = require('@solana/spl-token');
 const WebSocket = require('ws');
 const { getConfig } = require('./utils/config');
 const VolumeTracker = require('./volume-tracker');
+const PoolDiscovery = require('./pool-discovery');
 const RiskAssessor = require('./risk-assessor');
 const TelegramBot = require('./telegram-bot');
 const logger = require('./utils/logger');
@@ -13,6 +15,16 @@ const RequestQueue = require('./RequestQueue');
 const BatchManager = require('./BatchManager');
 const SelectiveFilter = require('./SelectiveFilter');
 const CacheManager = require('./CacheManager');
+const RaydiumDecoder = require('./raydium-decoder');
+const PumpfunDecoder = require('./pumpfun-decoder');
+const CreatorReputation = require('./creator-reputation');
+const CopycatDetector = require('./copycat-detector');
+const FundingTracer = require('./funding-tracer');
+const LaunchAnalyzer = require('./launch-analyzer');
+const MetadataFetcher = require('./metadata-fetcher');
+const { PROGRAM_IDS, QUOTE_MINTS, KNOWN_ACCOUNTS, isTokenProgram } = require('./utils/programs');
+const { normalizeTransaction, flattenInstructions, getAccountKeys } = require('./utils/transaction');
+const { getMetadataAddress } = require('./utils/token-metadata');
 
 class SolanaMemecoinMonitor {
   constructor() {
@@ -21,9 +33,14 @@ class SolanaMemecoinMonitor {
     this.connection = null;
     this.wsConnection = null;
     this.volumeTracker = null;
+    this.poolDiscovery = null;
     this.riskAssessor = null;
     this.telegramBot = null;
-    this.subscriptionIds = new Set();
+    this.raydiumDecoder = new RaydiumDecoder();
+    this.pumpfunDecoder = new PumpfunDecoder();
+    this.subscriptionIds = new Set(); // logsSubscribe subscription ids
+    this.pendingLogSubscriptions = new Map(); // request id -> program
+    this.logsRequestId = 0;
     this.isRunning = false;
     this.reconnectAttempts = 0;
     
@@ -31,6 +48,36 @@ class SolanaMemecoinMonitor {
     this.trackedTokens = new Map();
     this.alertedTokens = new Map(); // Track cooldowns
     
+    // The same transaction is delivered once per matching subscription
+    this.recentSignatures = new Map(); // signature -> timestamp
+    this.signatureTTL = 120000; // 2 minutes
+    
+    // Pool vaults watched for liquidity pulls
+    this.watchedPools = new Map(); // pool -> { tokenMint, dex, vault, quoteMint, history, subscriptionId }
+    this.vaultSubscriptions = new Map(); // subscription id -> pool
+    this.pendingVaultSubscriptions = new Map(); // request id -> pool
+    this.vaultRequestId = 0;
+    this.rugDropPercent = this.config.get('monitoring.RUG_RESERVE_DROP_PERCENT') || 50;
+    this.rugDropWindowMs = (this.config.get('monitoring.RUG_DROP_WINDOW_SECONDS') || 60) * 1000;
+    
+    // Mint and metadata accounts of tracked tokens, watched for authority, supply and metadata changes
+    this.watchedMintAccounts = new Map(); // account -> { tokenMint, kind, subscriptionId }
+    this.mintSubscriptions = new Map(); // subscription id -> account
+    this.pendingMintSubscriptions = new Map(); // request id -> account
+    this.mintRequestId = 0;
+    this.riskRefreshTimers = new Map(); // token mint -> timer
+    this.riskRefreshDelayMs = 2000;
+    // Every watch is re-sent on reconnect, quiet and old tokens give theirs up
+    this.mintWatchIdleMs = (this.config.get('monitoring.MINT_WATCH_IDLE_MINUTES') || 60) * 60 * 1000;
+    this.mintWatchMaxAgeMs = (this.config.get('monitoring.MINT_WATCH_MAX_AGE_HOURS') || 24) * 60 * 60 * 1000;
+    
+    // Follow-ups once a token crosses a market cap (USD) or bonding curve progress (%) milestone
+    this.marketCapMilestones = this.config.get('monitoring.MARKET_CAP_MILESTONES_USD') || [50000, 100000, 500000, 1000000];
+    this.curveMilestones = this.config.get('monitoring.CURVE_PROGRESS_MILESTONES') || [50, 80, 95];
+    
+    // Tokens alerted on while their launch window was still open
+    this.pendingLaunchAnalyses = new Set(); // token mint
+    
     // Optimization components
     this.requestQueue = new RequestQueue();
     this.batchManager = new BatchManager();
@@ -49,7 +96,8 @@ class SolanaMemecoinMonitor {
       liquidityDataTTL: 30000,    // 30 seconds for liquidity
       volumeDataTTL: 60000,       // 1 minute for volume
       tokenMetadataTTL: 900000,   // 15 minutes for metadata
-      riskAssessmentsTTL: 1800000 // 30 minutes for risk assessments
+      riskAssessmentsTTL: 1800000, // 30 minutes for risk assessments
+      lookupTablesTTL: 3600000    // 1 hour for address lookup tables
     });
     
     this.initialize();
@@ -63,8 +111,22 @@ class SolanaMemecoinMonitor {
       await this.setupConnections();
       
       // Initialize components
-      this.volumeTracker = new VolumeTracker(this.connection);
-      this.riskAssessor = new RiskAssessor(this.connection);
+      // Liquidity and LP checks share one pool index per mint
+      this.poolDiscovery = new PoolDiscovery(this.connection);
+      this.creatorReputation = new CreatorReputation();
+      this.fundingTracer = new FundingTracer(this.connection);
+      this.launchAnalyzer = new LaunchAnalyzer(this.fundingTracer);
+      this.metadataFetcher = new MetadataFetcher(this.connection);
+      this.volumeTracker = new VolumeTracker(this.connection, this.poolDiscovery);
+      this.copycatDetector = new CopycatDetector();
+      this.riskAssessor = new RiskAssessor(
+        this.connection,
+        this.poolDiscovery,
+        this.batchManager,
+        this.creatorReputation,
+        this.copycatDetector,
+        this.fundingTracer
+      );
       
       if (!this.config.isDryRun()) {
         this.telegramBot = new TelegramBot();
@@ -205,6 +267,9 @@ class SolanaMemecoinMonitor {
     // Subscribe to token program logs for trades
     await this.subscribeToTokenTrades();
     
+    // Subscribe to pump.fun bonding curve launches and trades
+    await this.subscribeToPumpfun();
+    
       // Start periodic price updates
       this.startPriceUpdateLoop();
       
@@ -214,62 +279,71 @@ class SolanaMemecoinMonitor {
       // Start optimization stats logging
       this.startOptimizationStatsLoop();
       
+      // Close mint watches of tokens nobody trades anymore
+      this.startMintWatchCleanupLoop();
+      
       logger.info('✅ Monitoring started successfully');
       logger.info(`📄 Volume threshold: $${this.config.getVolumeThreshold().toLocaleString()}`);
       logger.info(`💧 Liquidity threshold: $${this.config.getLiquidityThreshold().toLocaleString()}`);
       logger.info('🔧 Optimization systems: RequestQueue, BatchManager, SelectiveFilter, CacheManager');
     }
 
-  async subscribeToTokenMints() {
-    const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  /**
+   * Subscribe to the logs mentioning a program; the request id matches the confirmation
+   */
+  subscribeToLogs(programId) {
+    const requestId = `logs-${++this.logsRequestId}`;
+    this.pendingLogSubscriptions.set(requestId, programId);
     
-    const subscription = {
+    this.wsConnection.send(JSON.stringify({
       jsonrpc: '2.0',
-      id: 1,
+      id: requestId,
       method: 'logsSubscribe',
       params: [
         {
-          mentions: [TOKEN_PROGRAM_ID]
+          mentions: [programId]
         },
         {
           commitment: 'confirmed'
         }
       ]
-    };
+    }));
+  }
+
+  async subscribeToTokenMints() {
+    // logsSubscribe accepts a single mention, so each token program gets its own subscription
+    const TOKEN_PROGRAMS = [
+      PROGRAM_IDS.TOKEN,      // SPL Token
+      PROGRAM_IDS.TOKEN_2022  // Token-2022
+    ];
+    
+    for (const programId of TOKEN_PROGRAMS) {
+      this.subscribeToLogs(programId);
+    }
     
-    this.wsConnection.send(JSON.stringify(subscription));
-    logger.info('📝 Subscribed to token mint logs');
+    logger.info(`📝 Subscribed to token mint logs (${TOKEN_PROGRAMS.length} token programs)`);
   }
 
   async subscribeToTokenTrades() {
     // Subscribe to Raydium and other DEX program logs
     const DEX_PROGRAMS = [
-      '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM
-      'EhYXq3ANp5nAerUpbSgd7VK2RRcxK1zNuSQ755G5Mtc1',  // Raydium CPMM
-      'CAMMCzo5YL8w4VFF8KVHrK22GGUQzaMob4na6NEn9a8',  // Raydium CLMM
+      PROGRAM_IDS.RAYDIUM_AMM_V4,
+      PROGRAM_IDS.RAYDIUM_CPMM,
+      PROGRAM_IDS.RAYDIUM_CLMM
     ];
     
     for (const programId of DEX_PROGRAMS) {
-      const subscription = {
-        jsonrpc: '2.0',
-        id: Date.now(),
-        method: 'logsSubscribe',
-        params: [
-          {
-            mentions: [programId]
-          },
-          {
-            commitment: 'confirmed'
-          }
-        ]
-      };
-      
-      this.wsConnection.send(JSON.stringify(subscription));
+      this.subscribeToLogs(programId);
     }
     
     logger.info(`📈 Subscribed to ${DEX_PROGRAMS.length} DEX programs for trades`);
   }
 
+  async subscribeToPumpfun() {
+    this.subscribeToLogs(this.pumpfunDecoder.programId);
+    logger.info('🎢 Subscribed to pump.fun bonding curve program');
+  }
+
   async handleWebSocketMessage(message) {
     try {
       if (message.method === 'logsNotification') {
@@ -277,26 +351,78 @@ class SolanaMemecoinMonitor {
         const { result } = params;
         
         if (result && result.value) {
-          await this.processLogMessage(result.value);
+          await this.processLogMessage(result.value, result.context ? result.context.slot : null);
+        }
+      } else if (message.method === 'accountNotification') {
+        const { subscription, result } = message.params;
+        
+        if (result && result.value) {
+          if (this.mintSubscriptions.has(subscription)) {
+            this.handleMintAccountUpdate(subscription, result.value);
+          } else {
+            await this.handleVaultUpdate(subscription, result.value);
+          }
+        }
+      } else if (message.id && message.result !== undefined) {
+        // Subscription confirmation, matched by request id: unsubscribe requests answer true
+        const subscribed = [this.pendingLogSubscriptions, this.pendingVaultSubscriptions, this.pendingMintSubscriptions]
+          .some(pending => pending.has(message.id));
+        
+        if (this.pendingLogSubscriptions.has(message.id)) {
+          this.pendingLogSubscriptions.delete(message.id);
+          this.subscriptionIds.add(message.result);
+        }
+        
+        if (this.pendingVaultSubscriptions.has(message.id)) {
+          const pool = this.pendingVaultSubscriptions.get(message.id);
+          this.pendingVaultSubscriptions.delete(message.id);
+          this.vaultSubscriptions.set(message.result, pool);
+          
+          const watch = this.watchedPools.get(pool);
+          if (watch) watch.subscriptionId = message.result;
         }
-      } else if (message.id && message.result) {
-        // Subscription confirmation
-        this.subscriptionIds.add(message.result);
-        logger.debug(`✅ Subscription confirmed: ${message.result}`);
+        
+        if (this.pendingMintSubscriptions.has(message.id)) {
+          const account = this.pendingMintSubscriptions.get(message.id);
+          this.pendingMintSubscriptions.delete(message.id);
+          const watch = this.watchedMintAccounts.get(account);
+          if (watch) {
+            this.mintSubscriptions.set(message.result, account);
+            watch.subscriptionId = message.result;
+          } else {
+            // Unwatched while the subscription was pending
+            this.unsubscribeMintAccount(message.result);
+          }
+        }
+        
+        if (subscribed) logger.debug(`✅ Subscription confirmed: ${message.result}`);
       }
     } catch (error) {
       logger.error('Error handling WebSocket message:', error);
     }
   }
 
-  async processLogMessage(logData) {
+  async processLogMessage(logData, slot = null) {
     const { signature, logs, err } = logData;
     
+    if (slot) {
+      this.launchAnalyzer.observeSlot(slot);
+      this.completeLaunchAnalyses();
+    }
     if (err) return; // Skip failed transactions
+    if (this.isDuplicateSignature(signature)) return;
     
     try {
-      // Check for token mint events
-      if (this.isTokenMintEvent(logs)) {
+      // Pump.fun transactions carry their own create/trade events, the same
+      // transaction can still swap on Raydium or mint another token
+      let pumpfunEvents = [];
+      if (this.pumpfunDecoder.isPumpfunLog(logs)) {
+        pumpfunEvents = await this.handlePumpfunActivity(signature, logs, slot);
+      }
+      
+      // Check for token mint events, a pump.fun create already tracks the mint it initialized
+      const pumpfunCreate = pumpfunEvents.some(event => event.type === 'create');
+      if (!pumpfunCreate && this.isTokenMintEvent(logs)) {
         await this.handleNewTokenMint(signature, logs);
       }
       
@@ -309,6 +435,27 @@ class SolanaMemecoinMonitor {
     }
   }
 
+  isDuplicateSignature(signature) {
+    const now = Date.now();
+    
+    if (this.recentSignatures.has(signature)) {
+      return true;
+    }
+    
+    this.recentSignatures.set(signature, now);
+    
+    // Prune expired signatures periodically
+    if (this.recentSignatures.size > 5000) {
+      for (const [sig, seenAt] of this.recentSignatures.entries()) {
+        if (now - seenAt > this.signatureTTL) {
+          this.recentSignatures.delete(sig);
+        }
+      }
+    }
+    
+    return false;
+  }
+
   isTokenMintEvent(logs) {
     return logs.some(log => 
       log.includes('InitializeMint') || 
@@ -318,13 +465,7 @@ class SolanaMemecoinMonitor {
   }
 
   isTradeEvent(logs) {
-    return logs.some(log => 
-      log.includes('Swap') || 
-      log.includes('Trade') ||
-      log.includes('swap') ||
-      log.includes('SwapBaseIn') ||
-      log.includes('SwapBaseOut')
-    );
+    return this.raydiumDecoder.isSwapLog(logs) || this.raydiumDecoder.isWithdrawLog(logs);
   }
 
   async handleNewTokenMint(signature, logs) {
@@ -333,7 +474,7 @@ class SolanaMemecoinMonitor {
     try {
       // Get transaction details
       const txDetails = await retryAsync(
-        () => this.connection.getTransaction(signature, { commitment: 'confirmed' }),
+        () => this.fetchTransaction(signature),
         3,
         1000
       );
@@ -343,15 +484,21 @@ class SolanaMemecoinMonitor {
         return;
       }
       
-      // Extract token mint address
-      const tokenMint = this.extractTokenMintFromTx(txDetails);
+      // Extract token mint address, preferring the mint initialization instruction
+      const mintInit = this.extractMintInitialization(txDetails);
+      const tokenMint = mintInit ? mintInit.mint : this.extractTokenMintFromTx(txDetails);
       if (!tokenMint) {
         logger.debug('Could not extract token mint address');
         return;
       }
       
-      // Start tracking this token
-      await this.startTrackingToken(tokenMint, signature);
+      // Start tracking this token; the fee payer of an initialization deployed it,
+      // a MintTo alone is no creation and says nothing about who launched the mint
+      await this.startTrackingToken(tokenMint, signature, {
+        tokenProgram: mintInit ? mintInit.tokenProgram : undefined,
+        creator: mintInit ? getAccountKeys(txDetails)[0] : undefined,
+        slot: mintInit ? txDetails.slot : undefined
+      });
       
     } catch (error) {
       logger.error(`Error handling mint ${signature}:`, error);
@@ -365,7 +512,7 @@ class SolanaMemecoinMonitor {
       // Use request queue for transaction fetching
       const txDetails = await this.requestQueue.enqueue(async () => {
         return await retryAsync(
-          () => this.connection.getTransaction(signature, { commitment: 'confirmed' }),
+          () => this.fetchTransaction(signature),
           2, // Reduced retries to avoid rate limiting
           1000
         );
@@ -373,132 +520,766 @@ class SolanaMemecoinMonitor {
       
       if (!txDetails) return;
       
-      // Extract trade information
-      const tradeInfo = await this.extractTradeInfo(txDetails);
-      if (!tradeInfo) return;
-      
-      // Only process if we're already tracking this token or if it's promising
-      if (!this.trackedTokens.has(tradeInfo.tokenMint)) {
-        // Do a quick filter check before processing unknown tokens
-        const basicData = {
-          mint: tradeInfo.tokenMint,
-          volume: tradeInfo.amountUSD,
-          createdAt: new Date().toISOString()
-        };
+      // Decode swaps and record each one against its token
+      const trades = await this.extractTrades(txDetails);
+      
+      for (const tradeInfo of trades) {
+        await this.processTrade(tradeInfo, signature);
+      }
+      
+      // A new Raydium pool may be a pump.fun curve graduating
+      for (const pool of this.raydiumDecoder.decodePoolInitializations(txDetails)) {
+        const tokenData = this.trackedTokens.get(pool.baseMint);
+        
+        // The next liquidity read has to pick up the new pool
+        this.poolDiscovery.invalidate(pool.baseMint);
+        this.cacheManager.delete('liquidityData', pool.baseMint);
         
-        const shouldMonitor = await this.selectiveFilter.shouldMonitor(basicData);
-        if (!shouldMonitor) {
-          logger.debug(`🚫 Trade on untracked token ${tradeInfo.tokenMint} - token filtered out`);
-          return;
+        const isPumpfunMigration = pool.creator === KNOWN_ACCOUNTS.PUMPFUN_RAYDIUM_MIGRATION ||
+          (tokenData && tokenData.source === 'pumpfun');
+        
+        if (isPumpfunMigration) {
+          await this.handleGraduation({ ...pool, type: 'migration', mint: pool.baseMint }, signature);
         }
       }
       
-      // Update volume tracking
-      await this.volumeTracker.recordTrade(
-        tradeInfo.tokenMint,
-        tradeInfo.amountUSD,
-        signature
-      );
+      // Liquidity removed from a tracked token's pool
+      for (const removal of this.raydiumDecoder.decodeLiquidityRemovals(txDetails)) {
+        if (!this.trackedTokens.has(removal.baseMint)) continue;
+        
+        logger.info(`💧 Liquidity removed from ${removal.baseMint} ${removal.dex} pool: ${removal.removedPct.toFixed(1)}% of reserves`);
+        
+        if (removal.removedPct >= this.rugDropPercent) {
+          await this.markRugged(removal.baseMint, {
+            reason: 'remove_liquidity',
+            dex: removal.dex,
+            pool: removal.pool,
+            quoteMint: removal.quoteMint,
+            dropPct: removal.removedPct,
+            reserveBefore: removal.quoteReserveBefore,
+            reserveAfter: removal.quoteReserveBefore - removal.quoteRemoved,
+            provider: removal.provider,
+            signature
+          });
+        }
+      }
+      
+    } catch (error) {
+      logger.error(`Error handling trade ${signature}:`, error);
+    }
+  }
+
+  /**
+   * Subscribe to the quote vaults of a token's known pools
+   */
+  watchTokenPools(tokenMint) {
+    for (const pool of this.volumeTracker.getTokenPools(tokenMint)) {
+      if (this.watchedPools.has(pool.pool)) continue;
       
-      // Invalidate cache for this token's volume data
-      this.cacheManager.delete('volumeData', tradeInfo.tokenMint);
+      // The quote side (SOL/USDC) is what gets pulled out of a rugged pool
+      const tokenIsBase = pool.baseMint === tokenMint;
       
-      // Check if this triggers an alert
-      await this.checkAlertConditions(tradeInfo.tokenMint);
+      this.watchedPools.set(pool.pool, {
+        tokenMint,
+        dex: pool.dex,
+        vault: tokenIsBase ? pool.quoteVault : pool.baseVault,
+        quoteMint: tokenIsBase ? pool.quoteMint : pool.baseMint,
+        history: [{ reserve: tokenIsBase ? pool.quoteReserve : pool.baseReserve, at: Date.now() }],
+        subscriptionId: null
+      });
+      
+      this.subscribeToVault(pool.pool);
+    }
+  }
+
+  subscribeToVault(pool) {
+    const watch = this.watchedPools.get(pool);
+    if (!watch || !this.wsConnection) return;
+    
+    const requestId = `vault-${++this.vaultRequestId}`;
+    this.pendingVaultSubscriptions.set(requestId, pool);
+    
+    this.wsConnection.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'accountSubscribe',
+      params: [
+        watch.vault,
+        {
+          encoding: 'jsonParsed',
+          commitment: 'confirmed'
+        }
+      ]
+    }));
+    
+    logger.debug(`👀 Watching ${watch.dex} vault ${watch.vault} of ${watch.tokenMint}`);
+  }
+
+  async handleVaultUpdate(subscriptionId, accountInfo) {
+    const pool = this.vaultSubscriptions.get(subscriptionId);
+    const watch = pool ? this.watchedPools.get(pool) : null;
+    if (!watch) return;
+    
+    const parsed = accountInfo.data && accountInfo.data.parsed;
+    if (!parsed || !parsed.info || !parsed.info.tokenAmount) return;
+    
+    const reserve = Number(parsed.info.tokenAmount.uiAmountString || parsed.info.tokenAmount.uiAmount || 0);
+    const now = Date.now();
+    
+    // Compare against the highest reserve seen within the drop window
+    watch.history = watch.history.filter(entry => now - entry.at <= this.rugDropWindowMs);
+    const reference = watch.history.reduce((max, entry) => Math.max(max, entry.reserve || 0), 0);
+    watch.history.push({ reserve, at: now });
+    
+    if (reference <= 0) return;
+    
+    const dropPct = ((reference - reserve) / reference) * 100;
+    
+    if (dropPct >= this.rugDropPercent) {
+      await this.markRugged(watch.tokenMint, {
+        reason: 'reserve_drop',
+        dex: watch.dex,
+        pool,
+        quoteMint: watch.quoteMint,
+        dropPct,
+        reserveBefore: reference,
+        reserveAfter: reserve
+      });
+    }
+  }
+
+  async markRugged(tokenMint, evidence) {
+    const tokenData = this.trackedTokens.get(tokenMint);
+    if (!tokenData || tokenData.rugged) return;
+    
+    tokenData.rugged = {
+      ...evidence,
+      detectedAt: Date.now()
+    };
+    
+    logger.warn(`🚨 Liquidity pulled from ${tokenData.name || tokenMint}: -${evidence.dropPct.toFixed(1)}% (${evidence.reason})`);
+    
+    this.creatorReputation.recordOutcome(tokenMint, 'rugged');
+    this.unwatchTokenPools(tokenMint);
+    this.unwatchTokenMint(tokenMint);
+    
+    // Only users who were alerted about the token need the follow-up
+    if (this.alertedTokens.has(tokenMint)) {
+      await this.sendRugAlert(tokenData);
+    }
+  }
+
+  unwatchTokenPools(tokenMint) {
+    for (const [pool, watch] of this.watchedPools.entries()) {
+      if (watch.tokenMint !== tokenMint) continue;
       
+      if (watch.subscriptionId !== null && this.wsConnection) {
+        this.wsConnection.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: `vault-${++this.vaultRequestId}`,
+          method: 'accountUnsubscribe',
+          params: [watch.subscriptionId]
+        }));
+        this.vaultSubscriptions.delete(watch.subscriptionId);
+      }
+      
+      this.watchedPools.delete(pool);
+    }
+  }
+
+  /**
+   * Subscribe to a tracked token's mint and Metaplex metadata accounts
+   */
+  watchTokenMint(tokenMint) {
+    const accounts = [
+      { account: tokenMint, kind: 'mint' },
+      { account: getMetadataAddress(tokenMint), kind: 'metadata' }
+    ];
+    
+    for (const { account, kind } of accounts) {
+      if (this.watchedMintAccounts.has(account)) continue;
+      
+      this.watchedMintAccounts.set(account, { tokenMint, kind, subscriptionId: null });
+      this.subscribeToMintAccount(account);
+    }
+  }
+
+  subscribeToMintAccount(account) {
+    const watch = this.watchedMintAccounts.get(account);
+    if (!watch || !this.wsConnection) return;
+    
+    const requestId = `mint-${++this.mintRequestId}`;
+    this.pendingMintSubscriptions.set(requestId, account);
+    
+    this.wsConnection.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'accountSubscribe',
+      params: [
+        account,
+        {
+          encoding: 'base64',
+          commitment: 'confirmed'
+        }
+      ]
+    }));
+    
+    logger.debug(`👀 Watching ${watch.kind} account ${account} of ${watch.tokenMint}`);
+  }
+
+  /**
+   * A mint or metadata account changed: re-run the checks reading it once updates settle
+   */
+  handleMintAccountUpdate(subscriptionId, accountInfo) {
+    const account = this.mintSubscriptions.get(subscriptionId);
+    const watch = account ? this.watchedMintAccounts.get(account) : null;
+    const tokenData = watch ? this.trackedTokens.get(watch.tokenMint) : null;
+    if (!tokenData || !tokenData.riskReport) return;
+    
+    if (watch.kind === 'mint') {
+      try {
+        const mintInfo = unpackMint(new PublicKey(account), {
+          ...accountInfo,
+          owner: new PublicKey(accountInfo.owner),
+          data: Buffer.from(accountInfo.data[0], 'base64')
+        }, new PublicKey(accountInfo.owner));
+        
+        const supply = mintInfo.supply.toString();
+        tokenData.supplyChanged = tokenData.supplyChanged || supply !== tokenData.supply;
+        tokenData.supply = supply;
+      } catch (error) {
+        logger.debug(`Error decoding mint update of ${account}:`, error.message);
+        return;
+      }
+    }
+    
+    this.cacheManager.delete('tokenMetadata', watch.tokenMint);
+    
+    // Authority changes often come in a burst of transactions, refresh once after the last
+    clearTimeout(this.riskRefreshTimers.get(watch.tokenMint));
+    this.riskRefreshTimers.set(watch.tokenMint, setTimeout(() => {
+      this.riskRefreshTimers.delete(watch.tokenMint);
+      this.refreshTokenRisk(watch.tokenMint);
+    }, this.riskRefreshDelayMs));
+  }
+
+  /**
+   * Re-run the mint checks of a tracked token and follow up on the alert if the risk moved
+   */
+  async refreshTokenRisk(tokenMint) {
+    const tokenData = this.trackedTokens.get(tokenMint);
+    if (!tokenData || !tokenData.riskReport || tokenData.rugged) return;
+    
+    try {
+      const previous = tokenData.riskReport;
+      const supplyChanged = Boolean(tokenData.supplyChanged);
+      tokenData.supplyChanged = false;
+      
+      const updated = await this.requestQueue.enqueue(async () => {
+        return await this.riskAssessor.refreshMintChecks(previous, tokenMint, { supplyChanged });
+      });
+      if (!updated) return;
+      
+      tokenData.riskReport = updated;
+      this.cacheManager.set('riskAssessments', tokenMint, updated);
+      
+      const addedFlags = updated.flags.filter(flag => !previous.flags.includes(flag));
+      const removedFlags = previous.flags.filter(flag => !updated.flags.includes(flag));
+      if (addedFlags.length === 0 && removedFlags.length === 0) return;
+      
+      logger.info(`🔄 Risk of ${tokenData.name || tokenMint} changed ${previous.score} → ${updated.score}/${updated.maxScore} (+${addedFlags.join(', ')} -${removedFlags.join(', ')})`);
+      
+      // Only users who were alerted about the token need the follow-up
+      if (this.alertedTokens.has(tokenMint)) {
+        await this.sendRiskChangeAlert(tokenData, previous, addedFlags, removedFlags);
+      }
     } catch (error) {
-      logger.error(`Error handling trade ${signature}:`, error);
+      logger.error(`Error refreshing risk of ${tokenMint}:`, error);
     }
   }
 
-  extractTokenMintFromTx(txDetails) {
-    // Extract token mint from transaction accounts and instructions
-    // This is a simplified implementation - would need more robust parsing
+  unwatchTokenMint(tokenMint) {
+    clearTimeout(this.riskRefreshTimers.get(tokenMint));
+    this.riskRefreshTimers.delete(tokenMint);
+    
+    for (const [account, watch] of this.watchedMintAccounts.entries()) {
+      if (watch.tokenMint !== tokenMint) continue;
+      
+      if (watch.subscriptionId !== null) {
+        this.unsubscribeMintAccount(watch.subscriptionId);
+      }
+      
+      this.watchedMintAccounts.delete(account);
+    }
+  }
+
+  unsubscribeMintAccount(subscriptionId) {
+    this.mintSubscriptions.delete(subscriptionId);
+    if (!this.wsConnection) return;
+    
+    this.wsConnection.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: `mint-${++this.mintRequestId}`,
+      method: 'accountUnsubscribe',
+      params: [subscriptionId]
+    }));
+  }
+
+  /**
+   * Stop watching the mint accounts of tokens without a trade for MINT_WATCH_IDLE_MINUTES
+   * or discovered more than MINT_WATCH_MAX_AGE_HOURS ago
+   */
+  pruneMintWatches(now = Date.now()) {
+    const watchedTokens = new Set([...this.watchedMintAccounts.values()].map(watch => watch.tokenMint));
+    
+    for (const tokenMint of watchedTokens) {
+      const tokenData = this.trackedTokens.get(tokenMint);
+      const idle = !tokenData || now - tokenData.lastUpdate > this.mintWatchIdleMs;
+      const expired = !tokenData || now - tokenData.discoveredAt > this.mintWatchMaxAgeMs;
+      
+      if (idle || expired) {
+        logger.debug(`🙈 No longer watching mint accounts of ${tokenMint} (${expired ? 'expired' : 'idle'})`);
+        this.unwatchTokenMint(tokenMint);
+      }
+    }
+  }
+
+  /**
+   * Handle the create, trade, curve completion and migration events of a pump.fun transaction
+   * @returns {Promise<Array<Object>>} the events handled
+   */
+  async handlePumpfunActivity(signature, logs, slot = null) {
+    logger.debug(`🎢 Pump.fun activity detected: ${signature}`);
+    
     try {
-      if (txDetails.meta && txDetails.meta.postTokenBalances) {
-        const newTokens = txDetails.meta.postTokenBalances.filter(balance => 
-          balance.uiTokenAmount.uiAmount > 0
-        );
+      // Events logged as program data can be decoded without fetching the transaction,
+      // migrations need the pool accounts from the full transaction
+      let events = this.pumpfunDecoder.decodeLogs(logs);
+      
+      if (events.length === 0 || this.pumpfunDecoder.isMigrationLog(logs)) {
+        const txDetails = await this.requestQueue.enqueue(async () => {
+          return await retryAsync(
+            () => this.fetchTransaction(signature),
+            2,
+            1000
+          );
+        });
         
-        if (newTokens.length > 0) {
-          return newTokens[0].mint;
+        if (!txDetails) return [];
+        events = this.pumpfunDecoder.decodeTransaction(txDetails);
+        slot = txDetails.slot || slot;
+      }
+      
+      for (const event of events) {
+        if (event.type === 'create') {
+          logger.info(`🪙 New pump.fun token: ${event.name} (${event.symbol}) ${event.mint}`);
+          
+          await this.startTrackingToken(event.mint, signature, {
+            source: 'pumpfun',
+            name: event.name,
+            symbol: event.symbol,
+            uri: event.uri,
+            creator: event.creator,
+            bondingCurve: event.bondingCurve,
+            slot
+          });
+        } else if (event.type === 'trade') {
+          await this.handlePumpfunTrade(event, signature, slot);
+        } else if (event.type === 'complete') {
+          this.handleCurveComplete(event);
+        } else if (event.type === 'migration') {
+          await this.handleGraduation(event, signature);
         }
       }
       
-      return null;
+      return events;
     } catch (error) {
-      logger.error('Error extracting token mint:', error);
-      return null;
+      logger.error(`Error handling pump.fun activity ${signature}:`, error);
+      return [];
     }
   }
 
-  async extractTradeInfo(txDetails) {
-    // Extract trade information from DEX transaction
+  /**
+   * Value a tracked token at the current price: market cap on the circulating supply
+   * (burned and locked supply left out, as measured by the risk assessment), FDV on all of it.
+   * The market cap also goes into the creator's history as the launch's best so far.
+   */
+  async updateMarketCap(tokenMint) {
+    const tokenData = this.trackedTokens.get(tokenMint);
+    if (!tokenData || !tokenData.supply) return;
+    
     try {
-      const tokenMint = this.extractTokenMintFromTx(txDetails);
-      if (!tokenMint) return null;
+      const price = await this.volumeTracker.getTokenPriceUSD(tokenMint);
+      if (!price) return;
       
-      // Estimate trade amount
-      const amountUSD = await this.estimateTradeAmount(txDetails, tokenMint);
+      const totalSupply = Number(tokenData.supply) / Math.pow(10, tokenData.decimals || 0);
+      const supply = tokenData.riskReport && tokenData.riskReport.supply;
+      const circulatingSupply = supply ? supply.circulating : totalSupply;
+      
+      tokenData.marketCap = circulatingSupply * price;
+      tokenData.fdv = totalSupply * price;
+      tokenData.circulatingSupply = circulatingSupply;
+      tokenData.marketCapUpdatedAt = Date.now();
+      this.creatorReputation.recordMarketCap(tokenMint, tokenData.marketCap);
+    } catch (error) {
+      logger.debug(`Error valuing ${tokenMint}:`, error.message);
+    }
+  }
+
+  /**
+   * Record the market cap and bonding curve milestones a tracked token just crossed,
+   * each once with its timestamp, and follow up on the token's first alert. Milestones
+   * crossed before that alert are recorded only, the alert itself shows the market cap.
+   */
+  async checkMilestones(tokenMint) {
+    const tokenData = this.trackedTokens.get(tokenMint);
+    if (!tokenData || tokenData.rugged) return;
+    
+    tokenData.milestones = tokenData.milestones || {};
+    const reached = [];
+    const reach = (type, threshold, value) => {
+      const key = `${type}_${threshold}`;
+      if (tokenData.milestones[key]) return;
+      
+      tokenData.milestones[key] = { type, threshold, value, reachedAt: Date.now() };
+      reached.push(tokenData.milestones[key]);
+    };
+    
+    if (tokenData.marketCap) {
+      this.marketCapMilestones
+        .filter(threshold => tokenData.marketCap >= threshold)
+        .forEach(threshold => reach('market_cap', threshold, tokenData.marketCap));
+    }
+    
+    // Progress of a completed curve no longer matters, the token graduated
+    const curve = tokenData.bondingCurveState;
+    if (curve && !tokenData.bondingCurveComplete) {
+      const progress = this.pumpfunDecoder.getCurveProgress(curve.virtualTokenReserves);
+      this.curveMilestones
+        .filter(threshold => progress >= threshold)
+        .forEach(threshold => reach('curve_progress', threshold, progress));
+    }
+    
+    if (reached.length === 0) return;
+    
+    logger.info(`🏁 ${tokenData.name || tokenMint} reached ${reached.map(({ type, threshold }) => `${type} ${threshold}`).join(', ')}`);
+    if (!tokenData.firstAlertMessageId) return;
+    
+    await this.sendMilestoneAlert(tokenData, reached);
+  }
+
+  async handlePumpfunTrade(event, signature, slot = null) {
+    const tokenData = this.trackedTokens.get(event.mint);
+    
+    // Keep the latest curve reserves on the tracked token
+    if (tokenData && event.virtualSolReserves !== undefined) {
+      tokenData.bondingCurveState = {
+        virtualSolReserves: event.virtualSolReserves,
+        virtualTokenReserves: event.virtualTokenReserves,
+        realSolReserves: event.realSolReserves,
+        realTokenReserves: event.realTokenReserves,
+        updatedAt: Date.now()
+      };
+    }
+    
+    const solPrice = await this.volumeTracker.getSOLPriceUSD();
+    
+    // Only tracked tokens get priced, the curves of every other launch would pile up
+    if (tokenData && event.virtualSolReserves !== undefined) {
+      this.volumeTracker.setCurveSpotPrice(
+        event.mint,
+        event.virtualSolReserves,
+        event.virtualTokenReserves,
+        solPrice,
+        event.bondingCurve,
+        event
+      );
+    }
+    
+    await this.processTrade({
+      tokenMint: event.mint,
+      amountUSD: event.solAmount * solPrice,
+      timestamp: event.timestamp,
+      slot,
+      details: {
+        dex: 'pumpfun',
+        pool: event.bondingCurve,
+        trader: event.trader,
+        side: event.side,
+        quoteMint: QUOTE_MINTS.WSOL,
+        tokenAmount: event.tokenAmount,
+        quoteAmount: event.solAmount
+      }
+    }, signature);
+  }
+
+  handleCurveComplete(event) {
+    const tokenData = this.trackedTokens.get(event.mint);
+    if (!tokenData) return;
+    
+    tokenData.bondingCurveComplete = true;
+    tokenData.bondingCurveCompletedAt = event.timestamp || Date.now();
+    logger.info(`🏁 Bonding curve complete for ${event.mint}, awaiting migration`);
+  }
+
+  async handleGraduation(migration, signature) {
+    const tokenData = this.trackedTokens.get(migration.mint);
+    
+    if (!tokenData) {
+      logger.debug(`🎓 Graduation of untracked token ${migration.mint} ignored`);
+      return;
+    }
+    
+    if (tokenData.graduation) {
+      return; // Already graduated and alerted
+    }
+    
+    tokenData.graduation = {
+      dex: migration.dex,
+      pool: migration.pool,
+      quoteMint: migration.quoteMint,
+      baseReserve: migration.baseReserve,
+      quoteReserve: migration.quoteReserve,
+      signature,
+      graduatedAt: Date.now()
+    };
+    tokenData.bondingCurveComplete = true;
+    this.creatorReputation.recordOutcome(migration.mint, 'migrated');
+    
+    // Graduates are what the next wave of copycats imitates
+    this.copycatDetector.addTrending(tokenData);
+    
+    // Attach the new pool so volume and liquidity continue from the curve's history
+    this.volumeTracker.linkPool(migration.mint, {
+      pool: migration.pool,
+      dex: migration.dex,
+      quoteMint: migration.quoteMint,
+      baseVault: migration.baseVault,
+      quoteVault: migration.quoteVault,
+      migratedFrom: tokenData.bondingCurve
+    });
+    this.cacheManager.delete('liquidityData', migration.mint);
+    
+    logger.info(`🎓 ${tokenData.name || migration.mint} graduated to ${migration.dex} pool ${migration.pool}`);
+    
+    const volume = await this.volumeTracker.getTokenVolume(migration.mint);
+    await this.sendGraduationAlert(tokenData, volume);
+  }
+
+  async processTrade(tradeInfo, signature) {
+    // Early buyers and launch activity are followed whether or not the token gets tracked
+    this.launchAnalyzer.recordTrade(tradeInfo.tokenMint, { slot: tradeInfo.slot, ...tradeInfo.details });
+    this.creatorReputation.recordActivity(tradeInfo.tokenMint);
+    
+    // Only process if we're already tracking this token or if it's promising
+    if (!this.trackedTokens.has(tradeInfo.tokenMint)) {
+      // Do a quick filter check before processing unknown tokens
+      const basicData = {
+        mint: tradeInfo.tokenMint,
+        volume: tradeInfo.amountUSD,
+        createdAt: new Date().toISOString()
+      };
+      
+      const shouldMonitor = await this.selectiveFilter.shouldMonitor(basicData);
+      if (!shouldMonitor) {
+        logger.debug(`🚫 Trade on untracked token ${tradeInfo.tokenMint} - token filtered out`);
+        return;
+      }
+    }
+    
+    // Update volume tracking
+    await this.volumeTracker.recordTrade(
+      tradeInfo.tokenMint,
+      tradeInfo.amountUSD,
+      signature,
+      tradeInfo.details
+    );
+    
+    // Invalidate cache for this token's volume data
+    this.cacheManager.delete('volumeData', tradeInfo.tokenMint);
+    
+    const tokenData = this.trackedTokens.get(tradeInfo.tokenMint);
+    if (tokenData) tokenData.lastUpdate = Date.now();
+    
+    await this.updateMarketCap(tradeInfo.tokenMint);
+    
+    // Check if this triggers an alert
+    await this.checkAlertConditions(tradeInfo.tokenMint);
+    
+    // After the alert check, so a trade that triggers the first alert threads its milestones under it
+    await this.checkMilestones(tradeInfo.tokenMint);
+  }
+
+  async fetchTransaction(signature) {
+    // v0 transactions are rejected unless the max supported version is requested
+    const txDetails = await this.connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    
+    if (!txDetails) return null;
+    
+    const loadedAddresses = await this.resolveLoadedAddresses(txDetails);
+    return normalizeTransaction(txDetails, loadedAddresses);
+  }
+
+  async resolveLoadedAddresses(txDetails) {
+    const lookups = txDetails.transaction.message.addressTableLookups || [];
+    
+    if (lookups.length === 0) {
+      return { writable: [], readonly: [] };
+    }
+    
+    // RPC nodes normally return the resolved addresses alongside the transaction
+    if (txDetails.meta && txDetails.meta.loadedAddresses) {
+      return txDetails.meta.loadedAddresses;
+    }
+    
+    const writable = [];
+    const readonly = [];
+    
+    for (const lookup of lookups) {
+      const tableKey = lookup.accountKey.toString();
+      const maxIndex = Math.max(...lookup.writableIndexes, ...lookup.readonlyIndexes);
+      
+      let addresses = this.cacheManager.get('lookupTables', tableKey);
+      
+      // Tables are append-only, refetch when the cached copy predates the used index
+      if (!addresses || maxIndex >= addresses.length) {
+        const result = await this.connection.getAddressLookupTable(new PublicKey(tableKey));
+        
+        if (!result || !result.value) {
+          throw new Error(`Address lookup table ${tableKey} not found`);
+        }
+        
+        addresses = result.value.state.addresses.map(address => address.toBase58());
+        this.cacheManager.set('lookupTables', tableKey, addresses);
+      }
+      
+      lookup.writableIndexes.forEach(index => writable.push(addresses[index]));
+      lookup.readonlyIndexes.forEach(index => readonly.push(addresses[index]));
+    }
+    
+    return { writable, readonly };
+  }
+
+  extractMintInitialization(txDetails) {
+    // InitializeMint (0) and InitializeMint2 (20) take the mint as their first account
+    const INITIALIZE_MINT = 0;
+    const INITIALIZE_MINT2 = 20;
+    
+    try {
+      const instruction = flattenInstructions(txDetails).find(ix =>
+        isTokenProgram(ix.programId) &&
+        ix.data.length > 0 &&
+        (ix.data[0] === INITIALIZE_MINT || ix.data[0] === INITIALIZE_MINT2)
+      );
+      
+      if (!instruction) return null;
       
       return {
-        tokenMint,
-        amountUSD,
-        timestamp: Date.now()
+        mint: instruction.accounts[0],
+        tokenProgram: instruction.programId
       };
     } catch (error) {
-      logger.error('Error extracting trade info:', error);
+      logger.debug('Error extracting mint initialization:', error.message);
       return null;
     }
   }
 
-  async estimateTradeAmount(txDetails, tokenMint) {
-    // Estimate USD amount of trade
+  extractTokenMintFromTx(txDetails) {
+    // Extract token mint from transaction accounts and instructions
+    // This is a simplified implementation - would need more robust parsing
     try {
-      const solAmount = this.extractSOLAmount(txDetails);
-      if (solAmount) {
-        const solPrice = await this.volumeTracker.getSOLPriceUSD();
-        return solAmount * solPrice;
+      if (txDetails.meta && txDetails.meta.postTokenBalances) {
+        const newTokens = txDetails.meta.postTokenBalances.filter(balance => 
+          balance.uiTokenAmount.uiAmount > 0
+        );
+        
+        if (newTokens.length > 0) {
+          return newTokens[0].mint;
+        }
       }
-      return 0;
+      
+      return null;
     } catch (error) {
-      logger.error('Error estimating trade amount:', error);
-      return 0;
+      logger.error('Error extracting token mint:', error);
+      return null;
     }
   }
 
-  extractSOLAmount(txDetails) {
-    // Extract SOL amount from transaction
+  async extractTrades(txDetails) {
+    // Extract decoded swaps from DEX transaction
     try {
-      if (txDetails.meta && txDetails.meta.preBalances && txDetails.meta.postBalances) {
-        const preBalances = txDetails.meta.preBalances;
-        const postBalances = txDetails.meta.postBalances;
+      const swaps = this.raydiumDecoder.decodeSwaps(txDetails);
+      const trades = [];
+      
+      for (const swap of swaps) {
+        // Value the trade from the quote side of the pool
+        const quotePrice = await this.volumeTracker.getTokenPriceUSD(swap.quoteMint);
+        const quoteAmount = Math.abs(swap.quoteDelta);
         
-        for (let i = 0; i < preBalances.length; i++) {
-          const diff = Math.abs(postBalances[i] - preBalances[i]);
-          if (diff > 0) {
-            return diff / 1e9; // Convert lamports to SOL
+        trades.push({
+          tokenMint: swap.baseMint,
+          amountUSD: quoteAmount * quotePrice,
+          timestamp: Date.now(),
+          slot: txDetails.slot,
+          details: {
+            dex: swap.dex,
+            pool: swap.pool,
+            trader: swap.trader,
+            side: swap.direction,
+            quoteMint: swap.quoteMint,
+            tokenAmount: Math.abs(swap.baseDelta),
+            quoteAmount
           }
-        }
+        });
       }
-      return 0;
+      
+      return trades;
     } catch (error) {
-      return 0;
+      logger.error('Error extracting trade info:', error);
+      return [];
     }
   }
 
-  async startTrackingToken(tokenMint, mintSignature) {
+  async startTrackingToken(tokenMint, mintSignature, discovery = {}) {
     if (this.trackedTokens.has(tokenMint)) {
       return; // Already tracking
     }
     
     logger.debug(`🔍 Evaluating new token: ${tokenMint}`);
     
+    // Every launch goes into the creator's history, tracked or not
+    if (discovery.creator) {
+      this.creatorReputation.recordLaunch(discovery.creator, {
+        mint: tokenMint,
+        name: discovery.name,
+        symbol: discovery.symbol,
+        source: discovery.source
+      });
+      
+      if (this.creatorReputation.isBlacklisted(discovery.creator)) {
+        logger.info(`⛔ Ignoring ${tokenMint} from blacklisted creator ${discovery.creator}`);
+        return;
+      }
+    }
+    
+    // Snipers land within slots of the creation, follow them before any RPC call
+    this.launchAnalyzer.startLaunch(tokenMint, { slot: discovery.slot, creator: discovery.creator });
+    
     // First gather basic token data for filtering
     const tokenData = {
       mint: tokenMint,
       discoveredAt: Date.now(),
       mintSignature,
+      source: discovery.source || 'token_program',
+      name: discovery.name,
+      symbol: discovery.symbol,
+      uri: discovery.uri,
+      creator: discovery.creator,
+      bondingCurve: discovery.bondingCurve,
+      tokenProgram: discovery.tokenProgram,
       volume: 0,
       liquidity: 0,
       lastUpdate: Date.now(),
@@ -506,30 +1287,14 @@ class SolanaMemecoinMonitor {
     };
     
     try {
-      // Get token metadata with caching
+      // Get the mint and its Metaplex or Token-2022 metadata with caching
       const metadata = await this.cacheManager.getOrSet(
         'tokenMetadata',
         tokenMint,
         async () => {
           // Use request queue to manage RPC calls
           return await this.requestQueue.enqueue(async () => {
-            // Get basic token info
-            try {
-              const mintInfo = await this.connection.getParsedAccountInfo(new PublicKey(tokenMint));
-              if (mintInfo && mintInfo.value && mintInfo.value.data && mintInfo.value.data.parsed) {
-                const parsedData = mintInfo.value.data.parsed.info;
-                return {
-                  supply: parsedData.supply,
-                  decimals: parsedData.decimals,
-                  freezeAuthority: parsedData.freezeAuthority,
-                  mintAuthority: parsedData.mintAuthority
-                };
-              }
-              return null;
-            } catch (error) {
-              logger.debug(`Error fetching metadata for ${tokenMint}:`, error);
-              return null;
-            }
+            return await this.metadataFetcher.fetchMetadata(tokenMint);
           });
         }
       );
@@ -537,7 +1302,16 @@ class SolanaMemecoinMonitor {
       if (metadata) {
         tokenData.supply = metadata.supply;
         tokenData.decimals = metadata.decimals;
+        tokenData.tokenProgram = metadata.tokenProgram;
         tokenData.metadata = metadata;
+        
+        // Launch events carry the name already, plain mints only have it on chain
+        const { tokenMetadata } = metadata;
+        if (tokenMetadata) {
+          tokenData.name = tokenData.name || tokenMetadata.name;
+          tokenData.symbol = tokenData.symbol || tokenMetadata.symbol;
+          tokenData.uri = tokenData.uri || tokenMetadata.uri;
+        }
       }
       
       // Get initial liquidity with caching
@@ -559,58 +1333,53 @@ class SolanaMemecoinMonitor {
       
       if (!shouldMonitor) {
         logger.debug(`🚫 Token ${tokenMint} filtered out - not worth monitoring`);
+        this.launchAnalyzer.forget(tokenMint);
         return;
       }
       
-      logger.info(`🎯 Starting to track promising token: ${tokenMint}`);
+      logger.info(`🎯 Starting to track promising token: ${tokenMint} (${tokenData.tokenProgram === PROGRAM_IDS.TOKEN_2022 ? 'Token-2022' : 'SPL Token'})`);
       this.trackedTokens.set(tokenMint, tokenData);
       
       // Perform initial risk assessment with caching
-      const riskFlags = await this.cacheManager.getOrSet(
+      const riskReport = await this.cacheManager.getOrSet(
         'riskAssessments',
         tokenMint,
         async () => {
           return await this.requestQueue.enqueue(async () => {
-            return await this.riskAssessor.assessToken(tokenMint);
+            // The mint and metadata were just read, the assessment does not fetch them again
+            return await this.riskAssessor.assessToken(tokenMint, {
+              creator: tokenData.creator,
+              name: tokenData.name,
+              symbol: tokenData.symbol,
+              mintInfo: tokenData.metadata ? tokenData.metadata.mintInfo : undefined
+            });
           });
         }
       );
       
-      tokenData.riskFlags = riskFlags;
-      tokenData.riskScore = this.calculateRiskScore(riskFlags);
+      tokenData.riskReport = riskReport;
+      
+      if (!this.selectiveFilter.passesRiskFilter(tokenData)) {
+        logger.info(`🚫 Token ${tokenMint} dropped, risk ${riskReport.score}/${riskReport.maxScore}: ${riskReport.flags.join(', ')}`);
+        this.selectiveFilter.incrementFilterReason('risk_filter');
+        this.trackedTokens.delete(tokenMint);
+        this.launchAnalyzer.forget(tokenMint);
+        return;
+      }
+      
+      logger.info(`📋 High-quality token ${tokenMint} added to tracking (liquidity: $${liquidity.toFixed(2)}, risk: ${riskReport.score}/${riskReport.maxScore})`);
       
-      logger.info(`📋 High-quality token ${tokenMint} added to tracking (liquidity: $${liquidity.toFixed(2)}, risk: ${tokenData.riskScore}/10)`);
+      // Authorities can be revoked (or metadata changed) at any time after the assessment
+      this.watchTokenMint(tokenMint);
       
     } catch (error) {
       logger.error(`Error evaluating token ${tokenMint}:`, error);
     }
   }
   
-  calculateRiskScore(riskFlags) {
-    // Calculate a numerical risk score from 0-10 based on risk flags
-    let score = 0;
-    if (!riskFlags || riskFlags.length === 0) return score;
-    
-    const riskWeights = {
-      'low-liquidity': 2,
-      'high-concentration': 3,
-      'suspicious-metadata': 2,
-      'new-token': 1,
-      'unverified': 1,
-      'rugpull-pattern': 5,
-      'honeypot': 5
-    };
-    
-    riskFlags.forEach(flag => {
-      score += riskWeights[flag] || 1;
-    });
-    
-    return Math.min(score, 10); // Cap at 10
-  }
-
   async checkAlertConditions(tokenMint) {
     const tokenData = this.trackedTokens.get(tokenMint);
-    if (!tokenData) return;
+    if (!tokenData || tokenData.rugged) return;
     
     // Check if already alerted recently
     const lastAlert = this.alertedTokens.get(tokenMint);
@@ -642,6 +1411,9 @@ class SolanaMemecoinMonitor {
       }
     );
     
+    // Pools are known once liquidity has been read, start watching them for pulls
+    this.watchTokenPools(tokenMint);
+    
     // Apply filtering rules
     if (liquidity === 0) {
       logger.debug(`Token ${tokenMint} has zero liquidity, skipping alert`);
@@ -650,14 +1422,83 @@ class SolanaMemecoinMonitor {
     
     const volumeThreshold = this.config.getVolumeThreshold();
     const liquidityThreshold = this.config.getLiquidityThreshold();
+    const marketCapThreshold = this.config.getMarketCapThreshold();
+    const marketCapReached = marketCapThreshold !== null && tokenData.marketCap >= marketCapThreshold;
     
-    if (volume >= volumeThreshold || liquidity >= liquidityThreshold) {
-      await this.sendAlert(tokenMint, volume, liquidity, tokenData.riskFlags);
+    if (volume >= volumeThreshold || liquidity >= liquidityThreshold || marketCapReached) {
+      const analysed = await this.applyLaunchAnalysis(tokenData);
+      await this.sendAlert(tokenMint, volume, liquidity, tokenData.riskReport);
       this.alertedTokens.set(tokenMint, now);
+      
+      // The alert shows the launch as unknown, follow up once its window closes
+      if (!analysed && this.launchAnalyzer.hasLaunch(tokenMint)) {
+        this.pendingLaunchAnalyses.add(tokenMint);
+      }
+    }
+  }
+
+  /**
+   * Add what snipers and bundlers hold to the token's risk, once its first slots are over
+   * @returns {Promise<boolean>} whether the report now holds the analysis
+   */
+  async applyLaunchAnalysis(tokenData) {
+    if (!tokenData.riskReport) return false;
+    
+    try {
+      const supply = Number(tokenData.supply) / Math.pow(10, tokenData.decimals || 0);
+      const analysis = await this.launchAnalyzer.analyze(tokenData.mint, supply);
+      if (!analysis) return false;
+      
+      tokenData.riskReport = this.riskAssessor.updateReport(tokenData.riskReport, {
+        bundled_launch: this.riskAssessor.checkBundledLaunch(analysis)
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error analysing launch of ${tokenData.mint}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Analyse the launches of alerted tokens whose window closed since their alert
+   */
+  completeLaunchAnalyses() {
+    for (const tokenMint of this.pendingLaunchAnalyses) {
+      const tokenData = this.trackedTokens.get(tokenMint);
+      
+      if (!tokenData || !this.launchAnalyzer.hasLaunch(tokenMint)) {
+        this.pendingLaunchAnalyses.delete(tokenMint);
+      } else if (this.launchAnalyzer.isWindowClosed(tokenMint)) {
+        this.pendingLaunchAnalyses.delete(tokenMint);
+        this.followUpLaunchAnalysis(tokenData);
+      }
+    }
+  }
+
+  /**
+   * Add the launch analysis to an alerted token's risk and follow up on the alert if the risk moved
+   */
+  async followUpLaunchAnalysis(tokenData) {
+    const previous = tokenData.riskReport;
+    
+    try {
+      if (!(await this.applyLaunchAnalysis(tokenData))) return;
+      
+      const updated = tokenData.riskReport;
+      this.cacheManager.set('riskAssessments', tokenData.mint, updated);
+      
+      const addedFlags = updated.flags.filter(flag => !previous.flags.includes(flag));
+      const removedFlags = previous.flags.filter(flag => !updated.flags.includes(flag));
+      if (addedFlags.length === 0 && removedFlags.length === 0) return;
+      
+      logger.info(`🔄 Launch analysis of ${tokenData.name || tokenData.mint} moved its risk ${previous.score} → ${updated.score}/${updated.maxScore}`);
+      await this.sendRiskChangeAlert(tokenData, previous, addedFlags, removedFlags);
+    } catch (error) {
+      logger.error(`Error following up on the launch of ${tokenData.mint}:`, error);
     }
   }
 
-  async sendAlert(tokenMint, volume, liquidity, riskFlags) {
+  async sendAlert(tokenMint, volume, liquidity, riskReport) {
     if (this.config.isDryRun()) {
       logger.info(`🚨 [DRY RUN] Would send alert for ${tokenMint} (V:$${volume.toFixed(2)}, L:$${liquidity.toFixed(2)})`);
       return;
@@ -667,18 +1508,132 @@ class SolanaMemecoinMonitor {
       logger.info(`🚨 Sending alert for token: ${tokenMint}`);
       
       if (this.telegramBot) {
-        await this.telegramBot.sendTokenAlert({
+        const tokenData = this.trackedTokens.get(tokenMint) || {};
+        
+        // Make sure a price (and its source) is recorded for tokens without pools
+        await this.volumeTracker.getTokenPriceUSD(tokenMint);
+        tokenData.priceImpact = await this.volumeTracker.getPriceImpact(tokenMint);
+        
+        tokenData.alertMessageId = await this.telegramBot.sendTokenAlert({
           mint: tokenMint,
+          name: tokenData.name,
+          source: tokenData.source,
           volume,
           liquidity,
-          riskFlags: riskFlags || []
+          riskReport,
+          priceImpact: tokenData.priceImpact,
+          marketCap: tokenData.marketCap,
+          fdv: tokenData.fdv,
+          priceInfo: this.volumeTracker.getTokenPriceInfo(tokenMint),
+          volumeWindows: this.volumeTracker.getVolumeWindows(tokenMint),
+          priceChanges: {
+            '5m': this.volumeTracker.getPriceChange(tokenMint, 5 * 60 * 1000),
+            '1h': this.volumeTracker.getPriceChange(tokenMint, 60 * 60 * 1000)
+          }
         });
+        
+        // Milestones thread under the first alert, repeat alerts after the cooldown do not move them
+        tokenData.firstAlertMessageId = tokenData.firstAlertMessageId || tokenData.alertMessageId;
       }
     } catch (error) {
       logger.error('Failed to send alert:', error);
     }
   }
 
+  async sendRugAlert(tokenData) {
+    const { mint, rugged } = tokenData;
+    
+    if (this.config.isDryRun()) {
+      logger.info(`🚨 [DRY RUN] Would send liquidity pulled alert for ${mint} (-${rugged.dropPct.toFixed(1)}%)`);
+      return;
+    }
+    
+    try {
+      if (this.telegramBot) {
+        await this.telegramBot.sendRugAlert({
+          mint,
+          name: tokenData.name,
+          ...rugged,
+          replyTo: tokenData.alertMessageId
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send liquidity pulled alert:', error);
+    }
+  }
+
+  async sendRiskChangeAlert(tokenData, previous, addedFlags, removedFlags) {
+    const { mint, riskReport } = tokenData;
+    
+    if (this.config.isDryRun()) {
+      logger.info(`🔄 [DRY RUN] Would send risk update for ${mint} (${previous.score} → ${riskReport.score})`);
+      return;
+    }
+    
+    try {
+      if (this.telegramBot) {
+        await this.telegramBot.sendRiskChangeAlert({
+          mint,
+          name: tokenData.name,
+          previousScore: previous.score,
+          riskReport,
+          addedFlags,
+          removedFlags,
+          replyTo: tokenData.alertMessageId
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send risk update:', error);
+    }
+  }
+
+  async sendMilestoneAlert(tokenData, milestones) {
+    const { mint } = tokenData;
+    
+    if (this.config.isDryRun()) {
+      logger.info(`🏁 [DRY RUN] Would send milestone update for ${mint}`);
+      return;
+    }
+    
+    try {
+      if (this.telegramBot) {
+        await this.telegramBot.sendMilestoneAlert({
+          mint,
+          name: tokenData.name,
+          milestones,
+          marketCap: tokenData.marketCap,
+          replyTo: tokenData.firstAlertMessageId
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send milestone update:', error);
+    }
+  }
+
+  async sendGraduationAlert(tokenData, volume) {
+    const { mint, graduation } = tokenData;
+    
+    if (this.config.isDryRun()) {
+      logger.info(`🎓 [DRY RUN] Would send graduation alert for ${mint} (${graduation.dex} ${graduation.pool})`);
+      return;
+    }
+    
+    try {
+      if (this.telegramBot) {
+        await this.telegramBot.sendGraduationAlert({
+          mint,
+          name: tokenData.name,
+          symbol: tokenData.symbol,
+          source: tokenData.source,
+          volume,
+          ...graduation
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send graduation alert:', error);
+    }
+  }
+
   startPriceUpdateLoop() {
     const updateInterval = this.config.get('monitoring.PRICE_UPDATE_INTERVAL_MS');
     
@@ -727,12 +1682,41 @@ class SolanaMemecoinMonitor {
     logger.info('📊 Started optimization stats monitoring (10min interval)');
   }
 
+  startMintWatchCleanupLoop() {
+    setInterval(() => {
+      try {
+        this.pruneMintWatches();
+      } catch (error) {
+        logger.debug('Error pruning mint watches:', error);
+      }
+    }, 300000); // 5 minutes
+    
+    logger.info('🙈 Started mint watch cleanup (5min interval)');
+  }
+
   async resubscribeAll() {
     if (!this.isRunning) return;
     
     this.subscriptionIds.clear();
+    this.pendingLogSubscriptions.clear();
     await this.subscribeToTokenMints();
     await this.subscribeToTokenTrades();
+    await this.subscribeToPumpfun();
+    
+    // Vault subscriptions die with the connection
+    this.vaultSubscriptions.clear();
+    this.pendingVaultSubscriptions.clear();
+    for (const [pool, watch] of this.watchedPools.entries()) {
+      watch.subscriptionId = null;
+      this.subscribeToVault(pool);
+    }
+    
+    this.mintSubscriptions.clear();
+    this.pendingMintSubscriptions.clear();
+    for (const [account, watch] of this.watchedMintAccounts.entries()) {
+      watch.subscriptionId = null;
+      this.subscribeToMintAccount(account);
+    }
     
     logger.info('✅ Re-subscribed to all WebSocket feeds');
   }
@@ -745,6 +1729,10 @@ class SolanaMemecoinMonitor {
       this.wsConnection.close();
     }
     
+    this.riskRefreshTimers.forEach(timer => clearTimeout(timer));
+    this.riskRefreshTimers.clear();
+    this.pendingLaunchAnalyses.clear();
+    
     if (this.telegramBot) {
       await this.telegramBot.shutdown();
     }
@@ -753,6 +1741,10 @@ class SolanaMemecoinMonitor {
       await this.volumeTracker.shutdown();
     }
     
+    if (this.creatorReputation) {
+      await this.creatorReputation.shutdown();
+    }
+    
     // Cleanup optimization components
     if (this.requestQueue) {
       this.requestQueue.destroy();
@@ -0,0 +1,148 @@
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const logger = require('./utils/logger');
+const { retryAsync } = require('./utils/helpers');
+const { POOL_LAYOUTS, decodePool } = require('./utils/pool-layouts');
+
+class PoolDiscovery {
+  constructor(connection) {
+    this.connection = connection;
+
+    // Pools rarely change for a mint, avoid repeating heavy getProgramAccounts calls
+    this.poolCache = new Map(); // tokenMint -> { pools, timestamp }
+    this.cacheTTL = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Find AMM pools holding the token on either side of the pair
+   * @returns {Promise<Array<Object>>} decoded pools with their address and dex
+   */
+  async findPools(tokenMint) {
+    const cached = this.poolCache.get(tokenMint);
+    if (cached && (Date.now() - cached.timestamp) < this.cacheTTL) {
+      return cached.pools;
+    }
+
+    const lookups = [];
+    for (const dex of Object.keys(POOL_LAYOUTS)) {
+      const layout = POOL_LAYOUTS[dex];
+      lookups.push(this.findPoolsByMintOffset(dex, tokenMint, layout.baseMintOffset));
+      lookups.push(this.findPoolsByMintOffset(dex, tokenMint, layout.quoteMintOffset));
+    }
+
+    const results = await Promise.allSettled(lookups);
+    const pools = [];
+    const seen = new Set();
+
+    for (const result of results) {
+      if (result.status !== 'fulfilled') continue;
+
+      for (const pool of result.value) {
+        if (seen.has(pool.pool)) continue;
+        seen.add(pool.pool);
+        pools.push(pool);
+      }
+    }
+
+    this.poolCache.set(tokenMint, { pools, timestamp: Date.now() });
+    logger.debug(`Found ${pools.length} pool(s) for ${tokenMint}`);
+
+    return pools;
+  }
+
+  /**
+   * Query one dex program for pools with the mint at the given offset
+   */
+  async findPoolsByMintOffset(dex, tokenMint, offset) {
+    const layout = POOL_LAYOUTS[dex];
+    const filters = [{ memcmp: { offset, bytes: tokenMint } }];
+
+    if (layout.dataSize) {
+      filters.push({ dataSize: layout.dataSize });
+    }
+    if (layout.discriminator) {
+      filters.push({ memcmp: { offset: 0, bytes: bs58.encode(layout.discriminator) } });
+    }
+
+    try {
+      const accounts = await retryAsync(
+        () => this.connection.getProgramAccounts(new PublicKey(layout.programId), { filters }),
+        2,
+        1000
+      );
+
+      return accounts
+        .map(({ pubkey, account }) => {
+          const decoded = decodePool(dex, account.data);
+          return decoded ? { pool: pubkey.toBase58(), ...decoded } : null;
+        })
+        .filter(Boolean);
+    } catch (error) {
+      logger.debug(`Error finding ${dex} pools for ${tokenMint}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read current reserves from the pool vaults
+   * @returns {Promise<Array<Object>>} pools with baseReserve/quoteReserve in UI units
+   */
+  async loadReserves(pools) {
+    if (pools.length === 0) return [];
+
+    const vaults = pools.flatMap(pool => [pool.baseVault, pool.quoteVault]);
+
+    try {
+      const response = await retryAsync(
+        () => this.connection.getMultipleParsedAccounts(vaults.map(vault => new PublicKey(vault))),
+        2,
+        1000
+      );
+
+      return pools.map((pool, index) => {
+        const base = this.getVaultAmount(response.value[index * 2]);
+        const quote = this.getVaultAmount(response.value[index * 2 + 1]);
+        if (!base || !quote) return null;
+
+        // AMM v4 vaults also hold protocol PnL that is not tradable
+        const baseRaw = base.amount - (pool.baseNeedTakePnl || BigInt(0));
+        const quoteRaw = quote.amount - (pool.quoteNeedTakePnl || BigInt(0));
+
+        return {
+          ...pool,
+          baseReserve: Number(baseRaw) / Math.pow(10, base.decimals),
+          quoteReserve: Number(quoteRaw) / Math.pow(10, quote.decimals),
+          reservesUpdatedAt: Date.now()
+        };
+      }).filter(Boolean);
+    } catch (error) {
+      logger.debug('Error loading pool reserves:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Extract the raw amount and decimals of a parsed token account
+   */
+  getVaultAmount(accountInfo) {
+    const tokenAmount = accountInfo && accountInfo.data && accountInfo.data.parsed
+      ? accountInfo.data.parsed.info.tokenAmount
+      : null;
+
+    if (!tokenAmount) return null;
+
+    return {
+      amount: BigInt(tokenAmount.amount),
+      decimals: tokenAmount.decimals
+    };
+  }
+
+  /**
+   * Forget cached pools, e.g. after a new pool was created for the mint
+   */
+  invalidate(tokenMint) {
+    this.poolCache.delete(tokenMint);
+  }
+}
+
+module.exports = PoolDiscovery;
\ No newline at end of file
@@ -0,0 +1,306 @@
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('./utils/logger');
+const { PROGRAM_IDS } = require('./utils/programs');
+const { BufferReader, anchorDiscriminator } = require('./utils/borsh');
+const {
+  getAccountKeys,
+  flattenInstructions,
+  getTokenBalanceChange,
+  getLamportChange,
+  logsInvokeProgram
+} = require('./utils/transaction');
+
+// Pump.fun mints always use 6 decimals
+const TOKEN_DECIMALS = 6;
+const LAMPORTS_PER_SOL = 1e9;
+
+// Prefix of Anchor self-CPI event instructions (emit_cpi!)
+const EVENT_IX_TAG = Buffer.from('e445a52e51cb9a1d', 'hex');
+
+const INSTRUCTIONS = {
+  create: anchorDiscriminator('global', 'create'),
+  buy: anchorDiscriminator('global', 'buy'),
+  sell: anchorDiscriminator('global', 'sell')
+};
+
+const EVENTS = {
+  create: anchorDiscriminator('event', 'CreateEvent'),
+  trade: anchorDiscriminator('event', 'TradeEvent'),
+  complete: anchorDiscriminator('event', 'CompleteEvent')
+};
+
+// PumpSwap pool creation used by the bonding curve migration
+const CREATE_POOL = anchorDiscriminator('global', 'create_pool');
+
+// Every curve starts with 1,073M virtual tokens, 793.1M of them for sale before it completes
+const INITIAL_VIRTUAL_TOKEN_RESERVES = 1073000000;
+const INITIAL_REAL_TOKEN_RESERVES = 793100000;
+
+const toSol = (lamports) => Number(lamports) / LAMPORTS_PER_SOL;
+const toTokens = (amount) => Number(amount) / Math.pow(10, TOKEN_DECIMALS);
+
+class PumpfunDecoder {
+  constructor() {
+    this.programId = PROGRAM_IDS.PUMPFUN;
+  }
+
+  /**
+   * Check whether transaction logs contain a pump.fun invocation
+   */
+  isPumpfunLog(logs) {
+    return logsInvokeProgram(logs, this.programId);
+  }
+
+  /**
+   * Check whether transaction logs contain a PumpSwap invocation (graduation)
+   */
+  isMigrationLog(logs) {
+    return logsInvokeProgram(logs, PROGRAM_IDS.PUMPSWAP);
+  }
+
+  /**
+   * Derive the bonding curve account of a pump.fun mint
+   */
+  getBondingCurveAddress(mint) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+      new PublicKey(this.programId)
+    );
+    return address.toBase58();
+  }
+
+  /**
+   * Share of the curve's tokens sold so far (0-100), from its virtual token reserves
+   */
+  getCurveProgress(virtualTokenReserves) {
+    const sold = INITIAL_VIRTUAL_TOKEN_RESERVES - virtualTokenReserves;
+    return Math.min(Math.max((sold / INITIAL_REAL_TOKEN_RESERVES) * 100, 0), 100);
+  }
+
+  /**
+   * Decode events emitted as "Program data:" log lines
+   */
+  decodeLogs(logs) {
+    const events = [];
+
+    for (const log of logs || []) {
+      if (!log.startsWith('Program data: ')) continue;
+
+      try {
+        const event = this.decodeEvent(Buffer.from(log.slice('Program data: '.length), 'base64'));
+        if (event) events.push(event);
+      } catch (error) {
+        logger.debug('Error decoding pump.fun log event:', error.message);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Decode create/buy/sell/complete and migration activity from a fetched transaction
+   */
+  decodeTransaction(txDetails) {
+    try {
+      if (!txDetails || !txDetails.meta || txDetails.meta.err) {
+        return [];
+      }
+
+      const allInstructions = flattenInstructions(txDetails);
+      const instructions = allInstructions.filter(ix => ix.programId === this.programId);
+      const migrations = this.decodeMigrations(txDetails, allInstructions);
+
+      // Prefer emitted event data, it carries exact amounts and reserves
+      let events = [];
+
+      for (const ix of instructions) {
+        if (ix.data.length > 16 && ix.data.subarray(0, 8).equals(EVENT_IX_TAG)) {
+          const event = this.decodeEvent(ix.data.subarray(8));
+          if (event) events.push(event);
+        }
+      }
+
+      if (events.length === 0) {
+        events = this.decodeLogs(txDetails.meta.logMessages);
+      }
+
+      if (events.length > 0) {
+        return events.concat(migrations);
+      }
+
+      // Older transactions without event data: fall back to instruction arguments
+      const accountKeys = getAccountKeys(txDetails);
+      return instructions
+        .map(ix => this.decodeInstruction(ix, txDetails, accountKeys))
+        .filter(Boolean)
+        .concat(migrations);
+    } catch (error) {
+      logger.debug('Error decoding pump.fun transaction:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Decode a CreateEvent / TradeEvent payload (discriminator + Borsh data)
+   */
+  decodeEvent(data) {
+    if (!data || data.length < 8) return null;
+
+    const discriminator = data.subarray(0, 8);
+    const reader = new BufferReader(data, 8);
+
+    if (discriminator.equals(EVENTS.create)) {
+      const event = {
+        type: 'create',
+        name: reader.string(),
+        symbol: reader.string(),
+        uri: reader.string(),
+        mint: reader.publicKey(),
+        bondingCurve: reader.publicKey(),
+        creator: reader.publicKey()
+      };
+
+      // Newer program versions append an explicit creator after the signer
+      if (reader.remaining() >= 32) {
+        event.creator = reader.publicKey();
+      }
+
+      return event;
+    }
+
+    if (discriminator.equals(EVENTS.trade)) {
+      const mint = reader.publicKey();
+      const solAmount = reader.u64();
+      const tokenAmount = reader.u64();
+      const isBuy = reader.bool();
+      const trader = reader.publicKey();
+      const timestamp = reader.i64();
+      const virtualSolReserves = reader.u64();
+      const virtualTokenReserves = reader.u64();
+
+      const event = {
+        type: 'trade',
+        mint,
+        bondingCurve: this.getBondingCurveAddress(mint),
+        side: isBuy ? 'buy' : 'sell',
+        trader,
+        solAmount: toSol(solAmount),
+        tokenAmount: toTokens(tokenAmount),
+        timestamp: Number(timestamp) * 1000,
+        virtualSolReserves: toSol(virtualSolReserves),
+        virtualTokenReserves: toTokens(virtualTokenReserves)
+      };
+
+      if (reader.remaining() >= 16) {
+        event.realSolReserves = toSol(reader.u64());
+        event.realTokenReserves = toTokens(reader.u64());
+      }
+
+      return event;
+    }
+
+    if (discriminator.equals(EVENTS.complete)) {
+      return {
+        type: 'complete',
+        user: reader.publicKey(),
+        mint: reader.publicKey(),
+        bondingCurve: reader.publicKey(),
+        timestamp: Number(reader.i64()) * 1000
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode PumpSwap pool creations that take over a completed bonding curve
+   */
+  decodeMigrations(txDetails, instructions) {
+    const accountKeys = getAccountKeys(txDetails);
+    const migrations = [];
+
+    for (const ix of instructions) {
+      if (ix.programId !== PROGRAM_IDS.PUMPSWAP) continue;
+      if (ix.data.length < 26 || !ix.data.subarray(0, 8).equals(CREATE_POOL)) continue;
+
+      const reader = new BufferReader(ix.data, 8);
+      reader.u16(); // pool index
+      const baseAmountIn = reader.u64();
+      const quoteAmountIn = reader.u64();
+
+      const [pool, , creator, baseMint, quoteMint] = ix.accounts;
+      const baseVault = ix.accounts[9];
+      const quoteVault = ix.accounts[10];
+
+      // Post balances of the pool vaults are the opening reserves
+      const base = getTokenBalanceChange(txDetails, accountKeys, baseVault);
+      const quote = getTokenBalanceChange(txDetails, accountKeys, quoteVault);
+
+      migrations.push({
+        type: 'migration',
+        dex: 'pumpswap',
+        mint: baseMint,
+        pool,
+        creator,
+        quoteMint,
+        baseVault,
+        quoteVault,
+        baseReserve: base
+          ? Number(base.postAmount) / Math.pow(10, base.decimals)
+          : toTokens(baseAmountIn),
+        quoteReserve: quote
+          ? Number(quote.postAmount) / Math.pow(10, quote.decimals)
+          : toSol(quoteAmountIn)
+      });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Decode a create/buy/sell instruction when no event data is available
+   */
+  decodeInstruction(ix, txDetails, accountKeys) {
+    if (ix.data.length < 8) return null;
+
+    const discriminator = ix.data.subarray(0, 8);
+    const reader = new BufferReader(ix.data, 8);
+
+    if (discriminator.equals(INSTRUCTIONS.create)) {
+      return {
+        type: 'create',
+        name: reader.string(),
+        symbol: reader.string(),
+        uri: reader.string(),
+        mint: ix.accounts[0],
+        bondingCurve: ix.accounts[2],
+        creator: ix.accounts[7]
+      };
+    }
+
+    const isBuy = discriminator.equals(INSTRUCTIONS.buy);
+    if (!isBuy && !discriminator.equals(INSTRUCTIONS.sell)) {
+      return null;
+    }
+
+    const tokenAmount = reader.u64();
+    const bondingCurve = ix.accounts[3];
+
+    // SOL actually moved in/out of the curve, excluding protocol fees
+    const lamports = getLamportChange(txDetails, accountKeys, bondingCurve);
+    if (!lamports) return null;
+
+    return {
+      type: 'trade',
+      mint: ix.accounts[2],
+      bondingCurve,
+      side: isBuy ? 'buy' : 'sell',
+      trader: ix.accounts[6],
+      solAmount: toSol(Math.abs(lamports)),
+      tokenAmount: toTokens(tokenAmount),
+      timestamp: txDetails.blockTime ? txDetails.blockTime * 1000 : Date.now()
+    };
+  }
+}
+
+module.exports = PumpfunDecoder;
\ No newline at end of file
@@ -0,0 +1,275 @@
+const logger = require('./utils/logger');
+const { PROGRAM_IDS, isQuoteMint } = require('./utils/programs');
+const { anchorDiscriminator } = require('./utils/borsh');
+const {
+  getAccountKeys,
+  flattenInstructions,
+  getTokenBalanceChange,
+  logsInvokeProgram
+} = require('./utils/transaction');
+
+// Raydium AMM v4 instruction discriminators
+const INITIALIZE2 = 1;
+const SWAP_BASE_IN = 9;
+const SWAP_BASE_OUT = 11;
+const WITHDRAW = 4;
+
+// Raydium CPMM remove-liquidity instruction
+const CPMM_WITHDRAW = anchorDiscriminator('global', 'withdraw');
+
+class RaydiumDecoder {
+  constructor() {
+    this.programId = PROGRAM_IDS.RAYDIUM_AMM_V4;
+  }
+
+  /**
+   * Check whether transaction logs contain a Raydium AMM v4 invocation
+   */
+  isSwapLog(logs) {
+    return logsInvokeProgram(logs, this.programId);
+  }
+
+  /**
+   * Check whether transaction logs contain a Raydium CPMM withdraw (remove liquidity)
+   */
+  isWithdrawLog(logs) {
+    return logsInvokeProgram(logs, PROGRAM_IDS.RAYDIUM_CPMM) &&
+      logs.some(log => log === 'Program log: Instruction: Withdraw');
+  }
+
+  /**
+   * Decode every Raydium AMM v4 swap in a transaction (top-level and CPI)
+   */
+  decodeSwaps(txDetails) {
+    try {
+      if (!txDetails || !txDetails.meta || txDetails.meta.err) {
+        return [];
+      }
+
+      const accountKeys = getAccountKeys(txDetails);
+      const swaps = new Map(); // pool -> swap
+
+      for (const ix of flattenInstructions(txDetails)) {
+        if (ix.programId !== this.programId) continue;
+
+        const args = this.decodeInstructionData(ix.data);
+        if (!args) continue;
+
+        const accounts = this.resolveSwapAccounts(ix.accounts);
+        if (!accounts) continue;
+
+        // Vault deltas are per transaction, so repeated swaps on the same pool are merged
+        if (swaps.has(accounts.pool)) continue;
+
+        const swap = this.buildSwap(txDetails, accountKeys, args, accounts);
+        if (swap) {
+          swaps.set(accounts.pool, swap);
+        }
+      }
+
+      return Array.from(swaps.values());
+    } catch (error) {
+      logger.debug('Error decoding Raydium swaps:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Decode Raydium AMM v4 pool creations (Initialize2) in a transaction
+   */
+  decodePoolInitializations(txDetails) {
+    try {
+      if (!txDetails || !txDetails.meta || txDetails.meta.err) {
+        return [];
+      }
+
+      const accountKeys = getAccountKeys(txDetails);
+      const pools = [];
+
+      for (const ix of flattenInstructions(txDetails)) {
+        if (ix.programId !== this.programId) continue;
+        if (ix.data.length < 26 || ix.data.readUInt8(0) !== INITIALIZE2) continue;
+        if (ix.accounts.length < 18) continue;
+
+        const coinVault = ix.accounts[10];
+        const pcVault = ix.accounts[11];
+        const coin = getTokenBalanceChange(txDetails, accountKeys, coinVault);
+        const pc = getTokenBalanceChange(txDetails, accountKeys, pcVault);
+        if (!coin || !pc) continue;
+
+        const coinIsQuote = isQuoteMint(coin.mint) && !isQuoteMint(pc.mint);
+        const base = coinIsQuote ? pc : coin;
+        const quote = coinIsQuote ? coin : pc;
+
+        pools.push({
+          dex: 'raydium_amm_v4',
+          pool: ix.accounts[4],
+          lpMint: ix.accounts[7],
+          creator: ix.accounts[17],
+          baseMint: base.mint,
+          quoteMint: quote.mint,
+          baseVault: coinIsQuote ? pcVault : coinVault,
+          quoteVault: coinIsQuote ? coinVault : pcVault,
+          baseReserve: Number(base.postAmount) / Math.pow(10, base.decimals),
+          quoteReserve: Number(quote.postAmount) / Math.pow(10, quote.decimals)
+        });
+      }
+
+      return pools;
+    } catch (error) {
+      logger.debug('Error decoding Raydium pool initializations:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Decode remove-liquidity instructions (AMM v4 Withdraw, CPMM withdraw) with the reserves they took
+   */
+  decodeLiquidityRemovals(txDetails) {
+    try {
+      if (!txDetails || !txDetails.meta || txDetails.meta.err) {
+        return [];
+      }
+
+      const accountKeys = getAccountKeys(txDetails);
+      const removals = [];
+
+      for (const ix of flattenInstructions(txDetails)) {
+        let removal = null;
+
+        if (ix.programId === this.programId && ix.data.length >= 9 &&
+            ix.data.readUInt8(0) === WITHDRAW && ix.accounts.length >= 8) {
+          removal = {
+            dex: 'raydium_amm_v4',
+            pool: ix.accounts[1],
+            lpAmount: ix.data.readBigUInt64LE(1),
+            vaults: [ix.accounts[6], ix.accounts[7]]
+          };
+        } else if (ix.programId === PROGRAM_IDS.RAYDIUM_CPMM && ix.data.length >= 16 &&
+            ix.data.subarray(0, 8).equals(CPMM_WITHDRAW) && ix.accounts.length >= 8) {
+          removal = {
+            dex: 'raydium_cpmm',
+            pool: ix.accounts[2],
+            lpAmount: ix.data.readBigUInt64LE(8),
+            vaults: [ix.accounts[6], ix.accounts[7]]
+          };
+        }
+
+        if (!removal) continue;
+
+        const [first, second] = removal.vaults.map(vault => getTokenBalanceChange(txDetails, accountKeys, vault));
+        if (!first || !second) continue;
+
+        const firstIsQuote = isQuoteMint(first.mint) && !isQuoteMint(second.mint);
+        const base = firstIsQuote ? second : first;
+        const quote = firstIsQuote ? first : second;
+        const quoteBefore = Number(quote.preAmount) / Math.pow(10, quote.decimals);
+
+        removals.push({
+          dex: removal.dex,
+          pool: removal.pool,
+          provider: accountKeys[0],
+          lpAmount: removal.lpAmount.toString(),
+          baseMint: base.mint,
+          quoteMint: quote.mint,
+          baseVault: firstIsQuote ? removal.vaults[1] : removal.vaults[0],
+          quoteVault: firstIsQuote ? removal.vaults[0] : removal.vaults[1],
+          baseRemoved: Math.abs(base.uiDelta),
+          quoteRemoved: Math.abs(quote.uiDelta),
+          quoteReserveBefore: quoteBefore,
+          removedPct: quoteBefore > 0 ? (Math.abs(quote.uiDelta) / quoteBefore) * 100 : 0
+        });
+      }
+
+      return removals;
+    } catch (error) {
+      logger.debug('Error decoding Raydium liquidity removals:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Decode SwapBaseIn / SwapBaseOut instruction data
+   */
+  decodeInstructionData(data) {
+    if (!data || data.length < 17) return null;
+
+    const discriminator = data.readUInt8(0);
+    const first = data.readBigUInt64LE(1);
+    const second = data.readBigUInt64LE(9);
+
+    if (discriminator === SWAP_BASE_IN) {
+      return { instruction: 'SwapBaseIn', amountIn: first, minimumAmountOut: second };
+    }
+
+    if (discriminator === SWAP_BASE_OUT) {
+      return { instruction: 'SwapBaseOut', maxAmountIn: first, amountOut: second };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map swap instruction accounts to named roles
+   */
+  resolveSwapAccounts(accounts) {
+    // 18 accounts when the AMM target orders account is passed, 17 otherwise
+    if (accounts.length < 17) return null;
+    const offset = accounts.length >= 18 ? 1 : 0;
+
+    return {
+      pool: accounts[1],
+      coinVault: accounts[4 + offset],
+      pcVault: accounts[5 + offset],
+      userSource: accounts[14 + offset],
+      userDestination: accounts[15 + offset],
+      userOwner: accounts[16 + offset]
+    };
+  }
+
+  /**
+   * Build a swap record from the pool vault balance changes
+   */
+  buildSwap(txDetails, accountKeys, args, accounts) {
+    const coin = getTokenBalanceChange(txDetails, accountKeys, accounts.coinVault);
+    const pc = getTokenBalanceChange(txDetails, accountKeys, accounts.pcVault);
+
+    if (!coin || !pc || coin.delta === 0n || pc.delta === 0n) {
+      return null;
+    }
+
+    // Treat SOL/USDC/USDT as the quote side regardless of coin/pc ordering
+    const coinIsQuote = isQuoteMint(coin.mint) && !isQuoteMint(pc.mint);
+    const base = coinIsQuote ? pc : coin;
+    const quote = coinIsQuote ? coin : pc;
+    const baseVault = coinIsQuote ? accounts.pcVault : accounts.coinVault;
+    const quoteVault = coinIsQuote ? accounts.coinVault : accounts.pcVault;
+
+    // The vault that grew received the input, the one that shrank paid the output
+    const input = coin.delta > 0n ? coin : pc;
+    const output = coin.delta > 0n ? pc : coin;
+
+    return {
+      dex: 'raydium_amm_v4',
+      instruction: args.instruction,
+      pool: accounts.pool,
+      trader: accounts.userOwner,
+      baseMint: base.mint,
+      quoteMint: quote.mint,
+      baseVault,
+      quoteVault,
+      baseDelta: base.uiDelta,
+      quoteDelta: quote.uiDelta,
+      inputMint: input.mint,
+      outputMint: output.mint,
+      amountIn: input.uiDelta,
+      amountOut: Math.abs(output.uiDelta),
+      direction: base.delta < 0n ? 'buy' : 'sell',
+      args: Object.fromEntries(
+        Object.entries(args).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+      )
+    };
+  }
+}
+
+module.exports = RaydiumDecoder;
\ No newline at end of file
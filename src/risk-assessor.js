@@ -1,15 +1,119 @@
 const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID, getAccount, getMint } = require('@solana/spl-token');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, getAccount, unpackMint, unpackAccount } = require('@solana/spl-token');
 const { getConfig } = require('./utils/config');
 const logger = require('./utils/logger');
 const { retryAsync, isValidPublicKey } = require('./utils/helpers');
+const { getMintExtensionFlags } = require('./utils/token-extensions');
+const { getMetadataAddress } = require('./utils/token-metadata');
+const { clusterByFunding } = require('./utils/wallet-clusters');
+const { KNOWN_ACCOUNTS, EXCHANGE_WALLETS, LOCKER_PROGRAMS, isQuoteMint } = require('./utils/programs');
+const PoolDiscovery = require('./pool-discovery');
+const HoneypotSimulator = require('./honeypot-simulator');
+const MetadataFetcher = require('./metadata-fetcher');
+const FundingTracer = require('./funding-tracer');
+const PumpfunDecoder = require('./pumpfun-decoder');
+const { CPMM_AUTHORITY } = require('./utils/swap-instructions');
+
+// Owners whose LP tokens can never be withdrawn
+const BURN_ADDRESSES = [
+  KNOWN_ACCOUNTS.INCINERATOR,
+  '11111111111111111111111111111111'
+];
+
+// Token account owners holding supply on behalf of a pool rather than a trader
+const PROGRAM_HOLDERS = {
+  [KNOWN_ACCOUNTS.RAYDIUM_AMM_V4_AUTHORITY]: 'Raydium AMM authority',
+  [CPMM_AUTHORITY.toBase58()]: 'Raydium CPMM authority',
+  [KNOWN_ACCOUNTS.PUMPFUN_RAYDIUM_MIGRATION]: 'pump.fun migration'
+};
+
+// Raydium's LP lock program keeps all locked CPMM LP under a single PDA
+const [RAYDIUM_LOCK_AUTHORITY] = PublicKey.findProgramAddressSync(
+  [Buffer.from('lock_cp_authority_seed')],
+  new PublicKey(LOCKER_PROGRAMS.RAYDIUM_LP_LOCK)
+);
+
+// Streamflow stream contract: end_time at 33, mint at 177, escrow token account at 209
+const STREAMFLOW_END_TIME_OFFSET = 33;
+const STREAMFLOW_MINT_OFFSET = 177;
+const STREAMFLOW_ESCROW_OFFSET = 209;
+
+// Token-2022 extension flags, each reported as a check of its own
+const EXTENSION_CHECKS = [
+  'transfer_fee',
+  'transfer_hook',
+  'permanent_delegate',
+  'non_transferable',
+  'default_account_frozen',
+  'confidential_transfers',
+  'interest_bearing'
+];
+
+// Every check of the report in order: the risk_assessment switch that turns it off,
+// the fetched data it cannot run without, and whether it returns { raised, details }
+const RISK_CHECKS = [
+  { name: 'mintable', toggle: 'MINTABLE_CHECKS', requires: 'mintInfo' },
+  { name: 'honeypot', toggle: 'HONEYPOT_CHECKS', evidence: true },
+  { name: 'lp_not_burned', toggle: 'LP_BURN_CHECKS', evidence: true },
+  { name: 'owner_not_renounced', toggle: 'OWNER_RENOUNCE_CHECKS', requires: 'mintInfo' },
+  ...EXTENSION_CHECKS.map(name => ({ name, toggle: 'TRANSFER_HOOK_CHECKS', requires: 'mintInfo', evidence: true })),
+  { name: 'high_holder_concentration', requires: 'holders', evidence: true },
+  { name: 'funding_cluster', toggle: 'FUNDING_CLUSTER_CHECKS', requires: 'holders', evidence: true },
+  { name: 'lp_not_found', evidence: true },
+  { name: 'dev_serial_rugger', evidence: true },
+  { name: 'metadata_mutable', evidence: true },
+  { name: 'copycat', toggle: 'COPYCAT_CHECKS', evidence: true },
+  { name: 'bundled_launch', evidence: true } // added by the monitor once the launch window closed
+];
+
+// Points added to the 0-10 score by each failed check
+const DEFAULT_RISK_WEIGHTS = {
+  'honeypot': 5,
+  'transfer_hook': 3,
+  'permanent_delegate': 4,
+  'non_transferable': 4,
+  'default_account_frozen': 4,
+  'transfer_fee': 2,
+  'confidential_transfers': 1,
+  'interest_bearing': 1,
+  'high_holder_concentration': 3,
+  'funding_cluster': 4,
+  'owner_not_renounced': 1,
+  'mintable': 1,
+  'lp_not_burned': 1,
+  'lp_not_found': 2,
+  'dev_serial_rugger': 5,
+  'bundled_launch': 4,
+  'metadata_mutable': 2,
+  'copycat': 3,
+  'assessment_failed': 1
+};
+
+const MAX_RISK_SCORE = 10;
 
 class RiskAssessor {
-  constructor(connection) {
+  constructor(connection, poolDiscovery = new PoolDiscovery(connection), batchManager = null, creatorReputation = null, copycatDetector = null, fundingTracer = new FundingTracer(connection)) {
     this.connection = connection;
     this.config = getConfig();
     this.riskConfig = this.config.get('risk_assessment');
     
+    this.poolDiscovery = poolDiscovery;
+    this.honeypotSimulator = new HoneypotSimulator(connection, poolDiscovery);
+    this.pumpfunDecoder = new PumpfunDecoder();
+    this.metadataFetcher = new MetadataFetcher(connection);
+    
+    // Groups mint lookups of tokens assessed around the same time into one RPC call
+    this.batchManager = batchManager;
+    
+    // Launch history of creator wallets, shared with the monitor that records outcomes
+    this.creatorReputation = creatorReputation;
+    
+    // Established and trending tokens new launches may impersonate
+    this.copycatDetector = copycatDetector;
+    
+    // First funders of holder wallets, shared with the launch analyzer
+    this.fundingTracer = fundingTracer;
+    
     // Cache for assessments to avoid repeated checks
     this.assessmentCache = new Map();
     this.cacheTTL = 5 * 60 * 1000; // 5 minutes
@@ -17,282 +121,923 @@ class RiskAssessor {
 
   /**
    * Perform comprehensive risk assessment on a token
+   * @param {Object} context - Known launch details, e.g. { creator, name, symbol }, and the
+   *   mint as fetchMints returns it when the caller read it already ({ mintInfo })
+   * @returns {Promise<Object>} risk report, see buildReport
    */
-  async assessToken(tokenMint) {
+  async assessToken(tokenMint, context = {}) {
     try {
       // Check cache first
       const cached = this.assessmentCache.get(tokenMint);
       if (cached && (Date.now() - cached.timestamp) < this.cacheTTL) {
-        return cached.flags;
+        return cached.report;
       }
 
       logger.debug(`Assessing risks for token: ${tokenMint}`);
       
-      const flags = [];
+      // Fetch the raw accounts once, the checks only read from them
+      const data = await this.fetchAssessmentData(tokenMint, context.mintInfo);
+      
+      // LP, sell and funding checks fetch their own accounts, pools are cached by now
+      const [lpResult, honeypotResult, fundingClusterResult, supply] = await Promise.all([
+        this.checkLPBurned(tokenMint, context),
+        this.checkHoneypot(data),
+        this.riskConfig.FUNDING_CLUSTER_CHECKS ? this.checkFundingClusters(data) : false,
+        this.getSupplyBreakdown(data)
+      ]);
       
       // Run all risk checks
-      const checks = [
-        this.checkMintable(tokenMint),
-        this.checkHoneypot(tokenMint),
-        this.checkLPBurned(tokenMint),
-        this.checkOwnerRenounced(tokenMint),
-        this.checkTransferHooks(tokenMint),
-        this.checkHolderConcentration(tokenMint),
-        this.checkLiquidityProvision(tokenMint)
-      ];
-
-      const results = await Promise.allSettled(checks);
-      
-      // Process check results
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          const checkNames = [
-            'mintable',
-            'honeypot', 
-            'lp_not_burned',
-            'owner_not_renounced',
-            'suspicious_transfer_hooks',
-            'high_holder_concentration',
-            'lp_not_found'
-          ];
-          flags.push(checkNames[index]);
-        }
-      });
+      const results = {
+        mintable: this.checkMintable(data),
+        honeypot: honeypotResult,
+        lp_not_burned: lpResult,
+        owner_not_renounced: this.checkOwnerRenounced(data),
+        high_holder_concentration: this.checkHolderConcentration(data),
+        funding_cluster: fundingClusterResult,
+        lp_not_found: this.checkLiquidityProvision(data),
+        dev_serial_rugger: this.checkCreatorReputation(tokenMint, context.creator),
+        metadata_mutable: this.checkMetadataMutable(data),
+        copycat: this.checkCopycat(data, context),
+        ...this.getExtensionResults(data)
+      };
+      
+      // Market cap counts the circulating supply only
+      const report = { ...this.buildReport(tokenMint, data, results), supply };
 
       // Cache the result
       this.assessmentCache.set(tokenMint, {
-        flags,
+        report,
         timestamp: Date.now()
       });
 
-      logger.debug(`Risk assessment for ${tokenMint}: ${flags.join(', ') || 'No risks detected'}`);
+      logger.debug(`Risk assessment for ${tokenMint}: ${report.score}/${MAX_RISK_SCORE} ${report.flags.join(', ') || 'No risks detected'}`);
       
-      return flags;
+      return report;
     } catch (error) {
       logger.error(`Error assessing token ${tokenMint}:`, error);
-      return ['assessment_failed'];
+      return this.buildFailedReport(tokenMint, error);
     }
   }
 
   /**
-   * Check if token is still mintable
+   * Turn check results into a report: per check its status ('pass', 'fail',
+   * 'unknown' or 'disabled'), evidence, weight, contribution to the score and
+   * timestamp, plus the failed checks as flags and the total score
+   * @param {Object} data - Fetched accounts, checks needing missing data are unknown
+   * @param {Object} results - check name -> raw result of the check
    */
-  async checkMintable(tokenMint) {
-    if (!this.riskConfig.MINTABLE_CHECKS) return false;
+  buildReport(tokenMint, data, results, now = Date.now()) {
+    const checks = {};
+    RISK_CHECKS.forEach(check => {
+      checks[check.name] = this.resolveCheck(check, data, results[check.name], now);
+    });
     
-    try {
-      const mintInfo = await retryAsync(
-        () => getMint(this.connection, new PublicKey(tokenMint)),
-        3,
-        1000
-      );
+    return this.scoreReport({ mint: tokenMint, assessedAt: now, checks });
+  }
+
+  /**
+   * Report of an assessment that threw: nothing is known but the failure itself
+   */
+  buildFailedReport(tokenMint, error, now = Date.now()) {
+    const checks = {};
+    RISK_CHECKS.forEach(check => {
+      checks[check.name] = this.resolveCheck(check, null, undefined, now);
+    });
+    checks.assessment_failed = this.resolveCheck(
+      { name: 'assessment_failed' },
+      null,
+      { raised: true, details: { error: error.message } },
+      now
+    );
+    
+    return this.scoreReport({ mint: tokenMint, assessedAt: now, checks });
+  }
 
-      // Token is mintable if mint authority exists
-      const isMintable = mintInfo.mintAuthority !== null;
+  /**
+   * Record checks that ran after the assessment, e.g. once the launch window closed
+   * @param {Object} results - check name -> raw result of the check
+   * @param {Object|null} data - Data the checks read, checks needing missing data are unknown
+   * @returns {Object} a new report with the checks and score updated
+   */
+  updateReport(report, results, data = null, now = Date.now()) {
+    const checks = { ...report.checks };
+    Object.entries(results).forEach(([name, result]) => {
+      const check = RISK_CHECKS.find(entry => entry.name === name) || { name };
+      checks[name] = this.resolveCheck(check, data, result, now);
+    });
+    
+    const updated = this.scoreReport({ ...report, checks });
+    
+    const cached = this.assessmentCache.get(report.mint);
+    if (cached) cached.report = updated;
+    
+    return updated;
+  }
+
+  /**
+   * Re-run the checks reading the mint and its metadata after they changed on chain.
+   * Holder shares are measured against supply, a supply change refetches the holders too.
+   * @returns {Promise<Object|null>} the updated report, null if the mint could not be read
+   */
+  async refreshMintChecks(previous, tokenMint, { supplyChanged = false } = {}) {
+    try {
+      // Straight to the RPC: the account just changed, batching would only delay it
+      const mints = await this.fetchMints([tokenMint]);
+      const data = { tokenMint, mintInfo: mints[tokenMint] };
+      if (!data.mintInfo) return null;
       
-      logger.debug(`Token ${tokenMint} mintable: ${isMintable}`);
-      return isMintable;
+      const results = {
+        mintable: this.checkMintable(data),
+        owner_not_renounced: this.checkOwnerRenounced(data),
+        metadata_mutable: this.checkMetadataMutable(data),
+        copycat: this.checkCopycat(data),
+        ...this.getExtensionResults(data)
+      };
+      
+      if (supplyChanged) {
+        const [largestAccounts, pools] = await Promise.all([
+          this.fetchLargestAccounts(tokenMint),
+          this.findPools(tokenMint)
+        ]);
+        Object.assign(data, { largestAccounts, pools });
+        data.holders = await this.fetchHolders(tokenMint, data.mintInfo, largestAccounts);
+        results.high_holder_concentration = this.checkHolderConcentration(data);
+        if (this.riskConfig.FUNDING_CLUSTER_CHECKS) {
+          results.funding_cluster = await this.checkFundingClusters(data);
+        }
+      }
+      
+      const report = supplyChanged ? { ...previous, supply: await this.getSupplyBreakdown(data) } : previous;
+      return this.updateReport(report, results, data);
     } catch (error) {
-      logger.debug(`Error checking mintable for ${tokenMint}:`, error.message);
-      return false; // Assume not mintable if check fails
+      logger.debug(`Error refreshing mint checks for ${tokenMint}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Check for honeypot characteristics
+   * Split the extension check into one result per extension flag
    */
-  async checkHoneypot(tokenMint) {
-    if (!this.riskConfig.HONEYPOT_CHECKS) return false;
+  getExtensionResults(data) {
+    const extensionFlags = this.checkTokenExtensions(data);
+    if (!extensionFlags) return {};
     
-    try {
-      // This is a simplified honeypot check
-      // In production, you'd analyze trading patterns, failed transactions, etc.
+    const results = {};
+    EXTENSION_CHECKS.forEach(name => {
+      const raised = extensionFlags.find(({ flag }) => flag === name);
+      results[name] = { raised: Boolean(raised), details: raised ? raised.details : null };
+    });
+    
+    return results;
+  }
+
+  /**
+   * Work out the status of one check from its raw result
+   */
+  resolveCheck(check, data, result, checkedAt) {
+    const weight = this.getWeight(check.name);
+    let status;
+    let evidence = null;
+    
+    if (check.toggle && !this.riskConfig[check.toggle]) {
+      status = 'disabled';
+    } else if (check.requires && (!data || !data[check.requires])) {
+      status = 'unknown';
+    } else if (result && typeof result === 'object') {
+      evidence = result.details || null;
+      status = result.raised ? 'fail' : 'pass';
       
-      const mintInfo = await retryAsync(
-        () => getMint(this.connection, new PublicKey(tokenMint)),
-        3,
-        1000
-      );
+      // A simulation that could not run proves nothing either way
+      if (check.name === 'honeypot' && !result.raised && !this.honeypotSimulator.isConclusive(evidence)) {
+        status = 'unknown';
+      }
+    } else if (check.evidence) {
+      status = 'unknown'; // Checks with evidence return false when they could not run
+    } else {
+      status = result ? 'fail' : 'pass';
+    }
+    
+    return {
+      status,
+      evidence,
+      weight,
+      contribution: status === 'fail' ? weight : 0,
+      checkedAt
+    };
+  }
 
-      // Check for suspicious characteristics
-      const suspiciousFlags = [];
+  /**
+   * Derive the flags and the capped score from a report's checks
+   */
+  scoreReport(report) {
+    const entries = Object.entries(report.checks);
+    const total = entries.reduce((sum, [, check]) => sum + check.contribution, 0);
+    
+    return {
+      ...report,
+      score: Math.min(total, MAX_RISK_SCORE),
+      maxScore: MAX_RISK_SCORE,
+      flags: entries.filter(([, check]) => check.status === 'fail').map(([name]) => name)
+    };
+  }
 
-      // Very high supply might indicate a honeypot
-      if (mintInfo.supply > BigInt(1000000000000)) {
-        suspiciousFlags.push('high_supply');
-      }
+  /**
+   * Weight of a check, risk_assessment.RISK_WEIGHTS overrides the defaults
+   */
+  getWeight(name) {
+    const weights = { ...DEFAULT_RISK_WEIGHTS, ...(this.riskConfig.RISK_WEIGHTS || {}) };
+    return weights[name] !== undefined ? weights[name] : 1;
+  }
 
-      // Unusual decimal places
-      if (mintInfo.decimals > 9) {
-        suspiciousFlags.push('unusual_decimals');
-      }
+  /**
+   * Fetch the accounts every check reads: the mint with its metadata, its holders and its pools.
+   * A failed fetch leaves the field null and the checks fall back to their defaults.
+   * @param {Object|null} knownMint - The mint with its metadata if already read, not fetched again
+   * @returns {Promise<{tokenMint: string, mintInfo: Object|null, largestAccounts: Array|null, holders: Object|null, pools: Array}>}
+   */
+  async fetchAssessmentData(tokenMint, knownMint = null) {
+    const [mintInfo, largestAccounts, pools] = await Promise.all([
+      knownMint || this.loadMint(tokenMint),
+      this.fetchLargestAccounts(tokenMint),
+      this.findPools(tokenMint)
+    ]);
+    const holders = await this.fetchHolders(tokenMint, mintInfo, largestAccounts);
 
-      // Check if freeze authority still exists (red flag)
-      if (mintInfo.freezeAuthority !== null) {
-        suspiciousFlags.push('freeze_authority');
-      }
+    return { tokenMint, mintInfo, largestAccounts, holders, pools };
+  }
 
-      const isHoneypot = suspiciousFlags.length >= 2;
-      
-      if (isHoneypot) {
-        logger.debug(`Token ${tokenMint} honeypot indicators: ${suspiciousFlags.join(', ')}`);
-      }
-      
-      return isHoneypot;
+  /**
+   * Find the token's AMM pools, none if discovery fails
+   */
+  async findPools(tokenMint) {
+    try {
+      return await this.poolDiscovery.findPools(tokenMint);
     } catch (error) {
-      logger.debug(`Error checking honeypot for ${tokenMint}:`, error.message);
-      return false;
+      logger.debug(`Error finding pools for ${tokenMint}:`, error.message);
+      return [];
     }
   }
 
   /**
-   * Check if LP tokens are burned
+   * Fetch every token account holding the mint with its owner.
+   * Falls back to the largest accounts when the RPC refuses program scans,
+   * in which case the list is incomplete and the holder count unknown.
+   * @returns {Promise<{accounts: Array<{address, owner, amount}>, complete: boolean}|null>}
    */
-  async checkLPBurned(tokenMint) {
-    if (!this.riskConfig.LP_BURN_CHECKS) return false;
+  async fetchHolders(tokenMint, mintInfo, largestAccounts) {
+    if (!mintInfo) return null;
     
     try {
-      // This is a simplified check - would need to find actual LP token addresses
-      // For now, we'll return false (LP not burned) as a conservative assumption
+      const filters = [{ memcmp: { offset: 0, bytes: tokenMint } }];
+      if (mintInfo.tokenProgram === TOKEN_PROGRAM_ID.toBase58()) {
+        filters.push({ dataSize: 165 });
+      }
       
-      // TODO: Implement proper LP token detection and burn verification
-      // This would require:
-      // 1. Finding LP pools for this token
-      // 2. Checking if LP tokens were sent to burn address
-      // 3. Verifying the burn transaction
+      // Owner and amount only: 32 bytes after the mint
+      const accounts = await retryAsync(
+        () => this.connection.getProgramAccounts(new PublicKey(mintInfo.tokenProgram), {
+          filters,
+          dataSlice: { offset: 32, length: 40 }
+        }),
+        2,
+        1000
+      );
       
-      logger.debug(`LP burn check for ${tokenMint}: not implemented (assuming not burned)`);
-      return true; // Assume LP not burned as conservative default
+      return {
+        complete: true,
+        accounts: accounts
+          .map(({ pubkey, account }) => ({
+            address: pubkey.toBase58(),
+            owner: new PublicKey(account.data.subarray(0, 32)).toBase58(),
+            amount: account.data.readBigUInt64LE(32)
+          }))
+          .filter(holder => holder.amount > BigInt(0))
+      };
     } catch (error) {
-      logger.debug(`Error checking LP burned for ${tokenMint}:`, error.message);
-      return false;
+      logger.debug(`Error scanning holders of ${tokenMint}, using largest accounts:`, error.message);
+    }
+    
+    if (!largestAccounts || largestAccounts.length === 0) return null;
+    
+    try {
+      const infos = await this.connection.getMultipleAccountsInfo(largestAccounts.map(account => account.address));
+      
+      return {
+        complete: false,
+        accounts: largestAccounts
+          .map((account, index) => ({
+            address: account.address.toBase58(),
+            owner: infos[index] ? unpackAccount(account.address, infos[index], infos[index].owner).owner.toBase58() : null,
+            amount: BigInt(account.amount)
+          }))
+          .filter(holder => holder.amount > BigInt(0))
+      };
+    } catch (error) {
+      logger.debug(`Error reading largest holders of ${tokenMint}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Check if owner/authority has been renounced
+   * Load a mint, batched with other pending assessments when a BatchManager is set
    */
-  async checkOwnerRenounced(tokenMint) {
-    if (!this.riskConfig.OWNER_RENOUNCE_CHECKS) return false;
-    
+  async loadMint(tokenMint) {
+    try {
+      if (this.batchManager) {
+        const [mintInfo] = await this.batchManager.batchTokenMetadata(
+          tokenMint,
+          (tokenMints) => this.fetchMints(tokenMints)
+        );
+        return mintInfo;
+      }
+
+      const mints = await this.fetchMints([tokenMint]);
+      return mints[tokenMint];
+    } catch (error) {
+      logger.debug(`Error loading mint ${tokenMint}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch several mints and their Metaplex metadata accounts with a single getMultipleAccountsInfo call
+   * @returns {Promise<Object>} mint -> unpacked mint with its tokenMetadata, or null when missing or not a token mint
+   */
+  async fetchMints(tokenMints) {
+    const addresses = tokenMints.map(mint => new PublicKey(mint));
+    const metadataAddresses = tokenMints.map(mint => new PublicKey(getMetadataAddress(mint)));
+    const accountInfos = await retryAsync(
+      () => this.connection.getMultipleAccountsInfo([...addresses, ...metadataAddresses]),
+      3,
+      1000
+    );
+
+    const mints = {};
+    tokenMints.forEach((mint, index) => {
+      try {
+        const mintInfo = this.unpackMintAccount(addresses[index], accountInfos[index]);
+        const metadataAccount = accountInfos[tokenMints.length + index];
+        mints[mint] = { ...mintInfo, tokenMetadata: this.metadataFetcher.readMetadata(mintInfo, metadataAccount) };
+      } catch (error) {
+        logger.debug(`Error unpacking mint ${mint}:`, error.message);
+        mints[mint] = null;
+      }
+    });
+
+    return mints;
+  }
+
+  /**
+   * Fetch and unpack a single mint
+   */
+  async fetchMint(tokenMint) {
+    const mintAddress = new PublicKey(tokenMint);
+    const accountInfo = await retryAsync(
+      () => this.connection.getAccountInfo(mintAddress),
+      3,
+      1000
+    );
+
+    return this.unpackMintAccount(mintAddress, accountInfo);
+  }
+
+  /**
+   * Unpack a mint account with the token program that owns it
+   */
+  unpackMintAccount(mintAddress, accountInfo) {
+    if (!accountInfo) {
+      throw new Error(`Mint account ${mintAddress.toBase58()} not found`);
+    }
+
+    const owner = accountInfo.owner;
+    if (!owner.equals(TOKEN_PROGRAM_ID) && !owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      throw new Error(`Account ${mintAddress.toBase58()} is not owned by a token program (${owner.toBase58()})`);
+    }
+
+    // unpackMint parses Token-2022 extension data (tlvData) when given its program id
+    return { ...unpackMint(mintAddress, accountInfo, owner), tokenProgram: owner.toBase58() };
+  }
+
+  /**
+   * Fetch the largest holders of a mint
+   * @returns {Promise<Array|null>} token accounts with raw amounts, null if the call failed
+   */
+  async fetchLargestAccounts(tokenMint) {
     try {
-      const mintInfo = await retryAsync(
-        () => getMint(this.connection, new PublicKey(tokenMint)),
+      const largestAccounts = await retryAsync(
+        () => this.connection.getTokenLargestAccounts(new PublicKey(tokenMint)),
         3,
         1000
       );
 
-      // Owner is considered renounced if both authorities are null
-      const ownerRenounced = mintInfo.mintAuthority === null && mintInfo.freezeAuthority === null;
-      
-      logger.debug(`Token ${tokenMint} owner renounced: ${ownerRenounced}`);
-      return !ownerRenounced; // Return true if owner NOT renounced (risk)
+      return largestAccounts.value || [];
     } catch (error) {
-      logger.debug(`Error checking owner renounced for ${tokenMint}:`, error.message);
-      return true; // Assume owner not renounced as conservative default
+      logger.debug(`Error fetching largest accounts for ${tokenMint}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Check for suspicious transfer hooks
+   * Check if token is still mintable
    */
-  async checkTransferHooks(tokenMint) {
-    if (!this.riskConfig.TRANSFER_HOOK_CHECKS) return false;
+  checkMintable({ tokenMint, mintInfo }) {
+    if (!this.riskConfig.MINTABLE_CHECKS) return false;
+    if (!mintInfo) return false; // Assume not mintable if the mint could not be read
+
+    // Token is mintable if mint authority exists
+    const isMintable = mintInfo.mintAuthority !== null;
+    
+    logger.debug(`Token ${tokenMint} mintable: ${isMintable}`);
+    return isMintable;
+  }
+
+  /**
+   * Check whether a small sell goes through, by simulating a buy and a sell.
+   * Returns { raised, details } with the simulated outcome and its error logs.
+   */
+  async checkHoneypot({ tokenMint, mintInfo }) {
+    if (!this.riskConfig.HONEYPOT_CHECKS) return false;
     
     try {
-      const mintInfo = await retryAsync(
-        () => getMint(this.connection, new PublicKey(tokenMint)),
-        3,
-        1000
-      );
+      const hook = mintInfo ? getMintExtensionFlags(mintInfo).find(({ flag }) => flag === 'transfer_hook') : null;
+      const outcome = await this.honeypotSimulator.simulate(tokenMint, hook ? hook.details.programId : null);
+      
+      return {
+        raised: this.honeypotSimulator.isHoneypot(outcome),
+        details: outcome
+      };
+    } catch (error) {
+      logger.debug(`Error checking honeypot for ${tokenMint}:`, error.message);
+      return false;
+    }
+  }
 
-      // Check for Token-2022 extensions that might include transfer hooks
-      // This is a simplified check - Token-2022 has more complex extension handling
+  /**
+   * Check how much of the token's LP supply is burned, locked or withdrawable.
+   * Returns { raised, details } where details carries the percentages and status
+   * of the least protected pool.
+   */
+  async checkLPBurned(tokenMint, context = {}) {
+    if (!this.riskConfig.LP_BURN_CHECKS) return false;
+    
+    try {
+      const pools = (await this.poolDiscovery.findPools(tokenMint)).filter(pool => pool.lpMint);
       
-      const hasExtensions = mintInfo.tlvData && mintInfo.tlvData.length > 0;
+      if (pools.length === 0) {
+        logger.debug(`LP burn check for ${tokenMint}: no AMM pool with an LP mint`);
+        return false;
+      }
       
-      if (hasExtensions) {
-        logger.debug(`Token ${tokenMint} has extensions - potential transfer hooks`);
-        return true;
+      const analyses = [];
+      for (const pool of pools) {
+        const analysis = await this.analyzeLpDistribution(pool, context.creator);
+        if (analysis) analyses.push(analysis);
       }
       
-      return false;
+      if (analyses.length === 0) return false;
+      
+      // The least protected pool decides the status
+      const worst = analyses.reduce((current, analysis) => {
+        const protectedPct = analysis.burnedPct + analysis.lockedPct;
+        return protectedPct < current.burnedPct + current.lockedPct ? analysis : current;
+      });
+      
+      logger.debug(`LP for ${tokenMint} (${worst.dex}): ${worst.status}, burned ${worst.burnedPct}%, locked ${worst.lockedPct}%`);
+      
+      return {
+        raised: worst.status === 'unlocked',
+        details: { ...worst, poolCount: analyses.length }
+      };
     } catch (error) {
-      logger.debug(`Error checking transfer hooks for ${tokenMint}:`, error.message);
+      logger.debug(`Error checking LP burned for ${tokenMint}:`, error.message);
       return false;
     }
   }
 
   /**
-   * Check holder concentration (whale dominance)
+   * Split a pool's LP supply into burned, locked, deployer and other holdings
    */
-  async checkHolderConcentration(tokenMint) {
+  async analyzeLpDistribution(pool, creator) {
     try {
-      // Get largest token accounts for this mint
+      const lpMintInfo = await this.fetchMint(pool.lpMint);
+      const supply = lpMintInfo.supply;
+      
+      // LP burned with an SPL burn leaves the pool's own minted counter untouched
+      const minted = pool.lpSupply > supply ? pool.lpSupply : supply;
+      if (minted === BigInt(0)) return null;
+      
+      const amounts = {
+        burned: minted - supply,
+        locked: BigInt(0),
+        deployer: BigInt(0),
+        unlocked: BigInt(0)
+      };
+      const unlockTimes = [];
+      const now = Date.now();
+      
       const largestAccounts = await retryAsync(
-        () => this.connection.getTokenLargestAccounts(new PublicKey(tokenMint)),
-        3,
+        () => this.connection.getTokenLargestAccounts(new PublicKey(pool.lpMint)),
+        2,
         1000
       );
+      const holders = largestAccounts.value.filter(holder => BigInt(holder.amount) > BigInt(0));
+      
+      const holderInfos = await this.connection.getMultipleAccountsInfo(holders.map(holder => holder.address));
+      const authorities = holderInfos.map((info, index) => (
+        info ? unpackAccount(holders[index].address, info, info.owner).owner.toBase58() : null
+      ));
+      
+      // Authorities that are accounts of a locker program (escrow state, vesting accounts)
+      const authorityKeys = [...new Set(authorities.filter(Boolean))];
+      const authorityInfos = await this.connection.getMultipleAccountsInfo(authorityKeys.map(key => new PublicKey(key)));
+      const lockerAuthorities = new Set(authorityKeys.filter((key, index) => (
+        authorityInfos[index] && Object.values(LOCKER_PROGRAMS).includes(authorityInfos[index].owner.toBase58())
+      )));
+      
+      const streams = await this.findStreamflowLocks(pool.lpMint);
+      let counted = BigInt(0);
+      
+      holders.forEach((holder, index) => {
+        const amount = BigInt(holder.amount);
+        const address = holder.address.toBase58();
+        const authority = authorities[index];
+        counted += amount;
+        
+        if (BURN_ADDRESSES.includes(authority)) {
+          amounts.burned += amount;
+        } else if (streams.has(address) && streams.get(address) > now) {
+          amounts.locked += amount;
+          unlockTimes.push(streams.get(address));
+        } else if (authority === RAYDIUM_LOCK_AUTHORITY.toBase58() || lockerAuthorities.has(authority)) {
+          amounts.locked += amount; // permanent or unknown unlock date
+        } else if (creator && authority === creator) {
+          amounts.deployer += amount;
+        } else {
+          amounts.unlocked += amount;
+        }
+      });
+      
+      // Supply outside the largest accounts is spread across small wallets
+      if (supply > counted) {
+        amounts.unlocked += supply - counted;
+      }
+      
+      const percent = (amount) => Number((amount * BigInt(10000)) / minted) / 100;
+      const burnedPct = percent(amounts.burned);
+      const lockedPct = percent(amounts.locked);
+      const minProtectedPct = this.riskConfig.LP_MIN_BURNED_PERCENT || 95;
+      
+      let status = 'unlocked';
+      if (burnedPct >= minProtectedPct) {
+        status = 'burned';
+      } else if (burnedPct + lockedPct >= minProtectedPct) {
+        status = 'locked';
+      }
+      
+      return {
+        dex: pool.dex,
+        pool: pool.pool,
+        lpMint: pool.lpMint,
+        status,
+        burnedPct,
+        lockedPct,
+        deployerPct: percent(amounts.deployer),
+        unlockedPct: percent(amounts.unlocked),
+        unlockAt: unlockTimes.length > 0 ? Math.min(...unlockTimes) : null
+      };
+    } catch (error) {
+      logger.debug(`Error analyzing LP distribution for pool ${pool.pool}:`, error.message);
+      return null;
+    }
+  }
 
-      if (!largestAccounts.value || largestAccounts.value.length === 0) {
-        return true; // No holders found - suspicious
+  /**
+   * Split the mint's supply into burned, locked and circulating, in UI units.
+   * Burned sits with burn addresses, locked in Streamflow escrows that have not
+   * ended. With only the largest holders known, smaller burns and locks are missed.
+   * @returns {Promise<{total, burned, locked, circulating, complete}|null>}
+   */
+  async getSupplyBreakdown({ tokenMint, mintInfo, holders }, now = Date.now()) {
+    if (!mintInfo) return null;
+    
+    const accounts = holders ? holders.accounts : [];
+    const locks = accounts.length > 0 ? await this.findStreamflowLocks(tokenMint) : new Map();
+    let burned = BigInt(0);
+    let locked = BigInt(0);
+    
+    for (const { address, owner, amount } of accounts) {
+      if (BURN_ADDRESSES.includes(owner) || BURN_ADDRESSES.includes(address)) {
+        burned += amount;
+      } else if (locks.has(address) && locks.get(address) > now) {
+        locked += amount;
       }
+    }
+    
+    const toUi = (amount) => Number(amount) / Math.pow(10, mintInfo.decimals);
+    
+    return {
+      total: toUi(mintInfo.supply),
+      burned: toUi(burned),
+      locked: toUi(locked),
+      circulating: toUi(mintInfo.supply - burned - locked),
+      complete: Boolean(holders && holders.complete)
+    };
+  }
 
-      const accounts = largestAccounts.value;
-      const totalSupply = accounts.reduce((sum, acc) => sum + Number(acc.amount), 0);
+  /**
+   * Find Streamflow contracts escrowing a mint, e.g. LP tokens or vested supply
+   * @returns {Promise<Map<string, number>>} escrow token account -> unlock time (ms)
+   */
+  async findStreamflowLocks(mint) {
+    const locks = new Map();
+    
+    try {
+      const accounts = await this.connection.getProgramAccounts(
+        new PublicKey(LOCKER_PROGRAMS.STREAMFLOW),
+        { filters: [{ memcmp: { offset: STREAMFLOW_MINT_OFFSET, bytes: mint } }] }
+      );
       
-      if (totalSupply === 0) {
-        return true; // No supply - suspicious
+      for (const { account } of accounts) {
+        const data = account.data;
+        if (data.length < STREAMFLOW_ESCROW_OFFSET + 32) continue;
+        
+        const escrow = new PublicKey(data.subarray(STREAMFLOW_ESCROW_OFFSET, STREAMFLOW_ESCROW_OFFSET + 32));
+        const endTime = Number(data.readBigUInt64LE(STREAMFLOW_END_TIME_OFFSET)) * 1000;
+        locks.set(escrow.toBase58(), endTime);
       }
+    } catch (error) {
+      logger.debug(`Error finding Streamflow locks for ${mint}:`, error.message);
+    }
+    
+    return locks;
+  }
 
-      // Check if top holder has too much concentration
-      const topHolderPercentage = Number(accounts[0].amount) / totalSupply;
-      const isHighConcentration = topHolderPercentage > this.riskConfig.MAX_HOLDER_CONCENTRATION;
+  /**
+   * Check if owner/authority has been renounced
+   */
+  checkOwnerRenounced({ tokenMint, mintInfo }) {
+    if (!this.riskConfig.OWNER_RENOUNCE_CHECKS) return false;
+    if (!mintInfo) return true; // Assume owner not renounced as conservative default
 
-      // Check minimum holder count
-      const holderCount = accounts.filter(acc => Number(acc.amount) > 0).length;
-      const tooFewHolders = holderCount < this.riskConfig.MIN_HOLDER_COUNT;
+    // Owner is considered renounced if both authorities are null
+    const ownerRenounced = mintInfo.mintAuthority === null && mintInfo.freezeAuthority === null;
+    
+    logger.debug(`Token ${tokenMint} owner renounced: ${ownerRenounced}`);
+    return !ownerRenounced; // Return true if owner NOT renounced (risk)
+  }
 
-      const hasConcentrationRisk = isHighConcentration || tooFewHolders;
+  /**
+   * Check Token-2022 extensions (transfer fee, hooks, delegates, frozen defaults...)
+   */
+  checkTokenExtensions({ tokenMint, mintInfo }) {
+    if (!this.riskConfig.TRANSFER_HOOK_CHECKS) return false;
+    if (!mintInfo) return false;
+    
+    try {
+      const extensionFlags = getMintExtensionFlags(mintInfo);
       
-      if (hasConcentrationRisk) {
-        logger.debug(`Token ${tokenMint} concentration risk - top holder: ${(topHolderPercentage * 100).toFixed(1)}%, holders: ${holderCount}`);
+      if (extensionFlags.length > 0) {
+        logger.debug(`Token ${tokenMint} risky extensions: ${extensionFlags.map(f => f.flag).join(', ')}`);
       }
       
-      return hasConcentrationRisk;
+      return extensionFlags;
     } catch (error) {
-      logger.debug(`Error checking holder concentration for ${tokenMint}:`, error.message);
+      logger.debug(`Error checking token extensions for ${tokenMint}:`, error.message);
       return false;
     }
   }
 
   /**
-   * Check if liquidity is properly provided
+   * Check holder concentration (whale dominance) against the real supply.
+   * Pool vaults, bonding curves, burn addresses and labeled addresses are not holders.
+   * Returns { raised, details } with top-1/10/20 percentages and the holder count.
    */
-  async checkLiquidityProvision(tokenMint) {
-    try {
-      // This is a simplified check
-      // In production, you'd check specific DEX pools
+  checkHolderConcentration({ tokenMint, mintInfo, holders, pools = [] }) {
+    if (!mintInfo || !holders) return false; // Holders could not be read
+    
+    const supply = mintInfo.supply;
+    if (supply === BigInt(0)) {
+      return { raised: true, details: { supply: '0' } }; // No supply - suspicious
+    }
+    
+    const { ranked, excluded } = this.rankHolders(tokenMint, holders, pools);
+    const percent = (amount) => Number((amount * BigInt(10000)) / supply) / 100;
+    const topPercent = (count) => percent(ranked.slice(0, count).reduce((sum, [, amount]) => sum + amount, BigInt(0)));
+    
+    const details = {
+      top1Pct: topPercent(1),
+      top10Pct: topPercent(10),
+      top20Pct: topPercent(20),
+      topHolder: ranked.length > 0 ? ranked[0][0] : null,
+      holderCount: holders.complete ? ranked.length : null,
+      excluded: [...excluded.entries()].map(([label, amount]) => ({ label, pct: percent(amount) }))
+    };
+    
+    // Top holder share of supply; MAX_HOLDER_CONCENTRATION is a fraction
+    const isHighConcentration = details.top1Pct > this.riskConfig.MAX_HOLDER_CONCENTRATION * 100;
+    const tooFewHolders = details.holderCount !== null && details.holderCount < this.riskConfig.MIN_HOLDER_COUNT;
+    const hasConcentrationRisk = isHighConcentration || tooFewHolders;
+    
+    if (hasConcentrationRisk) {
+      logger.debug(`Token ${tokenMint} concentration risk - top holder: ${details.top1Pct.toFixed(1)}%, holders: ${details.holderCount}`);
+    }
+    
+    return { raised: hasConcentrationRisk, details };
+  }
+
+  /**
+   * Sum balances per owner wallet, largest first, setting aside pools, curves, burns and labeled addresses
+   * @returns {{ranked: Array<[string, bigint]>, excluded: Map<string, bigint>}} owner balances and label -> amount
+   */
+  rankHolders(tokenMint, holders, pools) {
+    const excludedAddresses = this.getExcludedHolders(tokenMint, pools);
+    const balances = new Map(); // owner -> amount
+    const excluded = new Map(); // label -> amount
+    
+    for (const { address, owner, amount } of holders.accounts) {
+      const label = excludedAddresses.get(address) || excludedAddresses.get(owner);
+      if (label) {
+        excluded.set(label, (excluded.get(label) || BigInt(0)) + amount);
+        continue;
+      }
       
-      // For now, assume liquidity exists if we can find any token accounts
-      const largestAccounts = await retryAsync(
-        () => this.connection.getTokenLargestAccounts(new PublicKey(tokenMint)),
-        2,
-        500
-      );
+      const holder = owner || address;
+      balances.set(holder, (balances.get(holder) || BigInt(0)) + amount);
+    }
+    
+    return {
+      ranked: [...balances.entries()].sort((a, b) => Number(b[1] - a[1])),
+      excluded
+    };
+  }
 
-      const hasLiquidity = largestAccounts.value && largestAccounts.value.length > 0;
+  /**
+   * Check whether the top holders were funded from one source: trace the first
+   * inbound SOL transfer of each top owner wallet, group wallets sharing a funder
+   * or funded by one another, and measure the largest group's share of supply.
+   * Withdrawals from exchanges (built in plus EXCHANGE_WALLETS) group nothing.
+   * Returns { raised, details } with the clusters' wallets and shares.
+   */
+  async checkFundingClusters({ tokenMint, mintInfo, holders, pools = [] }) {
+    if (!mintInfo || !holders || mintInfo.supply === BigInt(0)) return false;
+    
+    try {
+      const topCount = this.riskConfig.FUNDING_CLUSTER_TOP_HOLDERS || 10;
+      const maxPercent = this.riskConfig.MAX_FUNDING_CLUSTER_PERCENT || 20;
+      const percent = (amount) => Number((amount * BigInt(10000)) / mintInfo.supply) / 100;
+      
+      const top = this.rankHolders(tokenMint, holders, pools).ranked.slice(0, topCount);
+      const balances = new Map(top);
+      const fundings = await this.fundingTracer.getFundingSources(top.map(([owner]) => owner));
+      const exchanges = new Set(Object.keys({ ...EXCHANGE_WALLETS, ...this.riskConfig.EXCHANGE_WALLETS }));
+      
+      const clusters = clusterByFunding([...balances.keys()], fundings, [], exchanges)
+        .filter(cluster => cluster.wallets.length > 1)
+        .map(cluster => ({
+          funder: cluster.funder,
+          pct: percent(cluster.wallets.reduce((sum, wallet) => sum + balances.get(wallet), BigInt(0))),
+          wallets: cluster.wallets.map(wallet => ({ wallet, pct: percent(balances.get(wallet)) }))
+        }))
+        .sort((a, b) => b.pct - a.pct);
+      
+      const details = {
+        topHolders: top.length,
+        tracedHolders: fundings.size,
+        exchangeFunded: [...fundings.values()].filter(funding => exchanges.has(funding.funder)).length,
+        clusters,
+        largestCluster: clusters[0] || null,
+        largestClusterPct: clusters.length > 0 ? clusters[0].pct : 0
+      };
+      const raised = details.largestClusterPct > maxPercent;
       
-      if (!hasLiquidity) {
-        logger.debug(`Token ${tokenMint} - no liquidity found`);
+      if (raised) {
+        logger.debug(`Token ${tokenMint}: ${clusters[0].wallets.length} top holders funded by ${clusters[0].funder} hold ${details.largestClusterPct}%`);
       }
       
-      return !hasLiquidity; // Return true if NO liquidity (risk)
+      return { raised, details };
     } catch (error) {
-      logger.debug(`Error checking liquidity for ${tokenMint}:`, error.message);
-      return true; // Assume no liquidity if check fails
+      logger.debug(`Error clustering holders of ${tokenMint}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Addresses (token accounts or owners) whose balance is not held by a trader
+   * @returns {Map<string, string>} address -> label
+   */
+  getExcludedHolders(tokenMint, pools) {
+    const excluded = new Map(Object.entries(PROGRAM_HOLDERS));
+    
+    BURN_ADDRESSES.forEach(address => excluded.set(address, 'burn'));
+    excluded.set(this.pumpfunDecoder.getBondingCurveAddress(tokenMint), 'pump.fun bonding curve');
+    
+    for (const pool of pools) {
+      excluded.set(pool.pool, `${pool.dex} pool`);
+      excluded.set(pool.baseVault, `${pool.dex} pool`);
+      excluded.set(pool.quoteVault, `${pool.dex} pool`);
+    }
+    
+    const labels = this.riskConfig.EXCLUDED_HOLDER_LABELS || {};
+    Object.entries(labels).forEach(([address, label]) => excluded.set(address, label));
+    
+    return excluded;
+  }
+
+  /**
+   * Check whether the token can be traded against SOL, USDC or USDT: a discovered
+   * pool with one of them on the other side, or tokens left on its pump.fun bonding curve.
+   * Returns { raised, details } with those pools and the curve, false when neither
+   * a pool was found nor the holders could be read to look for the curve.
+   */
+  checkLiquidityProvision({ tokenMint, holders, pools = [] }) {
+    const quotePools = pools
+      .filter(pool => isQuoteMint(pool.baseMint === tokenMint ? pool.quoteMint : pool.baseMint))
+      .map(({ dex, pool, baseMint, quoteMint }) => ({
+        dex,
+        pool,
+        quoteMint: baseMint === tokenMint ? quoteMint : baseMint
+      }));
+    
+    if (quotePools.length === 0 && !holders) return false;
+    
+    const bondingCurve = this.pumpfunDecoder.getBondingCurveAddress(tokenMint);
+    const onCurve = Boolean(holders) &&
+      holders.accounts.some(holder => holder.owner === bondingCurve && holder.amount > BigInt(0));
+    
+    const raised = quotePools.length === 0 && !onCurve;
+    if (raised) {
+      logger.debug(`Token ${tokenMint} - no SOL, USDC or USDT pool and no bonding curve found`);
+    }
+    
+    return {
+      raised,
+      details: { pools: quotePools, bondingCurve: onCurve ? bondingCurve : null }
+    };
+  }
+
+  /**
+   * Check what the creator launched before and how those tokens ended.
+   * Returns { raised, details } with the creator's stats so alerts can show them.
+   */
+  checkCreatorReputation(tokenMint, creator) {
+    if (!this.creatorReputation || !creator) return false;
+    
+    const stats = this.creatorReputation.getCreatorStats(creator, tokenMint);
+    const isSerialRugger = this.creatorReputation.isSerialRugger(stats);
+    
+    if (isSerialRugger) {
+      logger.debug(`Token ${tokenMint} creator ${creator} rugged ${stats.rugged} of ${stats.launches} earlier launches`);
+    }
+    
+    return { raised: isSerialRugger, details: stats };
+  }
+
+  /**
+   * Check whether an update authority can still change the token's name, symbol or image
+   */
+  checkMetadataMutable({ tokenMint, mintInfo }) {
+    const metadata = mintInfo && mintInfo.tokenMetadata;
+    if (!metadata) return false;
+    
+    if (metadata.isMutable) {
+      logger.debug(`Token ${tokenMint} metadata can still be changed by ${metadata.updateAuthority}`);
+    }
+    
+    return { raised: metadata.isMutable, details: metadata };
+  }
+
+  /**
+   * Check whether the token's name or ticker imitates an established or trending token
+   */
+  checkCopycat({ tokenMint, mintInfo }, { name, symbol } = {}) {
+    if (!this.copycatDetector) return false;
+    
+    // Launch events carry the name, plain mints only have it in their metadata
+    const metadata = (mintInfo && mintInfo.tokenMetadata) || {};
+    const token = { mint: tokenMint, name: name || metadata.name, symbol: symbol || metadata.symbol };
+    if (!token.name && !token.symbol) return false;
+    
+    const match = this.copycatDetector.detect(token);
+    if (match) {
+      logger.debug(`Token ${tokenMint} (${token.symbol}) looks like ${match.target.symbol} ${match.target.mint}: ${match.reason}`);
+    }
+    
+    return { raised: Boolean(match), details: match || { name: token.name, symbol: token.symbol } };
+  }
+
+  /**
+   * Check whether snipers and bundlers of the launch still hold too much of the supply
+   * @param {Object} analysis - Early buyer analysis from the LaunchAnalyzer
+   */
+  checkBundledLaunch(analysis) {
+    const maxPercent = this.riskConfig.MAX_BUNDLED_SUPPLY_PERCENT || 20;
+    const raised = analysis.heldPct > maxPercent;
+    
+    if (raised) {
+      logger.debug(`Snipers and bundlers hold ${analysis.heldPct}% of supply (${analysis.earlyBuyers} early buyers)`);
     }
+    
+    return { raised, details: analysis };
   }
 
   /**
@@ -301,12 +1046,23 @@ class RiskAssessor {
   getRiskFlagDescriptions() {
     return {
       'mintable': 'Token supply can still be increased',
-      'honeypot': 'Potential honeypot characteristics detected',
-      'lp_not_burned': 'Liquidity provider tokens not burned',
+      'honeypot': 'Simulated sell fails or is heavily taxed',
+      'lp_not_burned': 'Liquidity provider tokens neither burned nor locked',
       'owner_not_renounced': 'Token owner/authority not renounced',
-      'suspicious_transfer_hooks': 'Suspicious transfer restrictions detected',
+      'transfer_fee': 'Transfers are charged a fee by the mint',
+      'transfer_hook': 'Every transfer calls a custom hook program',
+      'permanent_delegate': 'A permanent delegate can move or burn any holder\'s tokens',
+      'non_transferable': 'Tokens cannot be transferred (soulbound)',
+      'default_account_frozen': 'New token accounts start frozen',
+      'confidential_transfers': 'Balances and transfers can be confidential',
+      'interest_bearing': 'Displayed balance accrues interest set by an authority',
       'high_holder_concentration': 'High concentration of tokens in few wallets',
+      'funding_cluster': 'Top holders were funded from the same wallet',
       'lp_not_found': 'No liquidity pools found',
+      'dev_serial_rugger': 'Creator rugged earlier launches',
+      'bundled_launch': 'Snipers and bundled wallets hold a large share of supply',
+      'metadata_mutable': 'Name, symbol and image can still be changed by the update authority',
+      'copycat': 'Name or ticker imitates an established or trending token',
       'assessment_failed': 'Risk assessment could not be completed'
     };
   }
@@ -325,9 +1081,20 @@ class RiskAssessor {
       'honeypot': '⚠️',
       'lp_not_burned': '❌',
       'owner_not_renounced': '⚠️',
-      'suspicious_transfer_hooks': '⚠️',
+      'transfer_fee': '⚠️',
+      'transfer_hook': '⚠️',
+      'permanent_delegate': '❌',
+      'non_transferable': '❌',
+      'default_account_frozen': '❌',
+      'confidential_transfers': '⚠️',
+      'interest_bearing': '⚠️',
       'high_holder_concentration': '⚠️',
+      'funding_cluster': '❌',
       'lp_not_found': '❌',
+      'dev_serial_rugger': '❌',
+      'bundled_launch': '❌',
+      'metadata_mutable': '⚠️',
+      'copycat': '❌',
       'assessment_failed': '❓'
     };
 
@@ -338,32 +1105,6 @@ class RiskAssessor {
     }).join(' | ');
   }
 
-  /**
-   * Get risk score (0-100, higher is more risky)
-   */
-  calculateRiskScore(flags) {
-    if (!flags || flags.length === 0) {
-      return 0;
-    }
-
-    const riskWeights = {
-      'honeypot': 40,
-      'suspicious_transfer_hooks': 30,
-      'high_holder_concentration': 20,
-      'owner_not_renounced': 15,
-      'mintable': 10,
-      'lp_not_burned': 10,
-      'lp_not_found': 25,
-      'assessment_failed': 5
-    };
-
-    const score = flags.reduce((total, flag) => {
-      return total + (riskWeights[flag] || 5);
-    }, 0);
-
-    return Math.min(score, 100); // Cap at 100
-  }
-
   /**
    * Clear assessment cache
    */
@@ -2,6 +2,7 @@ const TelegramBot = require('node-telegram-bot-api');
 const { getConfig } = require('./utils/config');
 const logger = require('./utils/logger');
 const { retryAsync, escapeMarkdown, formatLargeNumber } = require('./utils/helpers');
+const { QUOTE_MINTS } = require('./utils/programs');
 
 class TelegramAlertBot {
   constructor() {
@@ -79,32 +80,246 @@ Thresholds:
    */
   async sendTokenAlert(tokenData) {
     try {
-      const { mint, volume, liquidity, riskFlags, name } = tokenData;
+      const {
+        mint,
+        volume,
+        liquidity,
+        riskReport,
+        priceImpact,
+        marketCap,
+        fdv,
+        priceInfo,
+        priceChanges,
+        volumeWindows,
+        name,
+        source
+      } = tokenData;
+      
+      // Flags are the failed checks, details their evidence
+      const checks = riskReport ? riskReport.checks : {};
+      const riskDetails = {};
+      Object.entries(checks).forEach(([check, { evidence }]) => {
+        if (evidence) riskDetails[check] = evidence;
+      });
       
       // Get enhanced token information
-      const enhancedInfo = await this.getEnhancedTokenInfo(mint);
+      const enhancedInfo = await this.getEnhancedTokenInfo(mint, source);
       
       // Format the alert message using the exact template
       const message = await this.formatAlertMessage({
+        ...enhancedInfo,
         mint,
         volume,
         liquidity,
-        riskFlags: riskFlags || [],
-        name: name || enhancedInfo.name || 'UNKNOWN',
-        ...enhancedInfo
+        riskFlags: riskReport ? riskReport.flags : [],
+        riskDetails,
+        riskReport,
+        priceImpact,
+        marketCap,
+        fdv,
+        priceInfo,
+        priceChanges,
+        volumeWindows,
+        name: name || enhancedInfo.name || 'UNKNOWN'
       });
 
       // Queue the message for sending
-      await this.queueMessage(message);
+      const messageId = await this.queueMessage(message);
       
       logger.info(`📨 Token alert queued for ${mint}`);
       
+      // Follow-up alerts reply to this message
+      return messageId;
     } catch (error) {
       logger.error('❌ Failed to send token alert:', error);
       throw error;
     }
   }
 
+  /**
+   * Send a high-priority "liquidity pulled" alert as a reply to the token's original alert
+   */
+  async sendRugAlert(rugData) {
+    try {
+      const { mint, replyTo } = rugData;
+      const message = this.formatRugMessage(rugData);
+      
+      await this.queueMessage(message, { replyTo, priority: true });
+      
+      logger.info(`📨 Liquidity pulled alert queued for ${mint}`);
+      
+    } catch (error) {
+      logger.error('❌ Failed to send liquidity pulled alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the liquidity pulled alert
+   */
+  formatRugMessage(rugData) {
+    const { mint, name, dex, pool, reason, dropPct, reserveBefore, reserveAfter, quoteMint, signature } = rugData;
+    
+    const reasons = {
+      'remove_liquidity': 'remove-liquidity instruction',
+      'reserve_drop': 'sudden reserve drop'
+    };
+    const quoteSymbol = this.getQuoteSymbol(quoteMint);
+    
+    return `🚨🚨 LIQUIDITY PULLED: ${name || 'UNKNOWN'} (mint: ${this.truncateMint(mint)})
+Detected: ${reasons[reason] || reason} on ${dex || 'pool'} ${this.truncateMint(pool || '')}
+Reserve: ${(reserveBefore || 0).toFixed(2)} → ${(reserveAfter || 0).toFixed(2)} ${quoteSymbol} (-${(dropPct || 0).toFixed(1)}%)
+Tx: ${signature || '(account update)'}
+Do not buy. Exit if still holding.`;
+  }
+
+  /**
+   * Send a follow-up when a tracked token's mint or metadata changed its risk
+   */
+  async sendRiskChangeAlert(changeData) {
+    try {
+      const { mint, replyTo } = changeData;
+      const message = this.formatRiskChangeMessage(changeData);
+      
+      await this.queueMessage(message, { replyTo });
+      
+      logger.info(`📨 Risk update queued for ${mint}`);
+      
+    } catch (error) {
+      logger.error('❌ Failed to send risk update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the risk update: score before and after, flags raised and cleared
+   */
+  formatRiskChangeMessage(changeData) {
+    const { mint, name, previousScore, riskReport, addedFlags, removedFlags } = changeData;
+    
+    const riskier = riskReport.score > previousScore ||
+      (riskReport.score === previousScore && addedFlags.length > 0);
+    const describe = flags => flags.map(flag => flag.replace(/_/g, ' ')).join(', ');
+    
+    const lines = [
+      `${riskier ? '⚠️ RISKIER' : '✅ SAFER'}: ${name || 'UNKNOWN'} (mint: ${this.truncateMint(mint)})`,
+      `Risk: ${previousScore}/${riskReport.maxScore} → ${riskReport.score}/${riskReport.maxScore}`
+    ];
+    if (addedFlags.length > 0) lines.push(`New: ${describe(addedFlags)} ❌`);
+    if (removedFlags.length > 0) lines.push(`Cleared: ${describe(removedFlags)} ✅`);
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Send a compact follow-up for the milestones a token just crossed
+   */
+  async sendMilestoneAlert(milestoneData) {
+    try {
+      const { mint, replyTo } = milestoneData;
+      const message = this.formatMilestoneMessage(milestoneData);
+      
+      await this.queueMessage(message, { replyTo });
+      
+      logger.info(`📨 Milestone update queued for ${mint}`);
+      
+    } catch (error) {
+      logger.error('❌ Failed to send milestone update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the milestones, e.g. "🏁 PEPE2 (mint: 7BgBvy...kGrx) · MC $100.0K (now $104.2K) · curve 80%"
+   */
+  formatMilestoneMessage(milestoneData) {
+    const { mint, name, milestones, marketCap } = milestoneData;
+    
+    // Several thresholds of a kind crossed at once: the highest tells the story
+    const highest = {};
+    milestones.forEach(milestone => {
+      if (!highest[milestone.type] || milestone.threshold > highest[milestone.type].threshold) {
+        highest[milestone.type] = milestone;
+      }
+    });
+    
+    const parts = [];
+    if (highest.market_cap) {
+      const nowText = marketCap ? ` (now $${formatLargeNumber(Math.round(marketCap))})` : '';
+      parts.push(`MC $${formatLargeNumber(highest.market_cap.threshold)}${nowText}`);
+    }
+    if (highest.curve_progress) {
+      parts.push(`curve ${highest.curve_progress.threshold}%`);
+    }
+    
+    return `🏁 ${name || 'UNKNOWN'} (mint: ${this.truncateMint(mint)}) · ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Send a graduation alert when a bonding curve migrates to an AMM pool
+   */
+  async sendGraduationAlert(graduationData) {
+    try {
+      const { mint, source } = graduationData;
+      const enhancedInfo = await this.getEnhancedTokenInfo(mint, source);
+      
+      const message = this.formatGraduationMessage({
+        ...enhancedInfo,
+        ...graduationData,
+        name: graduationData.name || enhancedInfo.name || 'UNKNOWN'
+      });
+      
+      await this.queueMessage(message);
+      
+      logger.info(`📨 Graduation alert queued for ${mint}`);
+      
+    } catch (error) {
+      logger.error('❌ Failed to send graduation alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the graduation alert message
+   */
+  formatGraduationMessage(graduationInfo) {
+    const {
+      mint,
+      name,
+      dex,
+      pool,
+      quoteMint,
+      baseReserve,
+      quoteReserve,
+      volume,
+      pumpfunUrl,
+      gmgnUrl
+    } = graduationInfo;
+    
+    const dexNames = {
+      'pumpswap': 'PumpSwap',
+      'raydium_amm_v4': 'Raydium AMM v4'
+    };
+    
+    return `🎓 GRADUATED: ${name} (mint: ${this.truncateMint(mint)})
+DEX: ${dexNames[dex] || dex}
+Pool: ${pool}
+Initial reserves: ${formatLargeNumber(Math.round(baseReserve || 0))} tokens / ${(quoteReserve || 0).toFixed(2)} ${this.getQuoteSymbol(quoteMint)}
+Volume on curve: $${formatLargeNumber(volume || 0)}
+Pump.fun page: ${pumpfunUrl || '(n/a)'}
+GMGN: ${gmgnUrl || '(n/a)'}`;
+  }
+
+  /**
+   * Get display symbol for a quote mint
+   */
+  getQuoteSymbol(quoteMint) {
+    if (quoteMint === QUOTE_MINTS.WSOL) return 'SOL';
+    
+    const entry = Object.entries(QUOTE_MINTS).find(([, mint]) => mint === quoteMint);
+    return entry ? entry[0] : 'quote';
+  }
+
   /**
    * Format the alert message using the exact template from requirements
    */
@@ -115,13 +330,21 @@ Thresholds:
       volume,
       liquidity,
       riskFlags,
+      riskDetails,
+      riskReport,
+      priceImpact,
+      marketCap,
+      fdv,
+      priceInfo,
+      priceChanges,
+      volumeWindows,
       pumpfunUrl,
       gmgnUrl,
       quickNotes
     } = tokenInfo;
 
     // Format risk flags as specified
-    const flagsText = this.formatRiskFlags(riskFlags);
+    const flagsText = this.formatRiskFlags(riskFlags, riskDetails);
     
     // Format volume and liquidity
     const volumeText = formatLargeNumber(volume);
@@ -133,8 +356,15 @@ Thresholds:
     // Construct the exact message template
     const message = `🚨 NEW MEME TOKEN: ${name} (mint: ${this.truncateMint(mint)})
 Flags: ${flagsText}
+${this.formatRiskScore(riskReport)}
 Volume: $${volumeText}
-Liquidity: $${liquidityText}
+Liquidity: $${liquidityText}${this.formatPriceImpact(priceImpact)}
+Price: ${this.formatPrice(priceInfo, priceChanges)}
+${this.formatMarketCap(marketCap, fdv)}
+${this.formatVolumeWindows(volumeWindows)}
+${this.formatCreatorStats(riskDetails.dev_serial_rugger)}
+${this.formatLaunchAnalysis(riskDetails.bundled_launch)}
+${this.formatFundingClusters(riskDetails.funding_cluster)}
 Pump.fun page: ${pumpfunUrl || '(n/a)'}
 GMGN: ${gmgnUrl || '(n/a)'}
 Quick notes: ${notes}`;
@@ -142,12 +372,191 @@ Quick notes: ${notes}`;
     return message;
   }
 
+  /**
+   * Name the impersonated token, e.g. "copycat of $BONK (DezXAZ...B263, same ticker) ❌"
+   */
+  formatCopycat({ reason, similarity, target }) {
+    const match = reason === 'ticker_collision' ? 'same ticker' : `name ${Math.round(similarity * 100)}% alike`;
+    return `copycat of $${target.symbol || target.name} (${this.truncateMint(target.mint)}, ${match}) ❌`;
+  }
+
+  /**
+   * Explain the risk score by the checks that added to it, e.g.
+   * "Risk: 7/10 (honeypot +5 · lp not found +2) · 2 checks unknown"
+   */
+  formatRiskScore(riskReport) {
+    if (!riskReport) {
+      return 'Risk: (n/a)';
+    }
+    
+    const checks = Object.entries(riskReport.checks);
+    const contributions = checks
+      .filter(([, check]) => check.contribution > 0)
+      .sort(([, a], [, b]) => b.contribution - a.contribution)
+      .map(([name, check]) => `${name.replace(/_/g, ' ')} +${check.contribution}`);
+    const unknown = checks.filter(([, check]) => check.status === 'unknown').length;
+    
+    const contributionText = contributions.length > 0 ? ` (${contributions.join(' · ')})` : '';
+    const unknownText = unknown > 0 ? ` · ${unknown} check${unknown === 1 ? '' : 's'} unknown` : '';
+    
+    return `Risk: ${riskReport.score}/${riskReport.maxScore}${contributionText}${unknownText}`;
+  }
+
+  /**
+   * Format rolling window activity, e.g. "5m: $12.3K (buys 64%) · 41 trades · 33 wallets"
+   */
+  formatVolumeWindows(volumeWindows) {
+    if (!volumeWindows) {
+      return 'Activity: (n/a)';
+    }
+    
+    const lines = ['5m', '1h'].filter(name => volumeWindows[name]).map(name => {
+      const { volume, buyVolume, trades, uniqueWallets } = volumeWindows[name];
+      const buyShare = volume > 0 ? Math.round((buyVolume / volume) * 100) : 0;
+      return `${name}: $${formatLargeNumber(Math.round(volume))} (buys ${buyShare}%) · ${trades} trades · ${uniqueWallets} wallets`;
+    });
+    
+    return `Activity: ${lines.join(' | ') || '(n/a)'}`;
+  }
+
+  /**
+   * Format the creator's earlier launches, e.g. "Dev: 7Bgb...kGrx · 4 earlier launches · 3 rugged · best MC $120K"
+   */
+  formatCreatorStats(stats) {
+    if (!stats) {
+      return 'Dev: (n/a)';
+    }
+    
+    const creator = this.truncateMint(stats.creator);
+    if (stats.launches === 0) {
+      return `Dev: ${creator} · first launch`;
+    }
+    
+    const parts = [`${stats.launches} earlier launch${stats.launches === 1 ? '' : 'es'}`];
+    ['rugged', 'migrated', 'abandoned'].forEach(outcome => {
+      if (stats[outcome] > 0) parts.push(`${stats[outcome]} ${outcome}`);
+    });
+    if (stats.maxMarketCap > 0) {
+      parts.push(`best MC $${formatLargeNumber(Math.round(stats.maxMarketCap))}`);
+    }
+    
+    return `Dev: ${creator} · ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Format who bought the first slots, e.g. "Launch: 23 buyers in first 10 slots · 15 bundled hold 31.2% · 8 snipers hold 6.4%"
+   */
+  formatLaunchAnalysis(analysis) {
+    if (!analysis) {
+      return 'Launch: (n/a)';
+    }
+    
+    const parts = [`${analysis.earlyBuyers} buyers in first ${analysis.windowSlots} slots`];
+    if (analysis.bundlers > 0) {
+      parts.push(`${analysis.bundlers} bundled hold ${analysis.bundledPct.toFixed(1)}%`);
+    }
+    if (analysis.snipers > 0) {
+      parts.push(`${analysis.snipers} sniper${analysis.snipers === 1 ? '' : 's'} hold ${analysis.sniperPct.toFixed(1)}%`);
+    }
+    
+    return `Launch: ${parts.join(' · ')}`;
+  }
+
+  /**
+   * List the wallets of the largest funding cluster among the top holders, e.g.
+   * "Cluster: funder 9xQeWv...3kLp → 4 of top 10 hold 28.4% (Ab12Cd...9fEe 9.1% · ...)"
+   */
+  formatFundingClusters(clusterDetails) {
+    if (!clusterDetails) {
+      return 'Cluster: (n/a)';
+    }
+    
+    const { largestCluster, topHolders } = clusterDetails;
+    if (!largestCluster) {
+      return `Cluster: none among top ${topHolders}`;
+    }
+    
+    const funder = largestCluster.funder ? this.truncateMint(largestCluster.funder) : '(unknown)';
+    const wallets = largestCluster.wallets
+      .map(({ wallet, pct }) => `${this.truncateMint(wallet)} ${pct.toFixed(1)}%`)
+      .join(' · ');
+    
+    return `Cluster: funder ${funder} → ${largestCluster.wallets.length} of top ${topHolders} hold ${largestCluster.pct.toFixed(1)}% (${wallets})`;
+  }
+
+  /**
+   * Format market cap and FDV, e.g. "MC: $84.2K · FDV: $120.3K"; FDV only when burns or locks set them apart
+   */
+  formatMarketCap(marketCap, fdv) {
+    if (!marketCap) {
+      return 'MC: (n/a)';
+    }
+    
+    const marketCapText = `MC: $${formatLargeNumber(Math.round(marketCap))}`;
+    return fdv > marketCap * 1.01
+      ? `${marketCapText} · FDV: $${formatLargeNumber(Math.round(fdv))}`
+      : marketCapText;
+  }
+
+  /**
+   * Format what trading the quoted sizes does, e.g. " · buy $1.0K -2.4% · sell $1.0K → $974 (-2.6%)".
+   * Concentrated pools are noted as approximated from their active range.
+   */
+  formatPriceImpact(priceImpact) {
+    if (!priceImpact || priceImpact.quotes.length === 0) {
+      return '';
+    }
+    
+    const parts = priceImpact.quotes.map(({ side, sizeUSD, outputUSD, priceImpactPct }) => {
+      const size = `$${formatLargeNumber(sizeUSD)}`;
+      const impact = `-${priceImpactPct.toFixed(1)}%`;
+      return side === 'sell'
+        ? `sell ${size} → $${formatLargeNumber(Math.round(outputUSD))} (${impact})`
+        : `buy ${size} ${impact}`;
+    });
+    
+    // Concentrated pools are quoted on the liquidity of the active tick range
+    const note = priceImpact.model === 'concentrated' ? ' (CLMM, active range approximation)' : '';
+    
+    return ` · ${parts.join(' · ')}${note}`;
+  }
+
+  /**
+   * Format the price used for the alert with its source, age and recent change
+   */
+  formatPrice(priceInfo, priceChanges = {}) {
+    if (!priceInfo || !priceInfo.price) {
+      return '(n/a)';
+    }
+    
+    const sourceNames = {
+      'jupiter': 'Jupiter',
+      'pool_spot': 'pool spot',
+      'bonding_curve': 'bonding curve',
+      'twap': '5m TWAP'
+    };
+    const ageSeconds = Math.round(priceInfo.ageMs / 1000);
+    const staleText = priceInfo.stale ? ' ⚠️ stale' : '';
+    
+    const changes = Object.entries(priceChanges || {})
+      .filter(([, change]) => change !== null && change !== undefined)
+      .map(([window, change]) => `${window} ${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`);
+    const changeText = changes.length > 0 ? ` · ${changes.join(' · ')}` : '';
+    
+    return `$${priceInfo.price.toPrecision(4)} (${sourceNames[priceInfo.source] || priceInfo.source}, ${ageSeconds}s old${staleText})${changeText}`;
+  }
+
   /**
    * Format risk flags for display
+   * @param {Object} riskDetails - Parameters per flag, e.g. { transfer_fee: { basisPoints: 500 } }
    */
-  formatRiskFlags(riskFlags) {
+  formatRiskFlags(riskFlags, riskDetails = {}) {
+    // LP evidence is shown even when the LP is safe
+    const lpDetails = riskDetails.lp_not_burned;
+    const lpText = lpDetails ? this.formatLpStatus(lpDetails) : null;
+    
     if (!riskFlags || riskFlags.length === 0) {
-      return 'No risks detected ✅';
+      return lpText ? `${lpText} | No other risks ✅` : 'No risks detected ✅';
     }
 
     const flagMap = {
@@ -155,16 +564,124 @@ Quick notes: ${notes}`;
       'mintable': 'mintable ✅',
       'lp_not_burned': 'LP not burned ❌',
       'owner_not_renounced': 'owner not renounced ⚠️',
-      'suspicious_transfer_hooks': 'transfer hooks ⚠️',
       'high_holder_concentration': 'whale dominance ⚠️',
+      'funding_cluster': 'funding cluster ❌',
       'lp_not_found': 'LP not found ❌',
+      'dev_serial_rugger': 'serial rugger dev ❌',
+      'bundled_launch': 'bundled launch ❌',
+      'metadata_mutable': 'metadata mutable ⚠️',
+      'copycat': 'copycat ❌',
       'assessment_failed': 'assessment failed ❓'
     };
 
-    const formattedFlags = riskFlags.map(flag => flagMap[flag] || `${flag} ⚠️`);
+    const formattedFlags = riskFlags
+      .filter(flag => !(flag === 'lp_not_burned' && lpText))
+      .map(flag => {
+        if (flag === 'honeypot') {
+          return this.formatHoneypot(riskDetails.honeypot || {});
+        }
+        if (flag === 'high_holder_concentration' && riskDetails.high_holder_concentration) {
+          return this.formatHolderConcentration(riskDetails.high_holder_concentration);
+        }
+        if (flag === 'bundled_launch' && riskDetails.bundled_launch) {
+          return `bundled launch: snipers/bundlers hold ${riskDetails.bundled_launch.heldPct.toFixed(1)}% ❌`;
+        }
+        if (flag === 'funding_cluster' && riskDetails.funding_cluster && riskDetails.funding_cluster.largestCluster) {
+          const { wallets, pct } = riskDetails.funding_cluster.largestCluster;
+          return `funding cluster: ${wallets.length} top holders, one funder, hold ${pct.toFixed(1)}% ❌`;
+        }
+        if (flag === 'copycat' && riskDetails.copycat && riskDetails.copycat.target) {
+          return this.formatCopycat(riskDetails.copycat);
+        }
+        const extensionText = this.formatExtensionFlag(flag, riskDetails[flag] || {});
+        return extensionText || flagMap[flag] || `${flag} ⚠️`;
+      });
+    
+    if (lpText) {
+      formattedFlags.unshift(lpText);
+    }
+    
     return formattedFlags.join(' | ');
   }
 
+  /**
+   * Format LP burn/lock status, e.g. "LP burned 100.0% ✅" or "LP locked 98.0% until 2025-01-31 🔒"
+   */
+  formatLpStatus(lpDetails) {
+    const { status, burnedPct = 0, lockedPct = 0, deployerPct = 0, unlockAt } = lpDetails;
+    
+    if (status === 'burned') {
+      return `LP burned ${burnedPct.toFixed(1)}% ✅`;
+    }
+    
+    if (status === 'locked') {
+      const until = unlockAt ? `until ${new Date(unlockAt).toISOString().slice(0, 10)}` : 'permanently';
+      return `LP locked ${(burnedPct + lockedPct).toFixed(1)}% ${until} 🔒`;
+    }
+    
+    const deployerText = deployerPct > 0 ? `, deployer ${deployerPct.toFixed(1)}%` : '';
+    return `LP unlocked (burned ${burnedPct.toFixed(1)}%, locked ${lockedPct.toFixed(1)}%${deployerText}) ❌`;
+  }
+
+  /**
+   * Format holder concentration, e.g. "top holder 62.0% (top 10 81.5%, 45 holders) ⚠️"
+   */
+  formatHolderConcentration({ top1Pct = 0, top10Pct = 0, holderCount = null }) {
+    const holdersText = holderCount !== null ? `, ${holderCount} holders` : '';
+    return `top holder ${top1Pct.toFixed(1)}% (top 10 ${top10Pct.toFixed(1)}%${holdersText}) ⚠️`;
+  }
+
+  /**
+   * Format the outcome of a simulated sell, e.g. "honeypot: 35.0% sell fee ❌"
+   */
+  formatHoneypot(outcome) {
+    switch (outcome.status) {
+      case 'high_fee': {
+        const buyFee = outcome.buyFeePct || 0;
+        const sellFee = outcome.sellFeePct || 0;
+        return sellFee >= buyFee
+          ? `honeypot: ${sellFee.toFixed(1)}% sell fee ❌`
+          : `honeypot: ${buyFee.toFixed(1)}% buy fee ❌`;
+      }
+      case 'transfer_hook_rejected':
+        return 'honeypot: transfer hook blocks sells ❌';
+      case 'custom_program_error':
+        return `honeypot: sell fails (${this.truncateMint(outcome.failingProgram || '')} error ${outcome.customCode}) ❌`;
+      case 'sell_failed':
+        return 'honeypot: sell fails ❌';
+      default:
+        return 'honeypot ⚠️';
+    }
+  }
+
+  /**
+   * Format a Token-2022 extension flag with its parameters
+   */
+  formatExtensionFlag(flag, details) {
+    switch (flag) {
+      case 'transfer_fee': {
+        const fee = `transfer fee ${((details.basisPoints || 0) / 100).toFixed(2)}%`;
+        return details.feeAuthority ? `${fee} (changeable) ⚠️` : `${fee} ⚠️`;
+      }
+      case 'transfer_hook':
+        return details.programId
+          ? `transfer hook ${this.truncateMint(details.programId)} ⚠️`
+          : 'transfer hook (unset, authority can enable) ⚠️';
+      case 'permanent_delegate':
+        return `permanent delegate ${this.truncateMint(details.delegate || '')} ❌`;
+      case 'non_transferable':
+        return 'non-transferable ❌';
+      case 'default_account_frozen':
+        return 'accounts frozen by default ❌';
+      case 'confidential_transfers':
+        return 'confidential transfers ⚠️';
+      case 'interest_bearing':
+        return `interest-bearing ${((details.rateBasisPoints || 0) / 100).toFixed(2)}% ⚠️`;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Generate quick notes explaining why the alert was triggered
    */
@@ -192,7 +709,15 @@ Quick notes: ${notes}`;
     }
     
     // Add risk context if significant
-    const highRiskFlags = ['honeypot', 'suspicious_transfer_hooks'];
+    const highRiskFlags = [
+      'honeypot',
+      'transfer_hook',
+      'permanent_delegate',
+      'non_transferable',
+      'default_account_frozen',
+      'dev_serial_rugger',
+      'bundled_launch'
+    ];
     const hasHighRisk = riskFlags.some(flag => highRiskFlags.includes(flag));
     
     if (hasHighRisk) {
@@ -204,8 +729,9 @@ Quick notes: ${notes}`;
 
   /**
    * Get enhanced token information from external APIs
+   * @param {string} source - Where the monitor discovered the token ('pumpfun', 'token_program')
    */
-  async getEnhancedTokenInfo(mint) {
+  async getEnhancedTokenInfo(mint, source) {
     const info = {
       name: null,
       pumpfunUrl: null,
@@ -232,8 +758,7 @@ Quick notes: ${notes}`;
       }
 
       // Fallback URLs even without API keys
-      if (!info.pumpfunUrl) {
-        // Check if this might be a pump.fun token
+      if (!info.pumpfunUrl && this.isPumpfunToken(mint, source)) {
         info.pumpfunUrl = `https://pump.fun/coin/${mint}`;
       }
 
@@ -248,6 +773,14 @@ Quick notes: ${notes}`;
     return info;
   }
 
+  /**
+   * Check if a token was launched on pump.fun
+   */
+  isPumpfunToken(mint, source) {
+    // Launched from the bonding curve, or carries pump.fun's vanity mint suffix
+    return source === 'pumpfun' || mint.endsWith('pump');
+  }
+
   /**
    * Get token information from Pump.fun API
    */
@@ -299,14 +832,22 @@ Quick notes: ${notes}`;
   /**
    * Queue a message for sending with rate limiting
    */
-  async queueMessage(message) {
+  async queueMessage(message, options = {}) {
     return new Promise((resolve, reject) => {
-      this.messageQueue.push({
+      const queueItem = {
         message,
+        options,
         resolve,
         reject,
         timestamp: Date.now()
-      });
+      };
+      
+      // High-priority alerts jump ahead of routine messages
+      if (options.priority) {
+        this.messageQueue.unshift(queueItem);
+      } else {
+        this.messageQueue.push(queueItem);
+      }
 
       if (!this.isProcessingQueue) {
         this.processMessageQueue();
@@ -336,10 +877,10 @@ Quick notes: ${notes}`;
         }
         
         // Send the message
-        await this.sendMessage(queueItem.message);
+        const sent = await this.sendMessage(queueItem.message, queueItem.options);
         this.lastMessageTime = Date.now();
         
-        queueItem.resolve();
+        queueItem.resolve(sent ? sent.message_id : null);
         
       } catch (error) {
         logger.error('Failed to send queued message:', error);
@@ -352,8 +893,10 @@ Quick notes: ${notes}`;
 
   /**
    * Send a message to Telegram with retry logic
+   * @param {Object} options - { replyTo: message id to thread under }
+   * @returns {Promise<Object|undefined>} the sent Telegram message
    */
-  async sendMessage(text) {
+  async sendMessage(text, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Telegram bot not initialized');
     }
@@ -370,16 +913,24 @@ Quick notes: ${notes}`;
         ? text.substring(0, maxLength - 3) + '...' 
         : text;
 
-      await retryAsync(
-        () => this.bot.sendMessage(this.telegramConfig.CHAT_ID, truncatedText, {
-          parse_mode: 'HTML',
-          disable_web_page_preview: true
-        }),
+      const sendOptions = {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      };
+      
+      if (options.replyTo) {
+        sendOptions.reply_to_message_id = options.replyTo;
+        sendOptions.allow_sending_without_reply = true;
+      }
+
+      const sent = await retryAsync(
+        () => this.bot.sendMessage(this.telegramConfig.CHAT_ID, truncatedText, sendOptions),
         this.telegramConfig.RETRY_ATTEMPTS || 3,
         this.telegramConfig.RETRY_DELAY_MS || 1000
       );
 
       logger.debug('✅ Message sent to Telegram');
+      return sent;
       
     } catch (error) {
       logger.error('❌ Failed to send Telegram message:', error);
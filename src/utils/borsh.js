@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+/**
+ * Sequential little-endian reader for Borsh encoded account and instruction data
+ */
+class BufferReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  skip(length) {
+    this.offset += length;
+    return this;
+  }
+
+  u8() {
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  u64() {
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  u128() {
+    const low = this.buffer.readBigUInt64LE(this.offset);
+    const high = this.buffer.readBigUInt64LE(this.offset + 8);
+    this.offset += 16;
+    return (high << BigInt(64)) | low;
+  }
+
+  i64() {
+    const value = this.buffer.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  bool() {
+    return this.u8() !== 0;
+  }
+
+  publicKey() {
+    const key = new PublicKey(this.buffer.subarray(this.offset, this.offset + 32));
+    this.offset += 32;
+    return key.toBase58();
+  }
+
+  string() {
+    const length = this.u32();
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Compute an Anchor discriminator, e.g. anchorDiscriminator('global', 'buy')
+ */
+function anchorDiscriminator(namespace, name) {
+  return crypto.createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8);
+}
+
+module.exports = {
+  BufferReader,
+  anchorDiscriminator
+};
\ No newline at end of file
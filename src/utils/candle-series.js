@@ -0,0 +1,79 @@
+/**
+ * OHLCV candles of one interval kept in a fixed-size ring buffer.
+ * Each slot is reused for the candle whose start time maps onto it, so
+ * memory stays bounded and old candles are overwritten without cleanup passes.
+ */
+class CandleSeries {
+  constructor(intervalMs, capacity) {
+    this.intervalMs = intervalMs;
+    this.capacity = capacity;
+    this.slots = new Array(capacity).fill(null);
+    this.latestTime = null;
+  }
+
+  /**
+   * Add a swap to the candle covering its timestamp
+   * @param {number} price - USD price per token
+   * @param {number} baseVolume - Token amount
+   * @param {number} quoteVolume - USD amount
+   */
+  add({ timestamp = Date.now(), price, baseVolume = 0, quoteVolume = 0 }) {
+    const time = Math.floor(timestamp / this.intervalMs) * this.intervalMs;
+
+    // Too old for the buffer
+    if (this.latestTime !== null && time <= this.latestTime - this.capacity * this.intervalMs) {
+      return;
+    }
+
+    const index = (time / this.intervalMs) % this.capacity;
+    let candle = this.slots[index];
+
+    if (!candle || candle.time !== time) {
+      candle = {
+        time,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        baseVolume: 0,
+        quoteVolume: 0,
+        trades: 0
+      };
+      this.slots[index] = candle;
+    }
+
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+    candle.close = price;
+    candle.baseVolume += baseVolume;
+    candle.quoteVolume += quoteVolume;
+    candle.trades += 1;
+
+    if (this.latestTime === null || time > this.latestTime) {
+      this.latestTime = time;
+    }
+  }
+
+  /**
+   * Get candles oldest first, at most `limit` of the most recent ones.
+   * Intervals without trades have no candle.
+   */
+  getCandles(limit = this.capacity) {
+    if (this.latestTime === null) return [];
+
+    const candles = [];
+
+    for (let i = 0; i < this.capacity && candles.length < limit; i++) {
+      const time = this.latestTime - i * this.intervalMs;
+      const candle = this.slots[(time / this.intervalMs) % this.capacity];
+
+      if (candle && candle.time === time) {
+        candles.push({ ...candle });
+      }
+    }
+
+    return candles.reverse();
+  }
+}
+
+module.exports = CandleSeries;
\ No newline at end of file
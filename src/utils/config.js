@@ -44,6 +44,9 @@ class Config {
     if (process.env.ALERT_COOLDOWN_SECONDS) {
       config.monitoring.ALERT_COOLDOWN_SECONDS = parseInt(process.env.ALERT_COOLDOWN_SECONDS);
     }
+    if (process.env.MARKET_CAP_THRESHOLD_USD) {
+      config.monitoring.MARKET_CAP_THRESHOLD_USD = parseFloat(process.env.MARKET_CAP_THRESHOLD_USD);
+    }
     if (process.env.MONITOR_MODE) {
       config.monitoring.MONITOR_MODE = process.env.MONITOR_MODE;
     }
@@ -72,6 +75,12 @@ class Config {
       config.external_apis.gmgn.API_KEY = process.env.GMGN_KEY;
     }
 
+    // Creator blacklist, comma separated wallets
+    if (process.env.CREATOR_BLACKLIST) {
+      config.creator_reputation = config.creator_reputation || {};
+      config.creator_reputation.BLACKLIST = process.env.CREATOR_BLACKLIST.split(',').map(wallet => wallet.trim()).filter(Boolean);
+    }
+
     // Database
     if (process.env.REDIS_URL) {
       config.database.REDIS_URL = process.env.REDIS_URL;
@@ -158,6 +167,11 @@ class Config {
     return this.config.monitoring.LIQUIDITY_THRESHOLD_USD;
   }
 
+  // Market cap alerts are off unless a threshold is set
+  getMarketCapThreshold() {
+    return this.config.monitoring.MARKET_CAP_THRESHOLD_USD || null;
+  }
+
   getAlertCooldown() {
     return this.config.monitoring.ALERT_COOLDOWN_SECONDS;
   }
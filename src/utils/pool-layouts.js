@@ -0,0 +1,187 @@
+const { BufferReader, anchorDiscriminator } = require('./borsh');
+const { PROGRAM_IDS } = require('./programs');
+
+/**
+ * Account layouts of the AMM pools we discover by mint.
+ * Offsets are used both for getProgramAccounts memcmp filters and for decoding.
+ */
+const POOL_LAYOUTS = {
+  // Raydium AMM v4 LiquidityStateV4 (no discriminator)
+  raydium_amm_v4: {
+    programId: PROGRAM_IDS.RAYDIUM_AMM_V4,
+    dataSize: 752,
+    baseMintOffset: 400,
+    quoteMintOffset: 432
+  },
+  // Raydium CPMM PoolState (Anchor)
+  raydium_cpmm: {
+    programId: PROGRAM_IDS.RAYDIUM_CPMM,
+    dataSize: 637,
+    baseMintOffset: 168,
+    quoteMintOffset: 200,
+    discriminator: anchorDiscriminator('account', 'PoolState')
+  },
+  // Raydium CLMM PoolState (Anchor); concentrated liquidity has no LP mint
+  raydium_clmm: {
+    programId: PROGRAM_IDS.RAYDIUM_CLMM,
+    dataSize: 1544,
+    baseMintOffset: 73,
+    quoteMintOffset: 105,
+    discriminator: anchorDiscriminator('account', 'PoolState')
+  },
+  // PumpSwap Pool (Anchor); size has grown across upgrades so only the mints are filtered
+  pumpswap: {
+    programId: PROGRAM_IDS.PUMPSWAP,
+    dataSize: null,
+    baseMintOffset: 43,
+    quoteMintOffset: 75,
+    discriminator: anchorDiscriminator('account', 'Pool')
+  }
+};
+
+/**
+ * Decode a Raydium AMM v4 pool account
+ */
+function decodeAmmV4Pool(data) {
+  const reader = new BufferReader(data, 336);
+
+  const pool = {
+    dex: 'raydium_amm_v4',
+    baseVault: reader.publicKey(),
+    quoteVault: reader.publicKey(),
+    baseMint: reader.publicKey(),
+    quoteMint: reader.publicKey(),
+    lpMint: reader.publicKey()
+  };
+
+  pool.baseDecimals = Number(data.readBigUInt64LE(32));
+  pool.quoteDecimals = Number(data.readBigUInt64LE(40));
+  // Protocol PnL still sitting in the vaults is not tradable liquidity
+  pool.baseNeedTakePnl = data.readBigUInt64LE(192);
+  pool.quoteNeedTakePnl = data.readBigUInt64LE(200);
+  pool.lpSupply = data.readBigUInt64LE(720); // LP minted by the pool, unaffected by SPL burns
+
+  return pool;
+}
+
+/**
+ * Decode a Raydium CPMM pool account
+ */
+function decodeCpmmPool(data) {
+  const reader = new BufferReader(data, 8);
+
+  const ammConfig = reader.publicKey();
+  const creator = reader.publicKey();
+  const baseVault = reader.publicKey();
+  const quoteVault = reader.publicKey();
+  const lpMint = reader.publicKey();
+  const baseMint = reader.publicKey();
+  const quoteMint = reader.publicKey();
+  const baseTokenProgram = reader.publicKey();
+  const quoteTokenProgram = reader.publicKey();
+  const observationKey = reader.publicKey();
+  reader.skip(2); // auth bump, status
+  reader.skip(1); // lp decimals
+  const baseDecimals = reader.u8();
+  const quoteDecimals = reader.u8();
+
+  return {
+    dex: 'raydium_cpmm',
+    ammConfig,
+    creator,
+    baseVault,
+    quoteVault,
+    baseMint,
+    quoteMint,
+    lpMint,
+    // Needed to build swaps against the pool
+    baseTokenProgram,
+    quoteTokenProgram,
+    observationKey,
+    baseDecimals,
+    quoteDecimals,
+    lpSupply: reader.u64()
+  };
+}
+
+/**
+ * Decode a Raydium CLMM pool account
+ */
+function decodeClmmPool(data) {
+  const reader = new BufferReader(data, 8);
+
+  reader.skip(1); // bump
+  const ammConfig = reader.publicKey();
+  const creator = reader.publicKey();
+  const baseMint = reader.publicKey();
+  const quoteMint = reader.publicKey();
+  const baseVault = reader.publicKey();
+  const quoteVault = reader.publicKey();
+  reader.skip(32); // observation key
+
+  return {
+    dex: 'raydium_clmm',
+    ammConfig,
+    creator,
+    baseVault,
+    quoteVault,
+    baseMint,
+    quoteMint,
+    lpMint: null,
+    baseDecimals: reader.u8(),
+    quoteDecimals: reader.u8(),
+    tickSpacing: reader.u16(),
+    // Vault balances of a concentrated pool give neither its price nor its depth,
+    // the sqrt price and the liquidity active around it do
+    liquidity: reader.u128(),
+    sqrtPriceX64: reader.u128()
+  };
+}
+
+/**
+ * Decode a PumpSwap pool account
+ */
+function decodePumpSwapPool(data) {
+  const reader = new BufferReader(data, 8);
+
+  reader.skip(1 + 2); // bump, index
+
+  return {
+    dex: 'pumpswap',
+    creator: reader.publicKey(),
+    baseMint: reader.publicKey(),
+    quoteMint: reader.publicKey(),
+    lpMint: reader.publicKey(),
+    baseVault: reader.publicKey(),
+    quoteVault: reader.publicKey(),
+    lpSupply: reader.u64()
+  };
+}
+
+const DECODERS = {
+  raydium_amm_v4: decodeAmmV4Pool,
+  raydium_cpmm: decodeCpmmPool,
+  raydium_clmm: decodeClmmPool,
+  pumpswap: decodePumpSwapPool
+};
+
+/**
+ * Decode a pool account of the given dex, or null when the data does not match
+ */
+function decodePool(dex, data) {
+  const layout = POOL_LAYOUTS[dex];
+  if (!layout || !DECODERS[dex]) return null;
+  if (layout.dataSize && data.length !== layout.dataSize) return null;
+  if (layout.discriminator && !data.subarray(0, 8).equals(layout.discriminator)) return null;
+
+  return DECODERS[dex](data);
+}
+
+module.exports = {
+  POOL_LAYOUTS,
+  decodePool,
+  decodeAmmV4Pool,
+  decodeCpmmPool,
+  decodeClmmPool,
+  decodePumpSwapPool
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Well-known Solana program ids and mints used by the decoders
+ */
+
+const PROGRAM_IDS = {
+  TOKEN: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  TOKEN_2022: 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+  RAYDIUM_AMM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  RAYDIUM_CPMM: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  RAYDIUM_CLMM: 'CAMMCzo5YL8w4VFF8KVHrK22GGUQzaMob4na6NEn9a8',
+  PUMPFUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  PUMPSWAP: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+  METAPLEX_METADATA: 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s'
+};
+
+// Wallets with a known role in the launch lifecycle
+const KNOWN_ACCOUNTS = {
+  PUMPFUN_RAYDIUM_MIGRATION: '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg',
+  RAYDIUM_AMM_V4_AUTHORITY: '5Q544fKrFoe6tsEbD7S8EWxGTJYAKtTVhAW5Q5pge4j1',
+  INCINERATOR: '1nc1nerator11111111111111111111111111111111'
+};
+
+// Exchange hot wallets: countless unrelated wallets are first funded by a withdrawal from them
+const EXCHANGE_WALLETS = {
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Binance',
+  '2ojv9BAiHUrvsm9gxDe7fJSzbNZSJcxZvf8dqmWGHG8S': 'Binance',
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase',
+  '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm': 'Coinbase',
+  'GJRs4FwHtemZ5ZE9x3FNvJ8TMwitKTh21yxdRPqn7npE': 'Coinbase',
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': 'OKX',
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': 'Bybit',
+  'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': 'Kraken',
+  'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ': 'MEXC',
+  'u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w': 'Gate.io',
+  'BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6': 'KuCoin'
+};
+
+// Programs that hold LP tokens in escrow until an unlock date
+const LOCKER_PROGRAMS = {
+  STREAMFLOW: 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m',
+  RAYDIUM_LP_LOCK: 'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE'
+};
+
+// Mints treated as the quote side of a pair when pricing trades
+const QUOTE_MINTS = {
+  WSOL: 'So11111111111111111111111111111111111111112',
+  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+};
+
+/**
+ * Check whether a program id is the legacy SPL Token or Token-2022 program
+ */
+function isTokenProgram(programId) {
+  return programId === PROGRAM_IDS.TOKEN || programId === PROGRAM_IDS.TOKEN_2022;
+}
+
+/**
+ * Check whether a mint is one of the known quote mints
+ */
+function isQuoteMint(mint) {
+  return Object.values(QUOTE_MINTS).includes(mint);
+}
+
+module.exports = {
+  PROGRAM_IDS,
+  KNOWN_ACCOUNTS,
+  EXCHANGE_WALLETS,
+  LOCKER_PROGRAMS,
+  QUOTE_MINTS,
+  isTokenProgram,
+  isQuoteMint
+};
\ No newline at end of file
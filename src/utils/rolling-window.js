@@ -0,0 +1,115 @@
+/**
+ * Rolling trade statistics over a fixed time window, kept in time buckets so
+ * expiring old trades costs one bucket at a time instead of re-filtering trades.
+ */
+class RollingWindow {
+  constructor(durationMs, bucketMs) {
+    this.durationMs = durationMs;
+    this.bucketMs = bucketMs;
+
+    this.buckets = []; // oldest first: { start, volume, buyVolume, sellVolume, trades, wallets: Set }
+    this.totals = this.emptyTotals();
+    this.walletCounts = new Map(); // wallet -> number of live buckets it traded in
+    this.latestTimestamp = 0;
+  }
+
+  emptyTotals() {
+    return { volume: 0, buyVolume: 0, sellVolume: 0, trades: 0 };
+  }
+
+  /**
+   * Add a trade to the bucket covering its timestamp
+   */
+  add({ timestamp = Date.now(), amountUSD = 0, side, wallet }) {
+    this.latestTimestamp = Math.max(this.latestTimestamp, timestamp);
+    this.expire(this.latestTimestamp);
+
+    const start = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    if (start + this.bucketMs <= this.latestTimestamp - this.durationMs) {
+      return; // older than the window
+    }
+
+    let bucket = null;
+    for (let i = this.buckets.length - 1; i >= 0; i--) {
+      if (this.buckets[i].start === start) {
+        bucket = this.buckets[i];
+        break;
+      }
+      if (this.buckets[i].start < start) {
+        bucket = { start, ...this.emptyTotals(), wallets: new Set() };
+        this.buckets.splice(i + 1, 0, bucket);
+        break;
+      }
+    }
+
+    if (!bucket) {
+      bucket = { start, ...this.emptyTotals(), wallets: new Set() };
+      this.buckets.unshift(bucket);
+    }
+
+    bucket.volume += amountUSD;
+    bucket.trades += 1;
+    this.totals.volume += amountUSD;
+    this.totals.trades += 1;
+
+    if (side === 'buy') {
+      bucket.buyVolume += amountUSD;
+      this.totals.buyVolume += amountUSD;
+    } else if (side === 'sell') {
+      bucket.sellVolume += amountUSD;
+      this.totals.sellVolume += amountUSD;
+    }
+
+    if (wallet && !bucket.wallets.has(wallet)) {
+      bucket.wallets.add(wallet);
+      this.walletCounts.set(wallet, (this.walletCounts.get(wallet) || 0) + 1);
+    }
+  }
+
+  /**
+   * Drop buckets that ended before the window
+   */
+  expire(now = Date.now()) {
+    const windowStart = now - this.durationMs;
+
+    while (this.buckets.length > 0 && this.buckets[0].start + this.bucketMs <= windowStart) {
+      const bucket = this.buckets.shift();
+
+      this.totals.volume -= bucket.volume;
+      this.totals.buyVolume -= bucket.buyVolume;
+      this.totals.sellVolume -= bucket.sellVolume;
+      this.totals.trades -= bucket.trades;
+
+      for (const wallet of bucket.wallets) {
+        const count = this.walletCounts.get(wallet) - 1;
+        if (count > 0) {
+          this.walletCounts.set(wallet, count);
+        } else {
+          this.walletCounts.delete(wallet);
+        }
+      }
+    }
+
+    // Reset float drift once everything has expired
+    if (this.buckets.length === 0) {
+      this.totals = this.emptyTotals();
+    }
+  }
+
+  /**
+   * Get window statistics as of now
+   */
+  getStats(now = Date.now()) {
+    this.expire(now);
+
+    return {
+      volume: this.totals.volume,
+      buyVolume: this.totals.buyVolume,
+      sellVolume: this.totals.sellVolume,
+      trades: this.totals.trades,
+      uniqueWallets: this.walletCounts.size
+    };
+  }
+}
+
+module.exports = RollingWindow;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { PublicKey, TransactionInstruction } = require('@solana/web3.js');
+const { anchorDiscriminator } = require('./borsh');
+const { PROGRAM_IDS } = require('./programs');
+
+const CPMM_PROGRAM_ID = new PublicKey(PROGRAM_IDS.RAYDIUM_CPMM);
+
+// Owns the vaults of every CPMM pool
+const [CPMM_AUTHORITY] = PublicKey.findProgramAddressSync(
+  [Buffer.from('vault_and_lp_mint_auth_seed')],
+  CPMM_PROGRAM_ID
+);
+
+const CPMM_SWAP_BASE_INPUT = anchorDiscriminator('global', 'swap_base_input');
+
+// AmmConfig: discriminator, bump, disable_create_pool, index, then trade_fee_rate
+const CPMM_TRADE_FEE_RATE_OFFSET = 12;
+const CPMM_FEE_RATE_DENOMINATOR = 1000000;
+
+// CLMM AmmConfig: discriminator, bump, index, owner, protocol_fee_rate, then trade_fee_rate (u32)
+const CLMM_TRADE_FEE_RATE_OFFSET = 47;
+const CLMM_FEE_RATE_DENOMINATOR = 1000000;
+
+/**
+ * Build a Raydium CPMM swap_base_input instruction
+ * @param {Object} pool - Decoded CPMM pool (see decodeCpmmPool)
+ * @param {string} inputMint - Mint sold into the pool, either pool.baseMint or pool.quoteMint
+ * @param {bigint} amountIn - Raw amount sold
+ * @param {bigint} minimumAmountOut - Raw minimum received
+ */
+function buildCpmmSwapBaseInput({ pool, payer, inputAccount, outputAccount, inputMint, amountIn, minimumAmountOut = BigInt(0) }) {
+  const baseIn = inputMint === pool.baseMint;
+  const side = (base, quote) => new PublicKey(baseIn ? base : quote);
+  const otherSide = (base, quote) => new PublicKey(baseIn ? quote : base);
+
+  const data = Buffer.alloc(24);
+  CPMM_SWAP_BASE_INPUT.copy(data, 0);
+  data.writeBigUInt64LE(BigInt(amountIn), 8);
+  data.writeBigUInt64LE(BigInt(minimumAmountOut), 16);
+
+  return new TransactionInstruction({
+    programId: CPMM_PROGRAM_ID,
+    keys: [
+      { pubkey: new PublicKey(payer), isSigner: true, isWritable: false },
+      { pubkey: CPMM_AUTHORITY, isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(pool.ammConfig), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(pool.pool), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(inputAccount), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(outputAccount), isSigner: false, isWritable: true },
+      { pubkey: side(pool.baseVault, pool.quoteVault), isSigner: false, isWritable: true },
+      { pubkey: otherSide(pool.baseVault, pool.quoteVault), isSigner: false, isWritable: true },
+      { pubkey: side(pool.baseTokenProgram, pool.quoteTokenProgram), isSigner: false, isWritable: false },
+      { pubkey: otherSide(pool.baseTokenProgram, pool.quoteTokenProgram), isSigner: false, isWritable: false },
+      { pubkey: side(pool.baseMint, pool.quoteMint), isSigner: false, isWritable: false },
+      { pubkey: otherSide(pool.baseMint, pool.quoteMint), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(pool.observationKey), isSigner: false, isWritable: true }
+    ],
+    data
+  });
+}
+
+/**
+ * Read the trade fee rate (fraction of the input) from a CPMM AmmConfig account
+ */
+function decodeCpmmTradeFeeRate(data) {
+  return Number(data.readBigUInt64LE(CPMM_TRADE_FEE_RATE_OFFSET)) / CPMM_FEE_RATE_DENOMINATOR;
+}
+
+/**
+ * Read the trade fee rate (fraction of the input) from a CLMM AmmConfig account
+ */
+function decodeClmmTradeFeeRate(data) {
+  return data.readUInt32LE(CLMM_TRADE_FEE_RATE_OFFSET) / CLMM_FEE_RATE_DENOMINATOR;
+}
+
+/**
+ * Constant product output for an input after the pool's trade fee
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, feeRate) {
+  const amountInAfterFee = amountIn * (1 - feeRate);
+  return (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
+}
+
+module.exports = {
+  CPMM_AUTHORITY,
+  buildCpmmSwapBaseInput,
+  decodeCpmmTradeFeeRate,
+  decodeClmmTradeFeeRate,
+  getAmountOut
+};
\ No newline at end of file
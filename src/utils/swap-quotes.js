@@ -0,0 +1,50 @@
+// Swap fees by market. CPMM and CLMM pools each pick a fee tier, these are the
+// defaults used when a pool's AmmConfig cannot be read
+const SWAP_FEE_RATES = {
+  raydium_amm_v4: 0.0025,
+  raydium_cpmm: 0.0025,
+  raydium_clmm: 0.0025,
+  pumpswap: 0.0025,
+  pumpfun: 0.01
+};
+
+/**
+ * Quote a swap on a constant product curve, fee taken from the input
+ * @param {number} maxOut - What the market can pay out at most, e.g. a bonding curve's real reserves
+ * @returns {{amountOut: number, priceImpactPct: number}} impact is the shortfall against the spot price, fee included
+ */
+function quoteConstantProduct(reserveIn, reserveOut, amountIn, feeRate = 0, maxOut = Infinity) {
+  if (!(reserveIn > 0) || !(reserveOut > 0) || !(amountIn > 0)) {
+    return { amountOut: 0, priceImpactPct: 100 };
+  }
+
+  const inAfterFee = amountIn * (1 - feeRate);
+  const amountOut = Math.min((reserveOut * inAfterFee) / (reserveIn + inAfterFee), maxOut);
+  const spotOut = amountIn * (reserveOut / reserveIn);
+
+  return {
+    amountOut,
+    priceImpactPct: Math.max((1 - amountOut / spotOut) * 100, 0)
+  };
+}
+
+/**
+ * Virtual reserves of a concentrated liquidity pool at its current price, in UI units.
+ * Trading against them matches the pool until the price leaves the active tick range.
+ */
+function getVirtualReserves({ liquidity, sqrtPriceX64, baseDecimals, quoteDecimals }) {
+  const sqrtPrice = Number(sqrtPriceX64) / Math.pow(2, 64);
+  const activeLiquidity = Number(liquidity);
+  if (!(sqrtPrice > 0) || !(activeLiquidity > 0)) return null;
+
+  return {
+    baseReserve: activeLiquidity / sqrtPrice / Math.pow(10, baseDecimals),
+    quoteReserve: activeLiquidity * sqrtPrice / Math.pow(10, quoteDecimals)
+  };
+}
+
+module.exports = {
+  SWAP_FEE_RATES,
+  quoteConstantProduct,
+  getVirtualReserves
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  AccountState,
+  ExtensionType,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getTransferHook,
+  getPermanentDelegate,
+  getDefaultAccountState,
+  getInterestBearingMintConfigState
+} = require('@solana/spl-token');
+
+/**
+ * Decode the extension types present on an unpacked Token-2022 mint
+ */
+function getMintExtensionTypes(mintInfo) {
+  if (!mintInfo.tlvData || mintInfo.tlvData.length === 0) {
+    return [];
+  }
+
+  return getExtensionTypes(mintInfo.tlvData);
+}
+
+/**
+ * Translate Token-2022 mint extensions into risk flags with their parameters.
+ * Informational extensions (metadata pointer, token metadata, groups) raise nothing.
+ * @returns {Array<{flag: string, details: Object}>}
+ */
+function getMintExtensionFlags(mintInfo) {
+  const types = getMintExtensionTypes(mintInfo);
+  const flags = [];
+  const optionalKey = (key) => (key && !key.equals(PublicKey.default) ? key.toBase58() : null);
+
+  if (types.includes(ExtensionType.TransferFeeConfig)) {
+    const config = getTransferFeeConfig(mintInfo);
+    const fee = config.newerTransferFee;
+    const authority = optionalKey(config.transferFeeConfigAuthority);
+
+    // A zero fee only matters while someone can still raise it
+    if (fee.transferFeeBasisPoints > 0 || authority) {
+      flags.push({
+        flag: 'transfer_fee',
+        details: {
+          basisPoints: fee.transferFeeBasisPoints,
+          olderBasisPoints: config.olderTransferFee.transferFeeBasisPoints,
+          maximumFee: fee.maximumFee.toString(),
+          feeAuthority: authority
+        }
+      });
+    }
+  }
+
+  if (types.includes(ExtensionType.TransferHook)) {
+    const hook = getTransferHook(mintInfo);
+    const programId = optionalKey(hook.programId);
+    const authority = optionalKey(hook.authority);
+
+    if (programId || authority) {
+      flags.push({
+        flag: 'transfer_hook',
+        details: { programId, authority }
+      });
+    }
+  }
+
+  if (types.includes(ExtensionType.PermanentDelegate)) {
+    const delegate = optionalKey(getPermanentDelegate(mintInfo).delegate);
+
+    if (delegate) {
+      flags.push({
+        flag: 'permanent_delegate',
+        details: { delegate }
+      });
+    }
+  }
+
+  if (types.includes(ExtensionType.NonTransferable)) {
+    flags.push({ flag: 'non_transferable', details: {} });
+  }
+
+  if (types.includes(ExtensionType.DefaultAccountState)) {
+    const { state } = getDefaultAccountState(mintInfo);
+
+    if (state === AccountState.Frozen) {
+      flags.push({ flag: 'default_account_frozen', details: { state: 'frozen' } });
+    }
+  }
+
+  if (types.includes(ExtensionType.ConfidentialTransferMint)) {
+    flags.push({ flag: 'confidential_transfers', details: {} });
+  }
+
+  if (types.includes(ExtensionType.InterestBearingConfig)) {
+    const config = getInterestBearingMintConfigState(mintInfo);
+
+    flags.push({
+      flag: 'interest_bearing',
+      details: {
+        rateBasisPoints: config.currentRate,
+        rateAuthority: optionalKey(config.rateAuthority)
+      }
+    });
+  }
+
+  return flags;
+}
+
+module.exports = {
+  getMintExtensionTypes,
+  getMintExtensionFlags
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { PublicKey } = require('@solana/web3.js');
+const { ExtensionType, getExtensionData } = require('@solana/spl-token');
+const { BufferReader } = require('./borsh');
+const { PROGRAM_IDS } = require('./programs');
+
+const METADATA_PROGRAM_ID = new PublicKey(PROGRAM_IDS.METAPLEX_METADATA);
+
+// Metaplex pads name, symbol and uri with null bytes to their maximum length
+const trimPadding = (value) => value.replace(/\0/g, '').trim();
+
+/**
+ * Derive the Metaplex metadata account of a mint
+ */
+function getMetadataAddress(mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+    METADATA_PROGRAM_ID
+  );
+  return address.toBase58();
+}
+
+/**
+ * Decode a Metaplex token metadata account
+ */
+function decodeMetaplexMetadata(data) {
+  const reader = new BufferReader(data, 1); // skip the account key
+
+  const metadata = {
+    source: 'metaplex',
+    updateAuthority: reader.publicKey(),
+    mint: reader.publicKey(),
+    name: trimPadding(reader.string()),
+    symbol: trimPadding(reader.string()),
+    uri: trimPadding(reader.string()),
+    sellerFeeBasisPoints: reader.u16()
+  };
+
+  // Verified creators: address, verified flag and share each
+  if (reader.bool()) {
+    reader.skip(reader.u32() * 34);
+  }
+
+  metadata.primarySaleHappened = reader.bool();
+  metadata.isMutable = reader.bool();
+
+  return metadata;
+}
+
+/**
+ * Read the metadata stored in a Token-2022 mint's TokenMetadata extension.
+ * It stays mutable for as long as it has an update authority.
+ * @returns {Object|null} null when the mint carries no metadata extension
+ */
+function getToken2022Metadata(mintInfo) {
+  const data = mintInfo.tlvData && mintInfo.tlvData.length > 0
+    ? getExtensionData(ExtensionType.TokenMetadata, mintInfo.tlvData)
+    : null;
+  if (!data) return null;
+
+  const reader = new BufferReader(data);
+  const updateAuthority = reader.publicKey();
+
+  const metadata = {
+    source: 'token_2022',
+    updateAuthority: updateAuthority === PublicKey.default.toBase58() ? null : updateAuthority,
+    mint: reader.publicKey(),
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string()
+  };
+  metadata.isMutable = metadata.updateAuthority !== null;
+
+  return metadata;
+}
+
+module.exports = {
+  getMetadataAddress,
+  decodeMetaplexMetadata,
+  getToken2022Metadata
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+const bs58 = require('bs58');
+
+/**
+ * Normalize a legacy or v0 transaction response into one shape:
+ * full account key list (static + lookup table addresses) and decoded instruction data
+ * @param {Object} loadedAddresses - { writable, readonly } addresses resolved from lookup tables
+ */
+function normalizeTransaction(txDetails, loadedAddresses = null) {
+  if (txDetails.normalized) return txDetails;
+
+  const { message, signatures } = txDetails.transaction;
+  const staticKeys = message.staticAccountKeys || message.accountKeys;
+  const loaded = loadedAddresses ||
+    (txDetails.meta && txDetails.meta.loadedAddresses) ||
+    { writable: [], readonly: [] };
+
+  // Lookup table keys follow the static keys: all writable first, then all readonly
+  const accountKeys = staticKeys
+    .concat(loaded.writable, loaded.readonly)
+    .map(key => key.toString());
+
+  const instructions = (message.compiledInstructions || message.instructions).map(ix => ({
+    programIdIndex: ix.programIdIndex,
+    accounts: ix.accountKeyIndexes || ix.accounts,
+    data: typeof ix.data === 'string' ? Buffer.from(bs58.decode(ix.data)) : Buffer.from(ix.data)
+  }));
+
+  return {
+    normalized: true,
+    signature: signatures ? signatures[0] : null,
+    slot: txDetails.slot,
+    blockTime: txDetails.blockTime,
+    version: txDetails.version !== undefined ? txDetails.version : 'legacy',
+    accountKeys,
+    instructions,
+    addressTableLookups: message.addressTableLookups || [],
+    meta: txDetails.meta
+  };
+}
+
+/**
+ * Get the full account key list of a transaction as base58 strings
+ */
+function getAccountKeys(txDetails) {
+  return normalizeTransaction(txDetails).accountKeys;
+}
+
+/**
+ * Flatten top-level and inner (CPI) instructions in execution order
+ */
+function flattenInstructions(txDetails) {
+  const tx = normalizeTransaction(txDetails);
+  const { accountKeys } = tx;
+  const innerByIndex = new Map();
+
+  if (tx.meta && tx.meta.innerInstructions) {
+    for (const inner of tx.meta.innerInstructions) {
+      innerByIndex.set(inner.index, inner.instructions);
+    }
+  }
+
+  const toInstruction = (ix, outerIndex, innerIndex) => ({
+    programId: accountKeys[ix.programIdIndex],
+    accounts: ix.accounts.map(index => accountKeys[index]),
+    data: Buffer.isBuffer(ix.data) ? ix.data : Buffer.from(bs58.decode(ix.data)),
+    outerIndex,
+    innerIndex
+  });
+
+  const instructions = [];
+
+  tx.instructions.forEach((ix, outerIndex) => {
+    instructions.push(toInstruction(ix, outerIndex, null));
+
+    const inner = innerByIndex.get(outerIndex) || [];
+    inner.forEach((innerIx, innerIndex) => {
+      instructions.push(toInstruction(innerIx, outerIndex, innerIndex));
+    });
+  });
+
+  return instructions;
+}
+
+/**
+ * Get the pre/post token balance change of a token account
+ */
+function getTokenBalanceChange(txDetails, accountKeys, tokenAccount) {
+  const { meta } = txDetails;
+  if (!meta) return null;
+
+  const accountIndex = accountKeys.indexOf(tokenAccount);
+  if (accountIndex === -1) return null;
+
+  const findBalance = (balances) => (balances || []).find(b => b.accountIndex === accountIndex);
+  const pre = findBalance(meta.preTokenBalances);
+  const post = findBalance(meta.postTokenBalances);
+  const balance = post || pre;
+
+  if (!balance) return null;
+
+  const preAmount = pre ? BigInt(pre.uiTokenAmount.amount) : 0n;
+  const postAmount = post ? BigInt(post.uiTokenAmount.amount) : 0n;
+  const decimals = balance.uiTokenAmount.decimals;
+  const delta = postAmount - preAmount;
+
+  return {
+    mint: balance.mint,
+    owner: balance.owner,
+    decimals,
+    preAmount,
+    postAmount,
+    delta,
+    uiDelta: Number(delta) / Math.pow(10, decimals)
+  };
+}
+
+/**
+ * Get the lamport balance change of an account
+ */
+function getLamportChange(txDetails, accountKeys, account) {
+  const { meta } = txDetails;
+  const accountIndex = accountKeys.indexOf(account);
+
+  if (!meta || accountIndex === -1 || !meta.preBalances || !meta.postBalances) {
+    return null;
+  }
+
+  return meta.postBalances[accountIndex] - meta.preBalances[accountIndex];
+}
+
+/**
+ * Check whether transaction logs show an invocation of a program
+ */
+function logsInvokeProgram(logs, programId) {
+  const prefix = `Program ${programId} invoke`;
+  return logs.some(log => log.startsWith(prefix));
+}
+
+module.exports = {
+  normalizeTransaction,
+  getAccountKeys,
+  flattenInstructions,
+  getTokenBalanceChange,
+  getLamportChange,
+  logsInvokeProgram
+};
\ No newline at end of file
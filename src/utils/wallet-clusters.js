@@ -0,0 +1,56 @@
+const { EXCHANGE_WALLETS } = require('./programs');
+
+/**
+ * Group wallets funded by the same wallet or by one another. Funding from an
+ * exchange hot wallet links nothing, any of its customers may have withdrawn.
+ * @param {string[]} wallets - Wallets to group
+ * @param {Map<string, Object>} fundings - wallet -> funding from the FundingTracer
+ * @param {Array<[string, string]>} links - Further pairs of wallets known to belong together
+ * @param {Set<string>} ignoredFunders - Funders that link no wallets, the known exchanges by default
+ * @returns {Array<{wallets: string[], funder: string|null}>} one cluster per group, singles included
+ */
+function clusterByFunding(wallets, fundings, links = [], ignoredFunders = new Set(Object.keys(EXCHANGE_WALLETS))) {
+  const parent = new Map(wallets.map(wallet => [wallet, wallet]));
+  const find = (wallet) => {
+    while (parent.get(wallet) !== wallet) wallet = parent.get(wallet);
+    return wallet;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const byFunder = new Map();
+  for (const [wallet, funding] of fundings) {
+    if (!parent.has(wallet) || !funding.funder || ignoredFunders.has(funding.funder)) continue;
+
+    if (parent.has(funding.funder)) {
+      union(wallet, funding.funder);
+    }
+    if (byFunder.has(funding.funder)) {
+      union(wallet, byFunder.get(funding.funder));
+    } else {
+      byFunder.set(funding.funder, wallet);
+    }
+  }
+
+  links.forEach(([a, b]) => union(a, b));
+
+  const clusters = new Map();
+  for (const wallet of wallets) {
+    const root = find(wallet);
+    if (!clusters.has(root)) {
+      clusters.set(root, { wallets: [], funder: null });
+    }
+
+    const cluster = clusters.get(root);
+    const funding = fundings.get(wallet);
+    cluster.wallets.push(wallet);
+    if (funding && funding.funder && !ignoredFunders.has(funding.funder)) {
+      cluster.funder = cluster.funder || funding.funder;
+    }
+  }
+
+  return [...clusters.values()];
+}
+
+module.exports = {
+  clusterByFunding
+};
\ No newline at end of file
@@ -4,20 +4,65 @@ const axios = require('axios');
 const { getConfig } = require('./utils/config');
 const logger = require('./utils/logger');
 const { retryAsync, createRateLimiter } = require('./utils/helpers');
+const PoolDiscovery = require('./pool-discovery');
+const { isQuoteMint } = require('./utils/programs');
+const RollingWindow = require('./utils/rolling-window');
+const CandleSeries = require('./utils/candle-series');
+const { SWAP_FEE_RATES, quoteConstantProduct, getVirtualReserves } = require('./utils/swap-quotes');
+const { decodeCpmmTradeFeeRate, decodeClmmTradeFeeRate } = require('./utils/swap-instructions');
+
+// Rolling volume windows and their bucket sizes
+const VOLUME_WINDOWS = {
+  '5m': { durationMs: 5 * 60 * 1000, bucketMs: 10 * 1000 },
+  '1h': { durationMs: 60 * 60 * 1000, bucketMs: 60 * 1000 },
+  '6h': { durationMs: 6 * 60 * 60 * 1000, bucketMs: 5 * 60 * 1000 },
+  '24h': { durationMs: 24 * 60 * 60 * 1000, bucketMs: 15 * 60 * 1000 }
+};
+
+// OHLCV intervals and how many candles each ring buffer keeps
+const CANDLE_INTERVALS = {
+  '1s': { intervalMs: 1000, capacity: 300 },        // 5 minutes
+  '1m': { intervalMs: 60 * 1000, capacity: 240 },   // 4 hours
+  '5m': { intervalMs: 5 * 60 * 1000, capacity: 288 }, // 24 hours
+  '1h': { intervalMs: 60 * 60 * 1000, capacity: 168 } // 7 days
+};
+
+// Window of observed swap prices used for the TWAP
+const TWAP_WINDOW_MS = 5 * 60 * 1000;
+const MAX_PRICE_OBSERVATIONS = 500;
+// Spot prices further than this from the TWAP are treated as manipulated
+const MAX_SPOT_DEVIATION = 0.2;
+// Prices older than this are reported as stale
+const PRICE_STALE_MS = 60 * 1000;
+// Trade sizes quoted for price impact unless monitoring.PRICE_IMPACT_SIZES_USD says otherwise
+const DEFAULT_IMPACT_SIZES_USD = [1000, 5000];
+// Decoders of the fee tier a pool's AmmConfig account sets
+const FEE_TIER_DECODERS = {
+  raydium_cpmm: decodeCpmmTradeFeeRate,
+  raydium_clmm: decodeClmmTradeFeeRate
+};
 
 class VolumeTracker {
-  constructor(connection) {
+  constructor(connection, poolDiscovery = new PoolDiscovery(connection)) {
     this.connection = connection;
     this.config = getConfig();
+    this.poolDiscovery = poolDiscovery;
     
     // Volume tracking by token mint
-    this.tokenVolumes = new Map(); // tokenMint -> { cumulative: Big, trades: [] }
+    this.tokenVolumes = new Map(); // tokenMint -> { cumulative: Big, trades: [], windows: { '5m': RollingWindow, ... } }
     this.tokenLiquidity = new Map(); // tokenMint -> { usdValue: Big, pools: [] }
+    this.tokenPools = new Map(); // tokenMint -> [{ pool, dex, quoteMint, baseVault, quoteVault }]
+    this.tokenCandles = new Map(); // tokenMint -> { '1s': CandleSeries, '1m': ..., '5m': ..., '1h': ... }
     
     // Price caching
-    this.priceCache = new Map(); // symbol -> { price: number, timestamp: number }
+    this.priceCache = new Map(); // symbol -> { price, timestamp, source, observedAt }
     this.priceCacheTTL = 30000; // 30 seconds
     
+    // On-chain pricing for tokens no aggregator knows yet
+    this.spotPrices = new Map(); // tokenMint -> { price, source, pool, depthUSD, observedAt }
+    this.priceObservations = new Map(); // tokenMint -> [{ price, timestamp }] from observed swaps
+    this.feeTiers = new Map(); // amm config -> trade fee rate
+    
     // Rate limiters for price feeds
     this.coinGeckoLimiter = createRateLimiter(2); // 2 requests per second
     this.jupiterLimiter = createRateLimiter(10); // 10 requests per second
@@ -33,18 +78,21 @@ class VolumeTracker {
 
   /**
    * Record a trade for volume tracking
+   * @param {Object} details - Decoded swap details (dex, pool, trader, side, token/quote amounts)
    */
-  async recordTrade(tokenMint, amountUSD, signature) {
+  async recordTrade(tokenMint, amountUSD, signature, details = {}) {
     try {
       if (!this.tokenVolumes.has(tokenMint)) {
         this.tokenVolumes.set(tokenMint, {
           cumulative: new Big(0),
-          trades: []
+          trades: [],
+          windows: this.createWindows()
         });
       }
 
       const tokenData = this.tokenVolumes.get(tokenMint);
       const tradeAmount = new Big(amountUSD);
+      const timestamp = Date.now();
       
       // Add to cumulative volume
       tokenData.cumulative = tokenData.cumulative.plus(tradeAmount);
@@ -53,19 +101,59 @@ class VolumeTracker {
       tokenData.trades.push({
         signature,
         amountUSD: tradeAmount.toNumber(),
-        timestamp: Date.now()
+        timestamp,
+        ...details
       });
+      
+      for (const window of Object.values(tokenData.windows)) {
+        window.add({
+          timestamp,
+          amountUSD: tradeAmount.toNumber(),
+          side: details.side,
+          wallet: details.trader
+        });
+      }
+      
+      // Every valued swap is a price observation for the TWAP and the candles
+      if (details.tokenAmount > 0 && amountUSD > 0) {
+        const price = amountUSD / details.tokenAmount;
+        this.recordPriceObservation(tokenMint, price, timestamp);
+        this.recordCandle(tokenMint, timestamp, price, details.tokenAmount, tradeAmount.toNumber());
+      }
 
       // Cleanup old trades based on monitor mode
       this.cleanupOldTrades(tokenData);
       
-      logger.debug(`Recorded trade for ${tokenMint}: $${amountUSD} (Total: $${tokenData.cumulative.toFixed(2)})`);
+      logger.debug(`Recorded ${details.side || 'trade'} for ${tokenMint}: $${amountUSD} (Total: $${tokenData.cumulative.toFixed(2)})`);
       
     } catch (error) {
       logger.error(`Error recording trade for ${tokenMint}:`, error);
     }
   }
 
+  /**
+   * Link an AMM pool to a token, e.g. when its bonding curve migrates
+   */
+  linkPool(tokenMint, poolInfo) {
+    const pools = this.tokenPools.get(tokenMint) || [];
+    
+    if (!pools.some(existing => existing.pool === poolInfo.pool)) {
+      pools.push({
+        baseMint: tokenMint,
+        ...poolInfo,
+        linkedAt: Date.now()
+      });
+      this.tokenPools.set(tokenMint, pools);
+    }
+    
+    // Volume is keyed by mint, so trades on the new pool extend the existing history
+    this.tokenLiquidity.delete(tokenMint);
+    this.poolDiscovery.invalidate(tokenMint);
+    
+    logger.debug(`Linked ${poolInfo.dex} pool ${poolInfo.pool} to ${tokenMint}`);
+    return pools;
+  }
+
   /**
    * Get cumulative volume for a token
    */
@@ -79,11 +167,9 @@ class VolumeTracker {
       // Recalculate based on monitor mode
       const monitorMode = this.config.get('monitoring.MONITOR_MODE');
       
-      if (monitorMode === '24h') {
-        const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-        const recentTrades = tokenData.trades.filter(trade => trade.timestamp >= oneDayAgo);
-        const volume24h = recentTrades.reduce((sum, trade) => sum + trade.amountUSD, 0);
-        return volume24h;
+      if (tokenData.windows[monitorMode]) {
+        // 5m, 1h, 6h or 24h rolling window
+        return tokenData.windows[monitorMode].getStats().volume;
       } else {
         // since_first_trade mode
         return tokenData.cumulative.toNumber();
@@ -94,6 +180,81 @@ class VolumeTracker {
     }
   }
 
+  /**
+   * Get volume, buy/sell volume, trade count and unique wallets for every rolling window
+   * @returns {Object} e.g. { '5m': { volume, buyVolume, sellVolume, trades, uniqueWallets }, '1h': ... }
+   */
+  getVolumeWindows(tokenMint) {
+    const tokenData = this.tokenVolumes.get(tokenMint);
+    const windows = tokenData ? tokenData.windows : this.createWindows();
+    const now = Date.now();
+    const stats = {};
+    
+    for (const [name, window] of Object.entries(windows)) {
+      stats[name] = window.getStats(now);
+    }
+    
+    return stats;
+  }
+
+  /**
+   * Create the rolling windows of a token
+   */
+  createWindows() {
+    const windows = {};
+    
+    for (const [name, { durationMs, bucketMs }] of Object.entries(VOLUME_WINDOWS)) {
+      windows[name] = new RollingWindow(durationMs, bucketMs);
+    }
+    
+    return windows;
+  }
+
+  /**
+   * Add a swap to every candle interval of a token
+   */
+  recordCandle(tokenMint, timestamp, price, baseVolume, quoteVolume) {
+    if (!this.tokenCandles.has(tokenMint)) {
+      const series = {};
+      for (const [interval, { intervalMs, capacity }] of Object.entries(CANDLE_INTERVALS)) {
+        series[interval] = new CandleSeries(intervalMs, capacity);
+      }
+      this.tokenCandles.set(tokenMint, series);
+    }
+    
+    for (const candles of Object.values(this.tokenCandles.get(tokenMint))) {
+      candles.add({ timestamp, price, baseVolume, quoteVolume });
+    }
+  }
+
+  /**
+   * Get OHLCV candles for a token, oldest first
+   * @param {string} interval - '1s', '1m', '5m' or '1h'
+   * @returns {Array<{time, open, high, low, close, baseVolume, quoteVolume, trades}>} prices and quote volume in USD
+   */
+  getCandles(tokenMint, interval = '1m', limit) {
+    if (!CANDLE_INTERVALS[interval]) {
+      throw new Error(`Unsupported candle interval: ${interval}`);
+    }
+    
+    const series = this.tokenCandles.get(tokenMint);
+    return series ? series[interval].getCandles(limit) : [];
+  }
+
+  /**
+   * Get the price change over the last `windowMs` from 1m candles, as a fraction
+   */
+  getPriceChange(tokenMint, windowMs) {
+    const limit = Math.ceil(windowMs / CANDLE_INTERVALS['1m'].intervalMs);
+    const since = Date.now() - windowMs;
+    const candles = this.getCandles(tokenMint, '1m', limit)
+      .filter(candle => candle.time + CANDLE_INTERVALS['1m'].intervalMs > since);
+    
+    if (candles.length === 0 || candles[0].open === 0) return null;
+    
+    return (candles[candles.length - 1].close - candles[0].open) / candles[0].open;
+  }
+
   /**
    * Get current liquidity for a token
    */
@@ -106,12 +267,12 @@ class VolumeTracker {
       }
 
       // Fetch current liquidity
-      const liquidity = await this.fetchTokenLiquidity(tokenMint);
+      const { liquidity, pools } = await this.fetchTokenLiquidity(tokenMint);
       
       // Cache the result
       this.tokenLiquidity.set(tokenMint, {
         usdValue: new Big(liquidity),
-        pools: [], // TODO: Implement pool tracking
+        pools,
         timestamp: Date.now()
       });
 
@@ -123,7 +284,16 @@ class VolumeTracker {
   }
 
   /**
-   * Fetch token liquidity from various sources
+   * Get the pools (with reserves and USD liquidity) from the last liquidity read
+   */
+  getTokenPools(tokenMint) {
+    const cached = this.tokenLiquidity.get(tokenMint);
+    return cached ? cached.pools : [];
+  }
+
+  /**
+   * Fetch token liquidity from the token's AMM pools
+   * @returns {Promise<{liquidity: number, pools: Array<Object>}>}
    */
   async fetchTokenLiquidity(tokenMint) {
     try {
@@ -131,45 +301,39 @@ class VolumeTracker {
       const pools = await this.findLiquidityPools(tokenMint);
       
       if (pools.length === 0) {
-        return 0; // No liquidity pools found
+        return { liquidity: 0, pools: [] }; // No liquidity pools found
       }
 
+      // Reserves were just read, refresh the on-chain spot price with them
+      await this.updateSpotPrice(tokenMint, pools);
+
       // Calculate total USD liquidity across all pools
       let totalLiquidity = 0;
       
       for (const pool of pools) {
-        const poolLiquidity = await this.calculatePoolLiquidity(pool);
-        totalLiquidity += poolLiquidity;
+        pool.liquidityUSD = await this.calculatePoolLiquidity(pool);
+        totalLiquidity += pool.liquidityUSD;
       }
 
-      return totalLiquidity;
+      return { liquidity: totalLiquidity, pools };
     } catch (error) {
       logger.error(`Error fetching liquidity for ${tokenMint}:`, error);
-      return 0;
+      return { liquidity: 0, pools: [] };
     }
   }
 
   /**
-   * Find liquidity pools for a token
+   * Find liquidity pools for a token (Raydium AMM v4/CPMM/CLMM, PumpSwap) with current reserves
    */
   async findLiquidityPools(tokenMint) {
     try {
-      // This is a simplified implementation
-      // In production, you'd query Raydium, Orca, and other DEX APIs
-      
-      // For now, we'll simulate finding pools
-      const pools = [
-        {
-          id: `${tokenMint}_SOL_pool`,
-          tokenA: tokenMint,
-          tokenB: this.KNOWN_TOKENS.SOL,
-          reserveA: 1000000, // Example reserves
-          reserveB: 100, // 100 SOL
-          dex: 'Raydium'
-        }
-      ];
-
-      return pools;
+      const discovered = await this.poolDiscovery.findPools(tokenMint);
+      
+      // Pools linked from observed migrations may not be indexed by the RPC yet
+      const linked = (this.tokenPools.get(tokenMint) || [])
+        .filter(linkedPool => !discovered.some(pool => pool.pool === linkedPool.pool));
+      
+      return await this.poolDiscovery.loadReserves(discovered.concat(linked));
     } catch (error) {
       logger.error(`Error finding pools for ${tokenMint}:`, error);
       return [];
@@ -181,18 +345,18 @@ class VolumeTracker {
    */
   async calculatePoolLiquidity(pool) {
     try {
-      const { tokenA, tokenB, reserveA, reserveB } = pool;
+      const { baseMint, quoteMint, baseReserve, quoteReserve } = pool;
       
       // Get USD prices for both tokens
-      const priceA = await this.getTokenPriceUSD(tokenA);
-      const priceB = await this.getTokenPriceUSD(tokenB);
+      const basePrice = await this.getTokenPriceUSD(baseMint);
+      const quotePrice = await this.getTokenPriceUSD(quoteMint);
       
       // Calculate USD value of reserves
-      const valueA = reserveA * priceA;
-      const valueB = reserveB * priceB;
+      const baseValue = baseReserve * basePrice;
+      const quoteValue = quoteReserve * quotePrice;
       
       // Total pool liquidity
-      return valueA + valueB;
+      return baseValue + quoteValue;
     } catch (error) {
       logger.error('Error calculating pool liquidity:', error);
       return 0;
@@ -211,25 +375,36 @@ class VolumeTracker {
       }
 
       let price = 0;
+      let source = 'none';
+      let observedAt = Date.now();
 
       // Handle known stablecoins
       if (tokenMint === this.KNOWN_TOKENS.USDC || tokenMint === this.KNOWN_TOKENS.USDT) {
         price = 1.0;
+        source = 'stablecoin';
       } else if (tokenMint === this.KNOWN_TOKENS.SOL || tokenMint === this.KNOWN_TOKENS.WSOL) {
         price = await this.getSOLPriceUSD();
+        source = 'coingecko';
+      } else if (this.hasFreshSpotPrice(tokenMint)) {
+        // A spot price read on chain just now is newer than anything Jupiter has
+        ({ price, source, observedAt } = await this.getTokenPriceFromSOLPair(tokenMint));
       } else {
         // Try to get price from Jupiter first (faster)
         price = await this.getTokenPriceFromJupiter(tokenMint);
+        source = 'jupiter';
         
         if (price === 0) {
-          // Fallback to calculating from SOL pairs
-          price = await this.getTokenPriceFromSOLPair(tokenMint);
+          // Fallback to on-chain pool reserves and observed swaps
+          const onChain = await this.getTokenPriceFromSOLPair(tokenMint);
+          ({ price, source, observedAt } = onChain);
         }
       }
 
       // Cache the result
       this.priceCache.set(tokenMint, {
         price,
+        source,
+        observedAt,
         timestamp: Date.now()
       });
 
@@ -306,20 +481,341 @@ class VolumeTracker {
   }
 
   /**
-   * Calculate token price from SOL pair
+   * Price a token from its deepest SOL/USDC pool, checked against the TWAP of observed swaps
+   * @returns {Promise<{price: number, source: string, observedAt: number}>}
    */
   async getTokenPriceFromSOLPair(tokenMint) {
     try {
-      // This would require finding the token's SOL pair and calculating price
-      // For now, we'll return 0 as this needs proper DEX integration
+      let spot = this.spotPrices.get(tokenMint);
+      
+      if (!spot || (Date.now() - spot.observedAt) > this.priceCacheTTL) {
+        const pools = await this.findLiquidityPools(tokenMint);
+        spot = (await this.updateSpotPrice(tokenMint, pools)) || spot;
+      }
+      
+      const resolved = this.checkSpotAgainstTWAP(tokenMint, spot);
+      if (resolved) return resolved;
+      
       logger.debug(`Unable to calculate SOL pair price for ${tokenMint}`);
-      return 0;
+      return { price: 0, source: 'none', observedAt: Date.now() };
     } catch (error) {
       logger.error(`Error calculating SOL pair price for ${tokenMint}:`, error);
-      return 0;
+      return { price: 0, source: 'none', observedAt: Date.now() };
     }
   }
 
+  /**
+   * Whether the token has a spot price observed on chain within the price cache TTL
+   */
+  hasFreshSpotPrice(tokenMint) {
+    const spot = this.spotPrices.get(tokenMint);
+    return Boolean(spot) && (Date.now() - spot.observedAt) <= this.priceCacheTTL;
+  }
+
+  /**
+   * Pick between a spot price and the TWAP of observed swaps
+   * @returns {{price: number, source: string, observedAt: number}|null} null without either
+   */
+  checkSpotAgainstTWAP(tokenMint, spot) {
+    const twap = this.getTWAP(tokenMint);
+    
+    if (spot && twap) {
+      // A single large swap can move the spot price, the TWAP resists it
+      const deviation = Math.abs(spot.price - twap.price) / twap.price;
+      if (deviation > MAX_SPOT_DEVIATION) {
+        logger.debug(`Spot price of ${tokenMint} deviates ${(deviation * 100).toFixed(1)}% from TWAP, using TWAP`);
+        return { price: twap.price, source: 'twap', observedAt: twap.observedAt };
+      }
+    }
+    
+    if (spot) {
+      return { price: spot.price, source: spot.source, observedAt: spot.observedAt };
+    }
+    
+    if (twap) {
+      return { price: twap.price, source: 'twap', observedAt: twap.observedAt };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Compute the spot price from the deepest pool pairing the token with SOL/USDC/USDT
+   */
+  async updateSpotPrice(tokenMint, pools) {
+    let best = null;
+    
+    for (const pool of pools) {
+      const tokenIsBase = pool.baseMint === tokenMint;
+      const pairMint = tokenIsBase ? pool.quoteMint : pool.baseMint;
+      if (!isQuoteMint(pairMint)) continue;
+      
+      const tokenReserve = tokenIsBase ? pool.baseReserve : pool.quoteReserve;
+      const pairReserve = tokenIsBase ? pool.quoteReserve : pool.baseReserve;
+      if (!tokenReserve || !pairReserve) continue;
+      
+      const pairPrice = await this.getTokenPriceUSD(pairMint);
+      const depthUSD = pairReserve * pairPrice;
+      if (best && depthUSD <= best.depthUSD) continue;
+      
+      let priceInPair = pairReserve / tokenReserve;
+      
+      if (pool.sqrtPriceX64 !== undefined) {
+        // Concentrated liquidity: price of mint 0 in mint 1 is (sqrtPrice / 2^64)^2
+        const sqrtPrice = Number(pool.sqrtPriceX64) / Math.pow(2, 64);
+        const baseInQuote = sqrtPrice * sqrtPrice * Math.pow(10, pool.baseDecimals - pool.quoteDecimals);
+        priceInPair = tokenIsBase ? baseInQuote : 1 / baseInQuote;
+      }
+      
+      best = {
+        price: priceInPair * pairPrice,
+        source: 'pool_spot',
+        pool: pool.pool,
+        dex: pool.dex,
+        depthUSD,
+        observedAt: pool.reservesUpdatedAt || Date.now()
+      };
+    }
+    
+    if (best) {
+      this.spotPrices.set(tokenMint, best);
+    }
+    
+    return best;
+  }
+
+  /**
+   * Set the spot price from a bonding curve's virtual reserves
+   * @param {Object} realReserves - { realSolReserves, realTokenReserves }, what the curve can actually pay out
+   */
+  setCurveSpotPrice(tokenMint, virtualSolReserves, virtualTokenReserves, solPriceUSD, bondingCurve, realReserves = {}) {
+    if (!virtualSolReserves || !virtualTokenReserves) return;
+    
+    const spot = {
+      price: (virtualSolReserves / virtualTokenReserves) * solPriceUSD,
+      source: 'bonding_curve',
+      pool: bondingCurve,
+      dex: 'pumpfun',
+      depthUSD: virtualSolReserves * solPriceUSD,
+      observedAt: Date.now(),
+      curve: {
+        virtualSolReserves,
+        virtualTokenReserves,
+        realSolReserves: realReserves.realSolReserves,
+        realTokenReserves: realReserves.realTokenReserves
+      }
+    };
+    this.spotPrices.set(tokenMint, spot);
+    
+    // The curve is the token's only market, so its price replaces whatever was cached
+    const { price, source, observedAt } = this.checkSpotAgainstTWAP(tokenMint, spot);
+    this.priceCache.set(tokenMint, { price, source, observedAt, timestamp: Date.now() });
+  }
+
+  /**
+   * Estimate the price impact and output of buying and selling the given USD sizes
+   * on the token's deepest SOL/USDC/USDT pool, or on its bonding curve while it has none.
+   * Concentrated pools are approximated with the liquidity active at the current price,
+   * neighbouring ticks may hold more or less of it. Output never exceeds the pool's vaults.
+   * @returns {Promise<Object|null>} { dex, pool, model, feeRate, quotes: [{ side, sizeUSD,
+   *   amountIn, amountOut, outputUSD, priceImpactPct }] }, null without a market to quote
+   */
+  async getPriceImpact(tokenMint, sizesUSD = this.config.get('monitoring.PRICE_IMPACT_SIZES_USD') || DEFAULT_IMPACT_SIZES_USD) {
+    try {
+      const market = await this.getQuoteMarket(tokenMint);
+      if (!market || !(market.pairPrice > 0)) return null;
+      
+      const { tokenReserve, pairReserve, pairPrice, feeRate, maxTokenOut = Infinity, maxPairOut = Infinity } = market;
+      const tokenPrice = (pairReserve / tokenReserve) * pairPrice;
+      const quotes = [];
+      
+      for (const sizeUSD of sizesUSD) {
+        const buyIn = sizeUSD / pairPrice;
+        const buy = quoteConstantProduct(pairReserve, tokenReserve, buyIn, feeRate, maxTokenOut);
+        quotes.push({
+          side: 'buy',
+          sizeUSD,
+          amountIn: buyIn,
+          amountOut: buy.amountOut,
+          outputUSD: buy.amountOut * tokenPrice,
+          priceImpactPct: buy.priceImpactPct
+        });
+        
+        const sellIn = sizeUSD / tokenPrice;
+        const sell = quoteConstantProduct(tokenReserve, pairReserve, sellIn, feeRate, maxPairOut);
+        quotes.push({
+          side: 'sell',
+          sizeUSD,
+          amountIn: sellIn,
+          amountOut: sell.amountOut,
+          outputUSD: sell.amountOut * pairPrice,
+          priceImpactPct: sell.priceImpactPct
+        });
+      }
+      
+      return {
+        dex: market.dex,
+        pool: market.pool,
+        model: market.model,
+        feeRate,
+        quotes
+      };
+    } catch (error) {
+      logger.error(`Error estimating price impact for ${tokenMint}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Reserves to quote swaps against, token and pair side in UI units
+   */
+  async getQuoteMarket(tokenMint) {
+    const pools = this.getTokenPools(tokenMint)
+      .filter(pool => isQuoteMint(pool.baseMint === tokenMint ? pool.quoteMint : pool.baseMint))
+      .sort((a, b) => (b.liquidityUSD || 0) - (a.liquidityUSD || 0));
+    
+    for (const pool of pools) {
+      const tokenIsBase = pool.baseMint === tokenMint;
+      const model = pool.sqrtPriceX64 !== undefined ? 'concentrated' : 'constant_product';
+      const reserves = model === 'concentrated' ? getVirtualReserves(pool) : pool;
+      if (!reserves || !reserves.baseReserve || !reserves.quoteReserve) continue;
+      
+      const pairMint = tokenIsBase ? pool.quoteMint : pool.baseMint;
+      return {
+        dex: pool.dex,
+        pool: pool.pool,
+        model,
+        tokenReserve: tokenIsBase ? reserves.baseReserve : reserves.quoteReserve,
+        pairReserve: tokenIsBase ? reserves.quoteReserve : reserves.baseReserve,
+        pairPrice: await this.getTokenPriceUSD(pairMint),
+        feeRate: await this.getPoolFeeRate(pool),
+        // Virtual reserves of a concentrated pool can exceed what its vaults hold
+        maxTokenOut: (tokenIsBase ? pool.baseReserve : pool.quoteReserve) || Infinity,
+        maxPairOut: (tokenIsBase ? pool.quoteReserve : pool.baseReserve) || Infinity
+      };
+    }
+    
+    // Still on its bonding curve: virtual reserves set the price, real reserves cap the output
+    const spot = this.spotPrices.get(tokenMint);
+    if (spot && spot.curve) {
+      return {
+        dex: 'pumpfun',
+        pool: spot.pool,
+        model: 'bonding_curve',
+        tokenReserve: spot.curve.virtualTokenReserves,
+        pairReserve: spot.curve.virtualSolReserves,
+        pairPrice: await this.getSOLPriceUSD(),
+        feeRate: SWAP_FEE_RATES.pumpfun,
+        maxTokenOut: spot.curve.realTokenReserves,
+        maxPairOut: spot.curve.realSolReserves
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Trade fee rate of a pool: CPMM and CLMM pools read the fee tier of their
+   * AmmConfig account, other markets and unreadable configs use SWAP_FEE_RATES
+   */
+  async getPoolFeeRate(pool) {
+    const defaultRate = SWAP_FEE_RATES[pool.dex] || 0;
+    const decode = FEE_TIER_DECODERS[pool.dex];
+    if (!decode || !pool.ammConfig) return defaultRate;
+    
+    // A handful of configs are shared by every pool, their fees rarely change
+    if (this.feeTiers.has(pool.ammConfig)) {
+      return this.feeTiers.get(pool.ammConfig);
+    }
+    
+    try {
+      const accountInfo = await retryAsync(
+        () => this.connection.getAccountInfo(new PublicKey(pool.ammConfig)),
+        2,
+        1000
+      );
+      if (!accountInfo) return defaultRate;
+      
+      const feeRate = decode(accountInfo.data);
+      this.feeTiers.set(pool.ammConfig, feeRate);
+      return feeRate;
+    } catch (error) {
+      logger.debug(`Error reading fee tier of ${pool.pool}:`, error.message);
+      return defaultRate;
+    }
+  }
+
+  /**
+   * Record the USD price paid in an observed swap
+   */
+  recordPriceObservation(tokenMint, price, timestamp = Date.now()) {
+    if (!this.priceObservations.has(tokenMint)) {
+      this.priceObservations.set(tokenMint, []);
+    }
+    
+    const observations = this.priceObservations.get(tokenMint);
+    observations.push({ price, timestamp });
+    
+    // Drop observations outside the TWAP window, keep the last one before it as the opening price
+    const windowStart = timestamp - TWAP_WINDOW_MS;
+    while (observations.length > 1 && observations[1].timestamp <= windowStart) {
+      observations.shift();
+    }
+    
+    if (observations.length > MAX_PRICE_OBSERVATIONS) {
+      observations.splice(0, observations.length - MAX_PRICE_OBSERVATIONS);
+    }
+  }
+
+  /**
+   * Time-weighted average of observed swap prices over the TWAP window.
+   * Each price is weighted by how long it stood before the next swap.
+   */
+  getTWAP(tokenMint, now = Date.now()) {
+    const observations = this.priceObservations.get(tokenMint);
+    if (!observations || observations.length === 0) return null;
+    
+    const windowStart = now - TWAP_WINDOW_MS;
+    const last = observations[observations.length - 1];
+    if (last.timestamp < windowStart) return null; // no swaps inside the window
+    
+    let weightedSum = 0;
+    let totalTime = 0;
+    
+    observations.forEach((observation, index) => {
+      const start = Math.max(observation.timestamp, windowStart);
+      const end = index + 1 < observations.length ? observations[index + 1].timestamp : now;
+      const duration = Math.max(end - start, 0);
+      
+      weightedSum += observation.price * duration;
+      totalTime += duration;
+    });
+    
+    return {
+      price: totalTime > 0 ? weightedSum / totalTime : last.price,
+      observedAt: last.timestamp,
+      observations: observations.length
+    };
+  }
+
+  /**
+   * Get the price used for a token with its source and age
+   */
+  getTokenPriceInfo(tokenMint) {
+    const cached = this.priceCache.get(tokenMint);
+    if (!cached) return null;
+    
+    const ageMs = Date.now() - (cached.observedAt || cached.timestamp);
+    
+    return {
+      price: cached.price,
+      source: cached.source || 'unknown',
+      observedAt: cached.observedAt || cached.timestamp,
+      ageMs,
+      stale: ageMs > PRICE_STALE_MS
+    };
+  }
+
   /**
    * Update all cached prices
    */
@@ -352,22 +848,9 @@ class VolumeTracker {
   }
 
   /**
-   * Clean up old trade records based on monitor mode
+   * Clean up old trade records; windowed volume lives in the rolling windows
    */
   cleanupOldTrades(tokenData) {
-    const monitorMode = this.config.get('monitoring.MONITOR_MODE');
-    
-    if (monitorMode === '24h') {
-      const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-      tokenData.trades = tokenData.trades.filter(trade => trade.timestamp >= oneDayAgo);
-      
-      // Recalculate cumulative volume for remaining trades
-      tokenData.cumulative = tokenData.trades.reduce(
-        (sum, trade) => sum.plus(new Big(trade.amountUSD)),
-        new Big(0)
-      );
-    }
-    
     // Keep only the most recent 1000 trades to prevent memory issues
     if (tokenData.trades.length > 1000) {
       tokenData.trades = tokenData.trades.slice(-1000);
@@ -395,7 +878,11 @@ class VolumeTracker {
     // Clear all caches
     this.tokenVolumes.clear();
     this.tokenLiquidity.clear();
+    this.tokenPools.clear();
     this.priceCache.clear();
+    this.spotPrices.clear();
+    this.priceObservations.clear();
+    this.tokenCandles.clear();
     
     logger.info('✅ Volume tracker shutdown complete');
   }
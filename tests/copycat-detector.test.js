@@ -0,0 +1,56 @@
+const { describe, test, expect } = require('@jest/globals');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => ({ NAME_SIMILARITY: 0.85, TRENDING_HOURS: 24 })
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const CopycatDetector = require('../src/copycat-detector');
+
+const BONK_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const NEW_MINT = 'Mint111111111111111111111111111111111111111';
+
+describe('CopycatDetector', () => {
+  const detector = new CopycatDetector({ listPath: null });
+
+  test('should see through homoglyphs and emoji letters in tickers', () => {
+    // Cyrillic В and О, then negative squared emoji letters
+    for (const symbol of ['$ВОNK', '🅱🅾🅽🅺', 'B0NK 🚀']) {
+      expect(detector.detect({ mint: NEW_MINT, name: 'Something Else', symbol })).toMatchObject({
+        reason: 'ticker_collision',
+        target: { mint: BONK_MINT, symbol: 'BONK' }
+      });
+    }
+
+    // The real token is not its own copycat
+    expect(detector.detect({ mint: BONK_MINT, name: 'Bonk', symbol: 'BONK' })).toBeNull();
+  });
+
+  test('should match similar names of established and trending tokens', () => {
+    expect(detector.detect({ mint: NEW_MINT, name: 'dog wif hat 🐶', symbol: 'DWH' })).toMatchObject({
+      reason: 'similar_name',
+      similarity: 1,
+      target: { symbol: 'WIF' }
+    });
+    expect(detector.detect({ mint: NEW_MINT, name: 'Moon Frog', symbol: 'MFROG' })).toBeNull();
+
+    const now = Date.now();
+    detector.addTrending({ mint: 'Trend11111111111111111111111111111111111111', name: 'Moon Frogs', symbol: 'MFROGS' }, now);
+
+    expect(detector.detect({ mint: NEW_MINT, name: 'Moon Frog', symbol: 'MFROG' }, now)).toMatchObject({
+      reason: 'similar_name',
+      similarity: 0.89,
+      target: { symbol: 'MFROGS', list: 'trending' }
+    });
+    // Trending tokens are forgotten after TRENDING_HOURS
+    expect(detector.detect({ mint: NEW_MINT, name: 'Moon Frog', symbol: 'MFROG' }, now + 25 * 60 * 60 * 1000)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { describe, test, expect, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: (section) => (section === 'creator_reputation'
+      ? { SERIAL_RUGGER_MIN_RUGS: 2, ABANDONED_AFTER_HOURS: 24, BLACKLIST: ['BadDev'] }
+      : {})
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const CreatorReputation = require('../src/creator-reputation');
+const RiskAssessor = require('../src/risk-assessor');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('CreatorReputation', () => {
+  let tmpDir;
+
+  afterEach(() => {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    tmpDir = null;
+  });
+
+  test('should summarize earlier launches by outcome', () => {
+    const reputation = new CreatorReputation({ storePath: null });
+    const now = Date.now();
+
+    reputation.recordLaunch('Dev', { mint: 'A', launchedAt: now - 48 * HOUR });
+    reputation.recordLaunch('Dev', { mint: 'B', launchedAt: now - 30 * HOUR });
+    reputation.recordLaunch('Dev', { mint: 'C', launchedAt: now - 26 * HOUR });
+    reputation.recordLaunch('Dev', { mint: 'D', launchedAt: now - HOUR });
+    reputation.recordLaunch('Dev', { mint: 'E', launchedAt: now - 40 * HOUR });
+    reputation.recordLaunch('Dev', { mint: 'New', launchedAt: now });
+
+    reputation.recordOutcome('A', 'rugged');
+    reputation.recordOutcome('B', 'migrated');
+    reputation.recordOutcome('B', 'rugged'); // pulled after migrating
+    reputation.recordOutcome('B', 'migrated'); // a rug is final
+    reputation.recordMarketCap('B', 250000);
+    reputation.recordMarketCap('B', 90000);
+    reputation.recordActivity('E', now - 2 * HOUR); // old but still traded
+
+    const stats = reputation.getCreatorStats('Dev', 'New', now);
+
+    expect(stats).toEqual({
+      creator: 'Dev',
+      launches: 5,
+      rugged: 2,
+      migrated: 0,
+      abandoned: 1,
+      active: 2,
+      maxMarketCap: 250000
+    });
+    expect(reputation.isSerialRugger(stats)).toBe(true);
+    expect(reputation.isBlacklisted('BadDev')).toBe(true);
+  });
+
+  test('should persist creators whose history can flag a launch and reload them', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reputation-'));
+    const storePath = path.join(tmpDir, 'creators.json');
+
+    const reputation = new CreatorReputation({ storePath });
+    reputation.recordLaunch('Dev', { mint: 'A', name: 'Token A' });
+    reputation.recordOutcome('A', 'rugged');
+    reputation.recordLaunch('Serial', { mint: 'B' });
+    reputation.recordLaunch('Serial', { mint: 'C' });
+    reputation.recordLaunch('OneShot', { mint: 'D' });
+    await reputation.shutdown();
+
+    const reloaded = new CreatorReputation({ storePath });
+
+    expect(reloaded.getCreator('A')).toBe('Dev');
+    expect(reloaded.getLaunch('A')).toMatchObject({ name: 'Token A', outcome: 'rugged' });
+    expect(reloaded.getCreatorStats('Serial').launches).toBe(2);
+    expect(reloaded.getCreator('D')).toBeNull();
+  });
+
+  test('should raise dev_serial_rugger with the creator stats as evidence', () => {
+    const reputation = new CreatorReputation({ storePath: null });
+    ['A', 'B'].forEach(mint => {
+      reputation.recordLaunch('Dev', { mint });
+      reputation.recordOutcome(mint, 'rugged');
+    });
+
+    const assessor = new RiskAssessor({}, {}, null, reputation);
+    const result = assessor.checkCreatorReputation('New', 'Dev');
+
+    expect(result.raised).toBe(true);
+    expect(result.details).toMatchObject({ creator: 'Dev', launches: 2, rugged: 2 });
+    expect(assessor.checkCreatorReputation('New', 'FreshDev').raised).toBe(false);
+  });
+});
\ No newline at end of file
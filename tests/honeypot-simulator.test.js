@@ -0,0 +1,151 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { AccountLayout, ACCOUNT_SIZE, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => ({
+      HONEYPOT_SIMULATION_WALLET: 'Dq9x5F8zQv8P7Qavf9dBZ1XKgx8LpKjRC9zieAU7BNYU',
+      HONEYPOT_SIMULATION_SOL: 0.01,
+      HONEYPOT_MAX_FEE_PERCENT: 10
+    })
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const HoneypotSimulator = require('../src/honeypot-simulator');
+const { getAmountOut } = require('../src/utils/swap-instructions');
+
+const WSOL = 'So11111111111111111111111111111111111111112';
+const HOOK_PROGRAM = 'HookXYZ1111111111111111111111111111111111111';
+const key = () => Keypair.generate().publicKey.toBase58();
+
+// Token account as returned in simulateTransaction's accounts (base64 data)
+function simulatedTokenAccount(mint, amount) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint: new PublicKey(mint),
+    owner: PublicKey.default,
+    amount: BigInt(amount),
+    delegateOption: 0,
+    delegate: PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: BigInt(0),
+    delegatedAmount: BigInt(0),
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, data);
+  return { data: [data.toString('base64'), 'base64'], owner: TOKEN_PROGRAM_ID.toBase58(), lamports: 1, executable: false };
+}
+
+// CPMM AmmConfig with a 0.25% trade fee
+function ammConfigAccount() {
+  const data = Buffer.alloc(236);
+  data.writeBigUInt64LE(BigInt(2500), 12);
+  return { data, owner: new PublicKey(key()), lamports: 1, executable: false };
+}
+
+describe('HoneypotSimulator', () => {
+  let connection;
+  let simulator;
+  let mint;
+
+  beforeEach(() => {
+    mint = key();
+    const pool = {
+      pool: key(),
+      dex: 'raydium_cpmm',
+      ammConfig: key(),
+      baseMint: mint,
+      quoteMint: WSOL,
+      baseVault: key(),
+      quoteVault: key(),
+      baseTokenProgram: TOKEN_PROGRAM_ID.toBase58(),
+      quoteTokenProgram: TOKEN_PROGRAM_ID.toBase58(),
+      observationKey: key(),
+      baseDecimals: 6,
+      quoteDecimals: 9,
+      baseReserve: 1000000, // 1M tokens
+      quoteReserve: 100 // 100 SOL
+    };
+
+    connection = {
+      getMultipleAccountsInfo: jest.fn().mockResolvedValue([null, null, ammConfigAccount()]),
+      simulateTransaction: jest.fn()
+    };
+
+    simulator = new HoneypotSimulator(connection, {
+      findPools: jest.fn().mockResolvedValue([pool]),
+      loadReserves: jest.fn().mockImplementation(async (pools) => pools)
+    });
+  });
+
+  test('should flag a sell that loses more than the allowed fee', async () => {
+    const expectedTokens = getAmountOut(1e7, 100e9, 1e12, 0.0025);
+    const sellAmount = Math.floor(expectedTokens / 2);
+    const expectedSol = getAmountOut(sellAmount, 1e12 - expectedTokens, 100e9 + 1e7, 0.0025);
+
+    connection.simulateTransaction.mockResolvedValue({
+      value: {
+        err: null,
+        logs: [],
+        unitsConsumed: 120000,
+        accounts: [
+          simulatedTokenAccount(mint, Math.round(expectedTokens) - sellAmount),
+          simulatedTokenAccount(WSOL, Math.floor(expectedSol * 0.7)) // 30% kept by the token
+        ]
+      }
+    });
+
+    const outcome = await simulator.simulate(mint);
+
+    expect(outcome.status).toBe('high_fee');
+    expect(outcome.buyFeePct).toBe(0);
+    expect(outcome.sellFeePct).toBeCloseTo(30, 0);
+    expect(simulator.isHoneypot(outcome)).toBe(true);
+
+    const [transaction, options] = connection.simulateTransaction.mock.calls[0];
+    expect(transaction.message.compiledInstructions).toHaveLength(7);
+    expect(options).toMatchObject({ sigVerify: false, replaceRecentBlockhash: true });
+  });
+
+  test('should classify a sell rejected by the transfer hook and keep its logs', async () => {
+    const logs = [
+      `Program ${HOOK_PROGRAM} invoke [3]`,
+      'Program log: Sender is not whitelisted',
+      `Program ${HOOK_PROGRAM} failed: custom program error: 0x1770`,
+      'Program TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb failed: custom program error: 0x1770'
+    ];
+    connection.simulateTransaction.mockResolvedValue({
+      value: { err: { InstructionError: [6, { Custom: 6000 }] }, logs, accounts: null }
+    });
+
+    const outcome = await simulator.simulate(mint, HOOK_PROGRAM);
+
+    expect(outcome).toMatchObject({
+      status: 'transfer_hook_rejected',
+      failedLeg: 'sell',
+      customCode: 6000,
+      failingProgram: HOOK_PROGRAM,
+      logs
+    });
+  });
+
+  test('should not flag a token whose buy leg fails', async () => {
+    connection.simulateTransaction.mockResolvedValue({
+      value: { err: { InstructionError: [5, { Custom: 6007 }] }, logs: [], accounts: null }
+    });
+
+    const outcome = await simulator.simulate(mint);
+
+    expect(outcome.status).toBe('buy_failed');
+    expect(simulator.isHoneypot(outcome)).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => ({ SNIPER_WINDOW_SLOTS: 10 })
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const LaunchAnalyzer = require('../src/launch-analyzer');
+const FundingTracer = require('../src/funding-tracer');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const CREATOR = 'Dev1111111111111111111111111111111111111111';
+const CREATION_SLOT = 1000;
+const SUPPLY = 1000000000;
+
+describe('LaunchAnalyzer', () => {
+  let fundings;
+  let analyzer;
+
+  beforeEach(() => {
+    fundings = {};
+    analyzer = new LaunchAnalyzer({
+      getFundingSources: jest.fn().mockImplementation(async (wallets) => new Map(
+        wallets.map(wallet => [wallet, { wallet, funder: fundings[wallet] || null }])
+      ))
+    });
+    analyzer.startLaunch(MINT, { slot: CREATION_SLOT, creator: CREATOR });
+  });
+
+  const buy = (trader, slot, tokenAmount) => analyzer.recordTrade(MINT, { slot, trader, side: 'buy', tokenAmount });
+
+  test('should wait for the window to close before analysing', async () => {
+    buy('sniper', CREATION_SLOT + 2, 10000000);
+
+    expect(await analyzer.analyze(MINT, SUPPLY)).toBeNull();
+
+    analyzer.observeSlot(CREATION_SLOT + 11);
+    expect(await analyzer.analyze(MINT, SUPPLY)).not.toBeNull();
+  });
+
+  test('should split bundlers from snipers and measure what they still hold', async () => {
+    // Two wallets in the creation slot, two funded by the same wallet, one funded by the dev
+    buy('bundleA', CREATION_SLOT, 50000000);
+    buy('bundleB', CREATION_SLOT, 50000000);
+    buy('fundedA', CREATION_SLOT + 1, 40000000);
+    buy('fundedB', CREATION_SLOT + 3, 40000000);
+    buy('devFunded', CREATION_SLOT + 4, 20000000);
+    buy('sniper', CREATION_SLOT + 2, 30000000);
+    fundings.fundedA = 'SharedFunder';
+    fundings.fundedB = 'SharedFunder';
+    fundings.devFunded = CREATOR;
+
+    // Ignored: the creator's own buy and a first buy after the window
+    buy(CREATOR, CREATION_SLOT, 100000000);
+    buy('late', CREATION_SLOT + 20, 90000000);
+
+    // A bundled wallet dumping half counts for what it kept
+    analyzer.recordTrade(MINT, { slot: CREATION_SLOT + 15, trader: 'bundleA', side: 'sell', tokenAmount: 25000000 });
+
+    const analysis = await analyzer.analyze(MINT, SUPPLY);
+
+    expect(analysis).toMatchObject({
+      creationSlot: CREATION_SLOT,
+      earlyBuyers: 6,
+      creationSlotBuyers: 2,
+      bundlers: 5,
+      snipers: 1,
+      bundledPct: 17.5,
+      sniperPct: 3,
+      heldPct: 20.5
+    });
+    expect(analysis.largestCluster).toEqual({
+      funder: 'SharedFunder',
+      wallets: ['fundedA', 'fundedB'],
+      pct: 8
+    });
+  });
+});
+
+describe('FundingTracer', () => {
+  test('should take the first inbound SOL transfer as the funder and cache it', async () => {
+    const wallet = 'Dq9x5F8zQv8P7Qavf9dBZ1XKgx8LpKjRC9zieAU7BNYU';
+    const connection = {
+      getSignaturesForAddress: jest.fn().mockResolvedValue([
+        { signature: 'latest', slot: 2000, blockTime: 1700000100 },
+        { signature: 'first', slot: 1000, blockTime: 1700000000 }
+      ]),
+      getParsedTransaction: jest.fn().mockResolvedValue({
+        transaction: {
+          message: {
+            instructions: [{ program: 'spl-memo', parsed: 'gm' }]
+          }
+        },
+        meta: {
+          innerInstructions: [{
+            index: 0,
+            instructions: [{
+              program: 'system',
+              parsed: { type: 'transfer', info: { source: 'Funder', destination: wallet, lamports: 5e8 } }
+            }]
+          }]
+        }
+      })
+    };
+    const tracer = new FundingTracer(connection);
+
+    const funding = await tracer.getFundingSource(wallet);
+    await tracer.getFundingSource(wallet);
+
+    expect(funding).toMatchObject({ funder: 'Funder', lamports: 5e8, signature: 'first', fundedAt: 1700000000000 });
+    expect(connection.getParsedTransaction).toHaveBeenCalledTimes(1);
+    expect(connection.getParsedTransaction.mock.calls[0][0]).toBe('first');
+  });
+});
\ No newline at end of file
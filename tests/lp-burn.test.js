@@ -0,0 +1,119 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { AccountLayout, ACCOUNT_SIZE, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => ({ LP_BURN_CHECKS: true, LP_MIN_BURNED_PERCENT: 95 })
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const RiskAssessor = require('../src/risk-assessor');
+
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+const STREAMFLOW = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+
+// Token account info as returned by getMultipleAccountsInfo
+function tokenAccount(mint, owner, amount) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint: new PublicKey(mint),
+    owner: new PublicKey(owner),
+    amount: BigInt(amount),
+    delegateOption: 0,
+    delegate: PublicKey.default,
+    state: 1,
+    isNativeOption: 0,
+    isNative: BigInt(0),
+    delegatedAmount: BigInt(0),
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, data);
+  return { data, owner: TOKEN_PROGRAM_ID, lamports: 1, executable: false };
+}
+
+function streamflowContract(mint, escrow, endTimeSeconds) {
+  const data = Buffer.alloc(512);
+  data.writeBigUInt64LE(BigInt(endTimeSeconds), 33);
+  new PublicKey(mint).toBuffer().copy(data, 177);
+  new PublicKey(escrow).toBuffer().copy(data, 209);
+  return { account: { data } };
+}
+
+describe('LP burn and lock detection', () => {
+  let assessor;
+  let connection;
+  let lpMint;
+  let creator;
+  let burnedHolder;
+  let creatorHolder;
+  let pool;
+
+  beforeEach(() => {
+    lpMint = Keypair.generate().publicKey.toBase58();
+    creator = Keypair.generate().publicKey.toBase58();
+    burnedHolder = Keypair.generate().publicKey;
+    creatorHolder = Keypair.generate().publicKey;
+
+    connection = {
+      getTokenLargestAccounts: jest.fn().mockResolvedValue({
+        value: [
+          { address: burnedHolder, amount: '500' },
+          { address: creatorHolder, amount: '100' }
+        ]
+      }),
+      getMultipleAccountsInfo: jest.fn()
+        .mockResolvedValueOnce([
+          tokenAccount(lpMint, INCINERATOR, 500),
+          tokenAccount(lpMint, creator, 100)
+        ])
+        .mockResolvedValueOnce([null, null]),
+      getProgramAccounts: jest.fn().mockResolvedValue([])
+    };
+
+    assessor = new RiskAssessor(connection);
+    // 1000 LP minted by the pool, 400 burned with SPL burn
+    jest.spyOn(assessor, 'fetchMint').mockResolvedValue({ supply: BigInt(600) });
+    pool = { dex: 'raydium_amm_v4', pool: 'Pool', lpMint, lpSupply: BigInt(1000) };
+  });
+
+  test('should count SPL burns and incinerator holdings as burned', async () => {
+    const analysis = await assessor.analyzeLpDistribution(pool, creator);
+
+    expect(analysis.burnedPct).toBe(90);
+    expect(analysis.deployerPct).toBe(10);
+    expect(analysis.status).toBe('unlocked');
+  });
+
+  test('should report a Streamflow lock with its unlock date', async () => {
+    const unlockAt = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+    connection.getProgramAccounts.mockImplementation(async (programId) => (
+      programId.toBase58() === STREAMFLOW
+        ? [streamflowContract(lpMint, creatorHolder, unlockAt)]
+        : []
+    ));
+
+    const analysis = await assessor.analyzeLpDistribution(pool, creator);
+
+    expect(analysis.lockedPct).toBe(10);
+    expect(analysis.deployerPct).toBe(0);
+    expect(analysis.status).toBe('locked');
+    expect(analysis.unlockAt).toBe(unlockAt * 1000);
+  });
+
+  test('should attach the LP status to the assessment details', async () => {
+    jest.spyOn(assessor.poolDiscovery, 'findPools').mockResolvedValue([pool]);
+
+    const result = await assessor.checkLPBurned('Mint', { creator });
+
+    expect(result.raised).toBe(true);
+    expect(result.details).toMatchObject({ status: 'unlocked', burnedPct: 90, poolCount: 1 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,356 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const bs58 = require('bs58');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => undefined
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const SolanaMemecoinMonitor = require('../src/monitor');
+const TelegramAlertBot = require('../src/telegram-bot');
+const PumpfunDecoder = require('../src/pumpfun-decoder');
+const LaunchAnalyzer = require('../src/launch-analyzer');
+const { PROGRAM_IDS } = require('../src/utils/programs');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const FEE_PAYER = 'Payer11111111111111111111111111111111111111';
+
+// A monitor without connections, holding only the parts a test sets up
+const createMonitor = (parts = {}) => Object.assign(Object.create(SolanaMemecoinMonitor.prototype), {
+  trackedTokens: new Map(),
+  alertedTokens: new Map(),
+  ...parts
+});
+
+// A token program transaction paid by FEE_PAYER whose only instruction is `opcode` on MINT
+const tokenProgramTx = (opcode) => ({
+  slot: 1000,
+  transaction: {
+    message: {
+      accountKeys: [FEE_PAYER, PROGRAM_IDS.TOKEN, MINT],
+      instructions: [{ programIdIndex: 1, accounts: [2], data: bs58.encode(Buffer.from([opcode])) }]
+    }
+  },
+  meta: {
+    err: null,
+    innerInstructions: [],
+    postTokenBalances: [{ accountIndex: 2, mint: MINT, uiTokenAmount: { uiAmount: 1000 } }]
+  }
+});
+
+describe('SolanaMemecoinMonitor', () => {
+  describe('token program mints', () => {
+    let monitor;
+
+    beforeEach(() => {
+      monitor = createMonitor({
+        creatorReputation: { recordLaunch: jest.fn(), isBlacklisted: jest.fn().mockReturnValue(false) },
+        launchAnalyzer: { startLaunch: jest.fn(), forget: jest.fn() },
+        // Stop the evaluation right after the launch is recorded
+        cacheManager: { getOrSet: jest.fn().mockRejectedValue(new Error('offline')) }
+      });
+    });
+
+    test('should record the fee payer of a mint initialization as the creator', async () => {
+      monitor.fetchTransaction = jest.fn().mockResolvedValue(tokenProgramTx(20)); // InitializeMint2
+
+      await monitor.handleNewTokenMint('sig', []);
+
+      expect(monitor.creatorReputation.recordLaunch).toHaveBeenCalledWith(FEE_PAYER, expect.objectContaining({ mint: MINT }));
+      expect(monitor.launchAnalyzer.startLaunch).toHaveBeenCalledWith(MINT, { slot: 1000, creator: FEE_PAYER });
+    });
+
+    test('should record no launch for a MintTo alone', async () => {
+      monitor.fetchTransaction = jest.fn().mockResolvedValue(tokenProgramTx(7)); // MintTo
+
+      await monitor.handleNewTokenMint('sig', []);
+
+      expect(monitor.creatorReputation.recordLaunch).not.toHaveBeenCalled();
+      expect(monitor.launchAnalyzer.startLaunch).toHaveBeenCalledWith(MINT, { slot: undefined, creator: undefined });
+    });
+  });
+
+  describe('subscriptions', () => {
+    test('should keep the ids of confirmed subscribe requests only', async () => {
+      const monitor = createMonitor({
+        wsConnection: { send: jest.fn() },
+        subscriptionIds: new Set(),
+        pendingLogSubscriptions: new Map(),
+        logsRequestId: 0,
+        pendingVaultSubscriptions: new Map(),
+        pendingMintSubscriptions: new Map(),
+        mintSubscriptions: new Map(),
+        mintRequestId: 0
+      });
+
+      monitor.subscribeToLogs(PROGRAM_IDS.TOKEN);
+      const { id } = JSON.parse(monitor.wsConnection.send.mock.calls[0][0]);
+      monitor.unsubscribeMintAccount(7);
+      const unsubscribe = JSON.parse(monitor.wsConnection.send.mock.calls[1][0]);
+
+      await monitor.handleWebSocketMessage({ jsonrpc: '2.0', id, result: 0 });
+      await monitor.handleWebSocketMessage({ jsonrpc: '2.0', id: unsubscribe.id, result: true });
+
+      expect([...monitor.subscriptionIds]).toEqual([0]);
+      expect(monitor.pendingLogSubscriptions.size).toBe(0);
+    });
+  });
+
+  describe('pump.fun trades', () => {
+    test('should go on to the Raydium swaps and mints of a pump.fun transaction', async () => {
+      const monitor = createMonitor({
+        recentSignatures: new Map(),
+        launchAnalyzer: new LaunchAnalyzer({}),
+        pendingLaunchAnalyses: new Set(),
+        pumpfunDecoder: { isPumpfunLog: () => true },
+        raydiumDecoder: { isSwapLog: () => true, isWithdrawLog: () => false }
+      });
+      monitor.handlePumpfunActivity = jest.fn().mockResolvedValue([{ type: 'trade', mint: MINT }]);
+      monitor.handleNewTokenMint = jest.fn().mockResolvedValue();
+      monitor.handleTokenTrade = jest.fn().mockResolvedValue();
+      const logs = ['Program log: Instruction: MintTo'];
+
+      await monitor.processLogMessage({ signature: 'sig1', logs, err: null }, 1000);
+
+      expect(monitor.handleTokenTrade).toHaveBeenCalledWith('sig1', logs);
+      expect(monitor.handleNewTokenMint).toHaveBeenCalledWith('sig1', logs);
+
+      // The create already started tracking the mint it initialized
+      monitor.handlePumpfunActivity.mockResolvedValue([{ type: 'create', mint: MINT }]);
+      await monitor.processLogMessage({ signature: 'sig2', logs, err: null }, 1000);
+
+      expect(monitor.handleNewTokenMint).toHaveBeenCalledTimes(1);
+      expect(monitor.handleTokenTrade).toHaveBeenCalledTimes(2);
+    });
+
+    test('should price the curves of tracked tokens only', async () => {
+      const monitor = createMonitor({
+        volumeTracker: { getSOLPriceUSD: jest.fn().mockResolvedValue(100), setCurveSpotPrice: jest.fn() }
+      });
+      monitor.processTrade = jest.fn().mockResolvedValue();
+      const event = { mint: MINT, virtualSolReserves: 30, virtualTokenReserves: 1000000, solAmount: 1 };
+
+      await monitor.handlePumpfunTrade(event, 'sig');
+      expect(monitor.volumeTracker.setCurveSpotPrice).not.toHaveBeenCalled();
+
+      monitor.trackedTokens.set(MINT, { mint: MINT });
+      await monitor.handlePumpfunTrade(event, 'sig');
+      expect(monitor.volumeTracker.setCurveSpotPrice).toHaveBeenCalledWith(MINT, 30, 1000000, 100, undefined, event);
+    });
+  });
+
+  describe('milestones', () => {
+    let monitor;
+    let tokenData;
+
+    beforeEach(() => {
+      tokenData = { mint: MINT, name: 'PEPE2', marketCap: 60000 };
+      monitor = createMonitor({
+        config: { isDryRun: () => false },
+        telegramBot: { sendMilestoneAlert: jest.fn().mockResolvedValue() },
+        pumpfunDecoder: new PumpfunDecoder(),
+        marketCapMilestones: [50000, 100000],
+        curveMilestones: [50, 80]
+      });
+      monitor.trackedTokens.set(MINT, tokenData);
+    });
+
+    test('should fire each milestone once, threaded under the first alert', async () => {
+      tokenData.firstAlertMessageId = 42;
+      tokenData.alertMessageId = 43;
+
+      await monitor.checkMilestones(MINT);
+      await monitor.checkMilestones(MINT);
+
+      expect(tokenData.milestones.market_cap_50000).toEqual({
+        type: 'market_cap', threshold: 50000, value: 60000, reachedAt: expect.any(Number)
+      });
+      expect(monitor.telegramBot.sendMilestoneAlert).toHaveBeenCalledTimes(1);
+      expect(monitor.telegramBot.sendMilestoneAlert).toHaveBeenCalledWith(expect.objectContaining({
+        mint: MINT,
+        milestones: [tokenData.milestones.market_cap_50000],
+        replyTo: 42
+      }));
+
+      // Halfway through the bonding curve
+      tokenData.bondingCurveState = { virtualTokenReserves: 1073000000 - 793100000 * 0.6 };
+      await monitor.checkMilestones(MINT);
+
+      expect(Object.keys(tokenData.milestones)).toEqual(['market_cap_50000', 'curve_progress_50']);
+      expect(monitor.telegramBot.sendMilestoneAlert).toHaveBeenCalledTimes(2);
+    });
+
+    test('should record milestones without sending them before the first alert', async () => {
+      await monitor.checkMilestones(MINT);
+
+      expect(tokenData.milestones.market_cap_50000).toBeDefined();
+      expect(monitor.telegramBot.sendMilestoneAlert).not.toHaveBeenCalled();
+
+      // Crossed already, so the alert that follows sends nothing for it either
+      tokenData.firstAlertMessageId = 42;
+      await monitor.checkMilestones(MINT);
+      expect(monitor.telegramBot.sendMilestoneAlert).not.toHaveBeenCalled();
+    });
+
+    test('should check milestones after the alert a trade triggers', async () => {
+      Object.assign(monitor, {
+        volumeTracker: { recordTrade: jest.fn().mockResolvedValue(), getTokenPriceUSD: jest.fn().mockResolvedValue(0.0002) },
+        cacheManager: { delete: jest.fn() },
+        launchAnalyzer: { recordTrade: jest.fn() },
+        creatorReputation: { recordActivity: jest.fn(), recordMarketCap: jest.fn() },
+        checkAlertConditions: jest.fn().mockImplementation(async () => {
+          tokenData.firstAlertMessageId = 42;
+        })
+      });
+      // A tenth of the supply is burned
+      Object.assign(tokenData, { supply: '1000000000000000', decimals: 6, marketCap: 0, riskReport: { supply: { circulating: 900000000 } } });
+
+      await monitor.processTrade({ tokenMint: MINT, amountUSD: 500, details: { tokenAmount: 1000 } }, 'sig');
+
+      expect(tokenData.marketCap).toBe(180000);
+      expect(tokenData.fdv).toBe(200000);
+      expect(monitor.creatorReputation.recordMarketCap).toHaveBeenCalledWith(MINT, 180000);
+      expect(monitor.telegramBot.sendMilestoneAlert).toHaveBeenCalledWith(expect.objectContaining({ replyTo: 42 }));
+    });
+
+    test('should name only the highest threshold of each kind', () => {
+      const bot = Object.create(TelegramAlertBot.prototype);
+      const message = bot.formatMilestoneMessage({
+        mint: MINT,
+        name: 'PEPE2',
+        marketCap: 104200,
+        milestones: [
+          { type: 'market_cap', threshold: 50000 },
+          { type: 'market_cap', threshold: 100000 },
+          { type: 'curve_progress', threshold: 50 },
+          { type: 'curve_progress', threshold: 80 }
+        ]
+      });
+
+      expect(message).toBe(`🏁 PEPE2 (mint: ${bot.truncateMint(MINT)}) · MC $100.0K (now $104.2K) · curve 80%`);
+    });
+  });
+
+  describe('launch analysis', () => {
+    test('should follow up on an alert sent before the launch window closed', async () => {
+      const report = (score, flags) => ({ mint: MINT, score, maxScore: 10, flags });
+      const tokenData = { mint: MINT, name: 'PEPE2', supply: '1000000000000000', decimals: 6, riskReport: report(0, []), alertMessageId: 42 };
+      const monitor = createMonitor({
+        config: { isDryRun: () => false },
+        launchAnalyzer: new LaunchAnalyzer({ getFundingSources: jest.fn().mockResolvedValue(new Map()) }),
+        riskAssessor: {
+          checkBundledLaunch: jest.fn().mockReturnValue({ raised: true }),
+          updateReport: jest.fn().mockReturnValue(report(4, ['bundled_launch']))
+        },
+        cacheManager: { set: jest.fn() },
+        telegramBot: { sendRiskChangeAlert: jest.fn().mockResolvedValue() },
+        pendingLaunchAnalyses: new Set([MINT])
+      });
+      monitor.trackedTokens.set(MINT, tokenData);
+      monitor.launchAnalyzer.startLaunch(MINT, { slot: 1000 });
+      const failedTx = { signature: 'sig', logs: [], err: {} };
+
+      await monitor.processLogMessage(failedTx, 1005);
+      expect(monitor.pendingLaunchAnalyses.has(MINT)).toBe(true);
+
+      await monitor.processLogMessage(failedTx, 1011);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(monitor.pendingLaunchAnalyses.size).toBe(0);
+      expect(tokenData.riskReport.score).toBe(4);
+      expect(monitor.telegramBot.sendRiskChangeAlert).toHaveBeenCalledWith(expect.objectContaining({
+        previousScore: 0,
+        addedFlags: ['bundled_launch'],
+        replyTo: 42
+      }));
+    });
+  });
+
+  describe('mint watches', () => {
+    const report = (score, flags) => ({ score, maxScore: 10, flags });
+    let monitor;
+    let tokenData;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      tokenData = { mint: MINT, name: 'PEPE2', riskReport: report(3, ['mintable', 'owner_not_renounced']), alertMessageId: 42 };
+      monitor = createMonitor({
+        config: { isDryRun: () => false },
+        wsConnection: { send: jest.fn() },
+        watchedMintAccounts: new Map([
+          [MINT, { tokenMint: MINT, kind: 'mint', subscriptionId: 7 }],
+          ['Metadata', { tokenMint: MINT, kind: 'metadata', subscriptionId: 8 }]
+        ]),
+        mintSubscriptions: new Map([[7, MINT], [8, 'Metadata']]),
+        riskRefreshTimers: new Map(),
+        riskRefreshDelayMs: 2000,
+        mintWatchIdleMs: 60 * 60 * 1000,
+        mintWatchMaxAgeMs: 24 * 60 * 60 * 1000,
+        cacheManager: { delete: jest.fn(), set: jest.fn() },
+        requestQueue: { enqueue: (task) => task() },
+        riskAssessor: { refreshMintChecks: jest.fn().mockResolvedValue(report(0, [])) },
+        telegramBot: { sendRiskChangeAlert: jest.fn().mockResolvedValue() }
+      });
+      monitor.trackedTokens.set(MINT, tokenData);
+      monitor.alertedTokens.set(MINT, Date.now());
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should refresh the risk once after a burst of updates and follow up on the alert', async () => {
+      monitor.handleMintAccountUpdate(8, {});
+      await jest.advanceTimersByTimeAsync(1000);
+      monitor.handleMintAccountUpdate(8, {});
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(monitor.riskAssessor.refreshMintChecks).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(monitor.riskAssessor.refreshMintChecks).toHaveBeenCalledTimes(1);
+      expect(tokenData.riskReport.score).toBe(0);
+      expect(monitor.telegramBot.sendRiskChangeAlert).toHaveBeenCalledWith(expect.objectContaining({
+        previousScore: 3,
+        addedFlags: [],
+        removedFlags: ['mintable', 'owner_not_renounced'],
+        replyTo: 42
+      }));
+
+      const bot = Object.create(TelegramAlertBot.prototype);
+      const message = bot.formatRiskChangeMessage(monitor.telegramBot.sendRiskChangeAlert.mock.calls[0][0]);
+      expect(message).toContain('✅ SAFER: PEPE2');
+      expect(message).toContain('Risk: 3/10 → 0/10');
+      expect(bot.formatRiskChangeMessage({
+        mint: MINT, previousScore: 0, riskReport: report(1, ['mintable']), addedFlags: ['mintable'], removedFlags: []
+      })).toContain('⚠️ RISKIER');
+    });
+
+    test('should close the watches of idle and expired tokens only', () => {
+      const now = Date.now();
+      const OTHER = 'Other11111111111111111111111111111111111111';
+      monitor.watchedMintAccounts.set(OTHER, { tokenMint: OTHER, kind: 'mint', subscriptionId: 9 });
+      monitor.mintSubscriptions.set(9, OTHER);
+      monitor.trackedTokens.set(OTHER, { mint: OTHER, discoveredAt: now - 60000, lastUpdate: now - 1000 });
+      Object.assign(tokenData, { discoveredAt: now - 3 * 60 * 60 * 1000, lastUpdate: now - 2 * 60 * 60 * 1000 });
+
+      monitor.pruneMintWatches(now);
+
+      expect([...monitor.watchedMintAccounts.keys()]).toEqual([OTHER]);
+      expect([...monitor.mintSubscriptions.keys()]).toEqual([9]);
+      const unsubscribed = monitor.wsConnection.send.mock.calls.map(([message]) => JSON.parse(message));
+      expect(unsubscribed.map(({ method, params }) => [method, params[0]])).toEqual([
+        ['accountUnsubscribe', 7],
+        ['accountUnsubscribe', 8]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { Keypair } = require('@solana/web3.js');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const PoolDiscovery = require('../src/pool-discovery');
+
+const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const WSOL = 'So11111111111111111111111111111111111111112';
+
+const key = () => Keypair.generate().publicKey;
+
+// Raydium AMM v4 LiquidityStateV4 with the fields the decoder reads
+function ammV4Account({ baseVault, quoteVault, baseMint, quoteMint, lpMint, quotePnl = 0 }) {
+  const data = Buffer.alloc(752);
+  data.writeBigUInt64LE(BigInt(6), 32);
+  data.writeBigUInt64LE(BigInt(9), 40);
+  data.writeBigUInt64LE(BigInt(quotePnl), 200);
+  [baseVault, quoteVault, baseMint, quoteMint, lpMint].forEach((account, index) => {
+    account.toBuffer().copy(data, 336 + index * 32);
+  });
+  data.writeBigUInt64LE(BigInt(1000), 720);
+  return { data };
+}
+
+function parsedVault(amount, decimals) {
+  return { data: { parsed: { info: { tokenAmount: { amount: String(amount), decimals } } } } };
+}
+
+describe('PoolDiscovery', () => {
+  let connection;
+  let discovery;
+  let mint;
+  let poolAddress;
+  let accounts;
+
+  beforeEach(() => {
+    mint = key();
+    poolAddress = key();
+    accounts = {
+      baseVault: key(),
+      quoteVault: key(),
+      baseMint: mint,
+      quoteMint: key(),
+      lpMint: key()
+    };
+
+    connection = {
+      getProgramAccounts: jest.fn().mockImplementation(async (programId, { filters }) => {
+        const byBaseMint = filters.some(filter => filter.memcmp && filter.memcmp.offset === 400);
+        return programId.toBase58() === RAYDIUM_AMM_V4 && byBaseMint
+          ? [{ pubkey: poolAddress, account: ammV4Account({ ...accounts, quotePnl: 5e8 }) }]
+          : [];
+      }),
+      getMultipleParsedAccounts: jest.fn().mockResolvedValue({
+        value: [parsedVault(2000000e6, 6), parsedVault(40.5e9, 9)]
+      })
+    };
+
+    discovery = new PoolDiscovery(connection);
+  });
+
+  test('should find AMM v4 pools by mint and decode their accounts', async () => {
+    const pools = await discovery.findPools(mint.toBase58());
+
+    expect(pools).toHaveLength(1);
+    expect(pools[0]).toMatchObject({
+      pool: poolAddress.toBase58(),
+      dex: 'raydium_amm_v4',
+      baseMint: mint.toBase58(),
+      baseVault: accounts.baseVault.toBase58(),
+      lpMint: accounts.lpMint.toBase58(),
+      baseDecimals: 6
+    });
+
+    // Cached for the next lookup
+    await discovery.findPools(mint.toBase58());
+    expect(connection.getProgramAccounts).toHaveBeenCalledTimes(8);
+  });
+
+  test('should read reserves from the vaults excluding unclaimed PnL', async () => {
+    const pools = await discovery.findPools(mint.toBase58());
+    const [pool] = await discovery.loadReserves(pools);
+
+    expect(pool.baseReserve).toBe(2000000);
+    expect(pool.quoteReserve).toBe(40);
+  });
+
+  test('should drop pools whose vaults cannot be read', async () => {
+    connection.getMultipleParsedAccounts.mockResolvedValue({ value: [null, parsedVault(1, 9)] });
+
+    const reserves = await discovery.loadReserves([{ pool: 'P', baseVault: WSOL, quoteVault: WSOL }]);
+
+    expect(reserves).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const PumpfunDecoder = require('../src/pumpfun-decoder');
+
+const PUMPFUN = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+const discriminator = (name) => crypto.createHash('sha256').update(`event:${name}`).digest().subarray(0, 8);
+
+const u64 = (value) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(value));
+  return buf;
+};
+
+const str = (value) => {
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(Buffer.byteLength(value));
+  return Buffer.concat([len, Buffer.from(value)]);
+};
+
+describe('PumpfunDecoder', () => {
+  let decoder;
+  let mint;
+  let user;
+
+  beforeEach(() => {
+    decoder = new PumpfunDecoder();
+    mint = Keypair.generate().publicKey;
+    user = Keypair.generate().publicKey;
+  });
+
+  test('should detect pump.fun invocations in logs', () => {
+    expect(decoder.isPumpfunLog([`Program ${PUMPFUN} invoke [1]`])).toBe(true);
+    expect(decoder.isPumpfunLog(['Program 11111111111111111111111111111111 invoke [1]'])).toBe(false);
+  });
+
+  test('should decode a TradeEvent from program data logs', () => {
+    const data = Buffer.concat([
+      discriminator('TradeEvent'),
+      mint.toBuffer(),
+      u64(2500000000),        // 2.5 SOL
+      u64(80000000000),       // 80,000 tokens
+      Buffer.from([1]),       // is_buy
+      user.toBuffer(),
+      u64(1700000000),
+      u64(32500000000),
+      u64(990000000000000)
+    ]);
+
+    const [event] = decoder.decodeLogs([`Program data: ${data.toString('base64')}`]);
+
+    expect(event.type).toBe('trade');
+    expect(event.mint).toBe(mint.toBase58());
+    expect(event.side).toBe('buy');
+    expect(event.trader).toBe(user.toBase58());
+    expect(event.solAmount).toBe(2.5);
+    expect(event.tokenAmount).toBe(80000);
+    expect(event.virtualSolReserves).toBe(32.5);
+    expect(event.timestamp).toBe(1700000000000);
+    expect(event.bondingCurve).toBe(decoder.getBondingCurveAddress(mint.toBase58()));
+  });
+
+  test('should decode a CreateEvent emitted through self-CPI', () => {
+    const bondingCurve = Keypair.generate().publicKey;
+    const eventData = Buffer.concat([
+      Buffer.from('e445a52e51cb9a1d', 'hex'),
+      discriminator('CreateEvent'),
+      str('Moon Dog'),
+      str('MDOG'),
+      str('https://ipfs.io/ipfs/abc'),
+      mint.toBuffer(),
+      bondingCurve.toBuffer(),
+      user.toBuffer()
+    ]);
+
+    const tx = {
+      transaction: {
+        message: {
+          accountKeys: [user.toBase58(), PUMPFUN],
+          instructions: [{ programIdIndex: 1, accounts: [0], data: bs58.encode(Buffer.from([0])) }]
+        }
+      },
+      meta: {
+        err: null,
+        logMessages: [],
+        innerInstructions: [{
+          index: 0,
+          instructions: [{ programIdIndex: 1, accounts: [], data: bs58.encode(eventData) }]
+        }]
+      }
+    };
+
+    const [event] = decoder.decodeTransaction(tx);
+
+    expect(event).toEqual({
+      type: 'create',
+      name: 'Moon Dog',
+      symbol: 'MDOG',
+      uri: 'https://ipfs.io/ipfs/abc',
+      mint: mint.toBase58(),
+      bondingCurve: bondingCurve.toBase58(),
+      creator: user.toBase58()
+    });
+  });
+
+  test('should decode a PumpSwap pool creation as a migration', () => {
+    const pool = Keypair.generate().publicKey.toBase58();
+    const wsol = 'So11111111111111111111111111111111111111112';
+    const data = Buffer.concat([
+      crypto.createHash('sha256').update('global:create_pool').digest().subarray(0, 8),
+      Buffer.from([0, 0]),
+      u64(206900000000000),
+      u64(84990359679)
+    ]);
+    const accountKeys = [
+      user.toBase58(), 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+      pool, 'GlobalConfig', 'Creator', mint.toBase58(), wsol, 'LpMint',
+      'UserBase', 'UserQuote', 'UserPool', 'PoolBase', 'PoolQuote'
+    ];
+
+    const tx = {
+      transaction: {
+        message: {
+          accountKeys,
+          instructions: [{ programIdIndex: 1, accounts: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], data: bs58.encode(data) }]
+        }
+      },
+      meta: {
+        err: null,
+        logMessages: [],
+        innerInstructions: [],
+        preTokenBalances: [],
+        postTokenBalances: [
+          { accountIndex: 11, mint: mint.toBase58(), uiTokenAmount: { amount: '206900000000000', decimals: 6 } },
+          { accountIndex: 12, mint: wsol, uiTokenAmount: { amount: '84990359679', decimals: 9 } }
+        ]
+      }
+    };
+
+    const [migration] = decoder.decodeTransaction(tx);
+
+    expect(migration.type).toBe('migration');
+    expect(migration.dex).toBe('pumpswap');
+    expect(migration.mint).toBe(mint.toBase58());
+    expect(migration.pool).toBe(pool);
+    expect(migration.baseReserve).toBe(206900000);
+    expect(migration.quoteReserve).toBeCloseTo(84.99, 2);
+  });
+
+  test('should measure bonding curve progress from the virtual token reserves', () => {
+    expect(decoder.getCurveProgress(1073000000)).toBe(0);
+    expect(decoder.getCurveProgress(1073000000 - 793100000 / 2)).toBeCloseTo(50);
+    expect(decoder.getCurveProgress(279900000)).toBe(100);
+  });
+});
\ No newline at end of file
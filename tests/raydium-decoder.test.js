@@ -0,0 +1,221 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const bs58 = require('bs58');
+const { Keypair, MessageV0, PublicKey } = require('@solana/web3.js');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const RaydiumDecoder = require('../src/raydium-decoder');
+
+const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const WSOL = 'So11111111111111111111111111111111111111112';
+const MEME = '7BgBvyjrZX1YKz4oh9mjb8ZScatkkwb8DzFx6LnfkGrx';
+
+function encodeSwap(discriminator, first, second) {
+  const data = Buffer.alloc(17);
+  data.writeUInt8(discriminator, 0);
+  data.writeBigUInt64LE(BigInt(first), 1);
+  data.writeBigUInt64LE(BigInt(second), 9);
+  return bs58.encode(data);
+}
+
+function tokenBalance(accountIndex, mint, amount, decimals) {
+  return {
+    accountIndex,
+    mint,
+    owner: 'AmmAuthority',
+    uiTokenAmount: { amount: String(amount), decimals }
+  };
+}
+
+// Accounts: fee payer, amm program, then the 18 swap accounts
+function buildSwapTx({ coinPre, coinPost, pcPre, pcPost, inner = false }) {
+  const swapAccounts = [
+    'TokenProgram', 'AmmPool', 'AmmAuthority', 'OpenOrders', 'TargetOrders',
+    'CoinVault', 'PcVault', 'SerumProgram', 'Market', 'Bids', 'Asks',
+    'EventQueue', 'SerumCoinVault', 'SerumPcVault', 'VaultSigner',
+    'UserSource', 'UserDestination', 'Trader'
+  ];
+  const accountKeys = ['FeePayer', RAYDIUM_AMM_V4, 'Router', ...swapAccounts];
+  const swapIx = {
+    programIdIndex: 1,
+    accounts: swapAccounts.map((_, i) => i + 3),
+    data: encodeSwap(9, 1000000000, 1)
+  };
+  const routerIx = { programIdIndex: 2, accounts: [0], data: bs58.encode(Buffer.from([1])) };
+
+  return {
+    transaction: {
+      message: {
+        accountKeys,
+        instructions: inner ? [routerIx] : [swapIx]
+      }
+    },
+    meta: {
+      err: null,
+      innerInstructions: inner ? [{ index: 0, instructions: [swapIx] }] : [],
+      preTokenBalances: [
+        tokenBalance(8, WSOL, coinPre, 9),
+        tokenBalance(9, MEME, pcPre, 6)
+      ],
+      postTokenBalances: [
+        tokenBalance(8, WSOL, coinPost, 9),
+        tokenBalance(9, MEME, pcPost, 6)
+      ]
+    }
+  };
+}
+
+describe('RaydiumDecoder', () => {
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new RaydiumDecoder();
+  });
+
+  test('should detect Raydium AMM v4 invocations in logs', () => {
+    expect(decoder.isSwapLog([`Program ${RAYDIUM_AMM_V4} invoke [1]`])).toBe(true);
+    expect(decoder.isSwapLog(['Program log: Instruction: Swap'])).toBe(false);
+  });
+
+  test('should decode a buy from the pool vault deltas', () => {
+    const tx = buildSwapTx({
+      coinPre: 100e9, coinPost: 101e9,       // pool received 1 SOL
+      pcPre: 5000000e6, pcPost: 4950000e6    // pool paid out 50,000 tokens
+    });
+
+    const [swap] = decoder.decodeSwaps(tx);
+
+    expect(swap.instruction).toBe('SwapBaseIn');
+    expect(swap.pool).toBe('AmmPool');
+    expect(swap.trader).toBe('Trader');
+    expect(swap.baseMint).toBe(MEME);
+    expect(swap.quoteMint).toBe(WSOL);
+    expect(swap.direction).toBe('buy');
+    expect(swap.inputMint).toBe(WSOL);
+    expect(swap.amountIn).toBe(1);
+    expect(swap.amountOut).toBe(50000);
+    expect(swap.quoteDelta).toBe(1);
+    expect(swap.args.amountIn).toBe('1000000000');
+  });
+
+  test('should decode a sell routed through another program', () => {
+    const tx = buildSwapTx({
+      coinPre: 100e9, coinPost: 99.5e9,
+      pcPre: 5000000e6, pcPost: 5025000e6,
+      inner: true
+    });
+
+    const [swap] = decoder.decodeSwaps(tx);
+
+    expect(swap.direction).toBe('sell');
+    expect(swap.inputMint).toBe(MEME);
+    expect(swap.amountOut).toBe(0.5);
+  });
+
+  test('should ignore failed transactions and non-swap instructions', () => {
+    const failed = buildSwapTx({ coinPre: 1, coinPost: 2, pcPre: 2, pcPost: 1 });
+    failed.meta.err = { InstructionError: [0, 'Custom'] };
+    expect(decoder.decodeSwaps(failed)).toEqual([]);
+
+    expect(decoder.decodeInstructionData(Buffer.from([1, 2, 3]))).toBeNull();
+  });
+
+  test('should decode swaps in v0 transactions using lookup table addresses', () => {
+    const key = () => Keypair.generate().publicKey;
+    const swapAccounts = Array.from({ length: 18 }, key);
+    const [coinVault, pcVault] = [swapAccounts[5], swapAccounts[6]];
+
+    // Everything except the vaults is static; the vaults come from a lookup table
+    const staticAccountKeys = [key(), new PublicKey(RAYDIUM_AMM_V4)]
+      .concat(swapAccounts.filter(account => account !== coinVault && account !== pcVault));
+    const loaded = { writable: [coinVault, pcVault], readonly: [] };
+    const allKeys = staticAccountKeys.concat(loaded.writable);
+    const indexOf = (account) => allKeys.findIndex(k => k.equals(account));
+
+    const message = new MessageV0({
+      header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 1 },
+      staticAccountKeys,
+      recentBlockhash: key().toBase58(),
+      compiledInstructions: [{
+        programIdIndex: 1,
+        accountKeyIndexes: swapAccounts.map(indexOf),
+        data: bs58.decode(encodeSwap(11, 2000000000, 1000))
+      }],
+      addressTableLookups: [{ accountKey: key(), writableIndexes: [0, 1], readonlyIndexes: [] }]
+    });
+
+    const tx = {
+      version: 0,
+      transaction: { message, signatures: ['sig'] },
+      meta: {
+        err: null,
+        innerInstructions: [],
+        loadedAddresses: loaded,
+        preTokenBalances: [
+          tokenBalance(indexOf(coinVault), MEME, 1000e6, 6),
+          tokenBalance(indexOf(pcVault), WSOL, 10e9, 9)
+        ],
+        postTokenBalances: [
+          tokenBalance(indexOf(coinVault), MEME, 999e6, 6),
+          tokenBalance(indexOf(pcVault), WSOL, 12e9, 9)
+        ]
+      }
+    };
+
+    const [swap] = decoder.decodeSwaps(tx);
+
+    expect(swap.instruction).toBe('SwapBaseOut');
+    expect(swap.baseVault).toBe(coinVault.toBase58());
+    expect(swap.quoteVault).toBe(pcVault.toBase58());
+    expect(swap.direction).toBe('buy');
+    expect(swap.amountIn).toBe(2);
+    expect(swap.amountOut).toBe(1);
+  });
+
+  test('should decode an AMM v4 withdraw and the share of reserves it removed', () => {
+    const withdrawAccounts = [
+      'TokenProgram', 'AmmPool', 'AmmAuthority', 'OpenOrders', 'TargetOrders',
+      'LpMint', 'CoinVault', 'PcVault', 'WithdrawQueue', 'TempLp'
+    ];
+    const data = Buffer.alloc(9);
+    data.writeUInt8(4, 0);
+    data.writeBigUInt64LE(BigInt(5000000), 1);
+
+    const tx = {
+      transaction: {
+        message: {
+          accountKeys: ['Deployer', RAYDIUM_AMM_V4, ...withdrawAccounts],
+          instructions: [{ programIdIndex: 1, accounts: withdrawAccounts.map((_, i) => i + 2), data: bs58.encode(data) }]
+        }
+      },
+      meta: {
+        err: null,
+        innerInstructions: [],
+        preTokenBalances: [
+          tokenBalance(8, MEME, 1000000e6, 6),
+          tokenBalance(9, WSOL, 80e9, 9)
+        ],
+        postTokenBalances: [
+          tokenBalance(8, MEME, 100000e6, 6),
+          tokenBalance(9, WSOL, 8e9, 9)
+        ]
+      }
+    };
+
+    const [removal] = decoder.decodeLiquidityRemovals(tx);
+
+    expect(removal.dex).toBe('raydium_amm_v4');
+    expect(removal.pool).toBe('AmmPool');
+    expect(removal.provider).toBe('Deployer');
+    expect(removal.baseMint).toBe(MEME);
+    expect(removal.quoteVault).toBe('PcVault');
+    expect(removal.quoteRemoved).toBe(72);
+    expect(removal.removedPct).toBeCloseTo(90);
+    expect(decoder.decodeSwaps(tx)).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,362 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { MintLayout, MINT_SIZE, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: () => ({
+      MINTABLE_CHECKS: true,
+      HONEYPOT_CHECKS: true,
+      OWNER_RENOUNCE_CHECKS: true,
+      TRANSFER_HOOK_CHECKS: true,
+      LP_BURN_CHECKS: false,
+      MAX_HOLDER_CONCENTRATION: 0.5,
+      MIN_HOLDER_COUNT: 2
+    })
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const RiskAssessor = require('../src/risk-assessor');
+const BatchManager = require('../src/BatchManager');
+const MetadataFetcher = require('../src/metadata-fetcher');
+
+// Mint account info as returned by getMultipleAccountsInfo
+function mintAccount({ mintAuthority = null, freezeAuthority = null, supply = 1000000 } = {}) {
+  const data = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode({
+    mintAuthorityOption: mintAuthority ? 1 : 0,
+    mintAuthority: mintAuthority || PublicKey.default,
+    supply: BigInt(supply),
+    decimals: 6,
+    isInitialized: true,
+    freezeAuthorityOption: freezeAuthority ? 1 : 0,
+    freezeAuthority: freezeAuthority || PublicKey.default
+  }, data);
+  return { data, owner: TOKEN_PROGRAM_ID, lamports: 1, executable: false };
+}
+
+// Token account as returned by getProgramAccounts with an owner + amount data slice
+function holderSlice(owner, amount) {
+  const data = Buffer.alloc(40);
+  new PublicKey(owner).toBuffer().copy(data, 0);
+  data.writeBigUInt64LE(BigInt(amount), 32);
+  return { pubkey: Keypair.generate().publicKey, account: { data } };
+}
+
+// Token program scans for holders, as opposed to locker program scans
+function holderScans(connection) {
+  return connection.getProgramAccounts.mock.calls.filter(([programId]) => programId.equals(TOKEN_PROGRAM_ID));
+}
+
+describe('RiskAssessor data fetching', () => {
+  let connection;
+  let authority;
+
+  beforeEach(() => {
+    authority = Keypair.generate().publicKey;
+    connection = {
+      getMultipleAccountsInfo: jest.fn().mockImplementation(async (keys) => (
+        keys.map((key, index) => (index === 0 ? mintAccount({ mintAuthority: authority }) : mintAccount()))
+      )),
+      getTokenLargestAccounts: jest.fn().mockResolvedValue({
+        value: [{ amount: '600000' }, { amount: '400000' }]
+      }),
+      getProgramAccounts: jest.fn().mockResolvedValue([
+        holderSlice(Keypair.generate().publicKey, 600000),
+        holderSlice(Keypair.generate().publicKey, 400000)
+      ])
+    };
+  });
+
+  test('should fetch each mint and its holders once for all checks', async () => {
+    const assessor = new RiskAssessor(connection, {});
+    const mint = Keypair.generate().publicKey.toBase58();
+
+    const { flags } = await assessor.assessToken(mint);
+
+    expect(connection.getMultipleAccountsInfo).toHaveBeenCalledTimes(1);
+    expect(connection.getTokenLargestAccounts).toHaveBeenCalledTimes(1);
+    expect(holderScans(connection)).toHaveLength(1);
+    // No pool and no bonding curve among the holders
+    expect(flags).toEqual(['mintable', 'owner_not_renounced', 'high_holder_concentration', 'lp_not_found']);
+  });
+
+  test('should not fetch a mint the caller already read', async () => {
+    const assessor = new RiskAssessor(connection, {});
+    const mint = Keypair.generate().publicKey.toBase58();
+    const metadata = await new MetadataFetcher(connection).fetchMetadata(mint);
+
+    const { flags } = await assessor.assessToken(mint, { mintInfo: metadata.mintInfo });
+
+    expect(connection.getMultipleAccountsInfo).toHaveBeenCalledTimes(1);
+    expect(flags).toEqual(['mintable', 'owner_not_renounced', 'high_holder_concentration', 'lp_not_found']);
+  });
+
+  test('should batch mint lookups of concurrent assessments', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const assessor = new RiskAssessor(connection, {}, new BatchManager());
+    const [first, second] = [Keypair.generate(), Keypair.generate()].map(key => key.publicKey.toBase58());
+
+    const [{ flags: firstFlags }, { flags: secondFlags }] = await Promise.all([
+      assessor.assessToken(first),
+      assessor.assessToken(second)
+    ]);
+
+    expect(connection.getMultipleAccountsInfo).toHaveBeenCalledTimes(1);
+    // Both mints and their metadata accounts
+    expect(connection.getMultipleAccountsInfo.mock.calls[0][0]).toHaveLength(4);
+    expect(firstFlags).toContain('mintable');
+    expect(secondFlags).not.toContain('mintable');
+  });
+
+  test('should evaluate checks from the fetched data without RPC calls', () => {
+    const assessor = new RiskAssessor({}, {});
+    const data = { tokenMint: 'Mint', mintInfo: null, largestAccounts: null };
+
+    // Unreadable accounts fall back to the conservative defaults
+    expect(assessor.checkMintable(data)).toBe(false);
+    expect(assessor.checkOwnerRenounced(data)).toBe(true);
+    expect(assessor.checkHolderConcentration(data)).toBe(false);
+    expect(assessor.checkLiquidityProvision(data)).toBe(false);
+  });
+});
+
+describe('RiskAssessor liquidity', () => {
+  const mint = Keypair.generate().publicKey.toBase58();
+  const holders = (owner) => ({ complete: true, accounts: [{ address: 'Account', owner, amount: BigInt(1000) }] });
+
+  test('should find liquidity in a pool against SOL, USDC or USDT', () => {
+    const assessor = new RiskAssessor({}, {});
+    const pools = [
+      { dex: 'raydium_cpmm', pool: 'MemePool', baseMint: mint, quoteMint: Keypair.generate().publicKey.toBase58() },
+      { dex: 'raydium_amm_v4', pool: 'SolPool', baseMint: 'So11111111111111111111111111111111111111112', quoteMint: mint }
+    ];
+
+    expect(assessor.checkLiquidityProvision({ tokenMint: mint, holders: null, pools })).toEqual({
+      raised: false,
+      details: {
+        pools: [{ dex: 'raydium_amm_v4', pool: 'SolPool', quoteMint: 'So11111111111111111111111111111111111111112' }],
+        bondingCurve: null
+      }
+    });
+    expect(assessor.checkLiquidityProvision({ tokenMint: mint, holders: holders('Trader'), pools: [pools[0]] }).raised).toBe(true);
+  });
+
+  test('should count tokens on the pump.fun bonding curve as liquidity', () => {
+    const assessor = new RiskAssessor({}, {});
+    const bondingCurve = assessor.pumpfunDecoder.getBondingCurveAddress(mint);
+
+    expect(assessor.checkLiquidityProvision({ tokenMint: mint, holders: holders(bondingCurve), pools: [] })).toEqual({
+      raised: false,
+      details: { pools: [], bondingCurve }
+    });
+  });
+});
+
+describe('RiskAssessor holder concentration', () => {
+  test('should measure against total supply and skip pool, curve, burn and labeled holders', () => {
+    const assessor = new RiskAssessor({}, {});
+    assessor.riskConfig = {
+      ...assessor.riskConfig,
+      EXCLUDED_HOLDER_LABELS: { TeamVesting1111111111111111111111111111111: 'team vesting' }
+    };
+    const mint = Keypair.generate().publicKey.toBase58();
+    const pool = { pool: 'Pool', dex: 'raydium_cpmm', baseVault: 'PoolVault', quoteVault: 'SolVault' };
+    const holder = (address, owner, amount) => ({ address, owner, amount: BigInt(amount) });
+
+    const { raised, details } = assessor.checkHolderConcentration({
+      tokenMint: mint,
+      mintInfo: { supply: BigInt(1000) },
+      pools: [pool],
+      holders: {
+        complete: true,
+        accounts: [
+          holder('PoolVault', 'CpmmAuthority', 500),
+          holder('CurveAta', assessor.pumpfunDecoder.getBondingCurveAddress(mint), 200),
+          holder('BurnAta', '1nc1nerator11111111111111111111111111111111', 100),
+          holder('VestingAta', 'TeamVesting1111111111111111111111111111111', 50),
+          holder('WhaleAta', 'Whale', 90),
+          holder('WhaleAta2', 'Whale', 30),
+          ...Array.from({ length: 30 }, (_, index) => holder(`Ata${index}`, `Wallet${index}`, 1))
+        ]
+      }
+    });
+
+    expect(raised).toBe(false);
+    expect(details).toMatchObject({
+      top1Pct: 12,
+      top10Pct: 12.9,
+      top20Pct: 13.9,
+      topHolder: 'Whale',
+      holderCount: 31
+    });
+    expect(details.excluded.map(({ label }) => label)).toEqual([
+      'raydium_cpmm pool', 'pump.fun bonding curve', 'burn', 'team vesting'
+    ]);
+  });
+});
+
+describe('RiskAssessor funding clusters', () => {
+  test('should measure the share of top holders funded by one wallet', async () => {
+    const [alice, bob, carol, dave] = ['Alice', 'Bob', 'Carol', 'Dave'].map(() => Keypair.generate().publicKey.toBase58());
+    const funders = { [alice]: 'Funder', [bob]: 'Funder', [carol]: bob, [dave]: 'Exchange' };
+    const fundingTracer = {
+      getFundingSources: jest.fn().mockImplementation(async (wallets) => new Map(
+        wallets.map(wallet => [wallet, { wallet, funder: funders[wallet] }])
+      ))
+    };
+    const assessor = new RiskAssessor({}, {}, null, null, null, fundingTracer);
+    const holder = (owner, amount) => ({ address: Keypair.generate().publicKey.toBase58(), owner, amount: BigInt(amount) });
+
+    const result = await assessor.checkFundingClusters({
+      tokenMint: Keypair.generate().publicKey.toBase58(),
+      mintInfo: { supply: BigInt(1000000) },
+      holders: {
+        complete: true,
+        accounts: [holder(alice, 100000), holder(bob, 50000), holder(carol, 30000), holder(dave, 200000)]
+      }
+    });
+
+    expect(result.raised).toBe(false); // 18% is under the default 20%
+    expect(result.details).toMatchObject({ topHolders: 4, tracedHolders: 4, largestClusterPct: 18 });
+    expect(result.details.largestCluster).toEqual({
+      funder: 'Funder',
+      pct: 18,
+      wallets: [{ wallet: alice, pct: 10 }, { wallet: bob, pct: 5 }, { wallet: carol, pct: 3 }]
+    });
+  });
+
+  test('should not group holders who withdrew from the same exchange', async () => {
+    const binance = '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9';
+    const wallets = ['Alice', 'Bob', 'Carol'].map(() => Keypair.generate().publicKey.toBase58());
+    const fundingTracer = {
+      getFundingSources: jest.fn().mockImplementation(async (owners) => new Map(
+        owners.map(wallet => [wallet, { wallet, funder: binance }])
+      ))
+    };
+    const assessor = new RiskAssessor({}, {}, null, null, null, fundingTracer);
+
+    const result = await assessor.checkFundingClusters({
+      tokenMint: Keypair.generate().publicKey.toBase58(),
+      mintInfo: { supply: BigInt(1000000) },
+      holders: {
+        complete: true,
+        accounts: wallets.map(owner => ({ address: Keypair.generate().publicKey.toBase58(), owner, amount: BigInt(150000) }))
+      }
+    });
+
+    expect(result.raised).toBe(false);
+    expect(result.details).toMatchObject({ exchangeFunded: 3, clusters: [], largestClusterPct: 0 });
+  });
+});
+
+describe('RiskAssessor supply breakdown', () => {
+  test('should leave burned and still escrowed supply out of circulation', async () => {
+    const now = Date.now();
+    const escrow = Keypair.generate().publicKey;
+    const stream = (endTime) => {
+      const data = Buffer.alloc(241);
+      data.writeBigUInt64LE(BigInt(Math.floor(endTime / 1000)), 33);
+      escrow.toBuffer().copy(data, 209);
+      return { account: { data } };
+    };
+    const connection = { getProgramAccounts: jest.fn().mockResolvedValue([stream(now + 86400000)]) };
+    const assessor = new RiskAssessor(connection, {});
+    const holder = (address, owner, amount) => ({ address, owner, amount: BigInt(amount) });
+
+    const supply = await assessor.getSupplyBreakdown({
+      tokenMint: Keypair.generate().publicKey.toBase58(),
+      mintInfo: { supply: BigInt(1000000000), decimals: 6 },
+      holders: {
+        complete: true,
+        accounts: [
+          holder('Burned', '1nc1nerator11111111111111111111111111111111', 100000000),
+          holder(escrow.toBase58(), 'StreamflowPda', 250000000),
+          holder('Trader', 'TraderWallet', 650000000)
+        ]
+      }
+    }, now);
+
+    expect(supply).toEqual({ total: 1000, burned: 100, locked: 250, circulating: 650, complete: true });
+  });
+});
+
+describe('RiskAssessor report', () => {
+  test('should explain the score with the status, evidence and contribution of each check', async () => {
+    const connection = {
+      getMultipleAccountsInfo: jest.fn().mockImplementation(async (keys) => (
+        keys.map((key, index) => (index === 0 ? mintAccount({ mintAuthority: Keypair.generate().publicKey }) : null))
+      )),
+      getTokenLargestAccounts: jest.fn().mockResolvedValue({ value: [{ amount: '1000000' }] }),
+      getProgramAccounts: jest.fn().mockResolvedValue([holderSlice(Keypair.generate().publicKey, 1000000)])
+    };
+    const assessor = new RiskAssessor(connection, {});
+    assessor.riskConfig = { ...assessor.riskConfig, RISK_WEIGHTS: { mintable: 2 } };
+
+    const report = await assessor.assessToken(Keypair.generate().publicKey.toBase58());
+
+    expect(report.checks.mintable).toMatchObject({ status: 'fail', weight: 2, contribution: 2 });
+    expect(report.checks.high_holder_concentration).toMatchObject({
+      status: 'fail',
+      weight: 3,
+      contribution: 3,
+      evidence: expect.objectContaining({ top1Pct: 100, holderCount: 1 })
+    });
+    expect(report.checks.lp_not_burned.status).toBe('disabled');
+    expect(report.checks.honeypot).toMatchObject({ status: 'unknown', evidence: { status: 'not_simulated' } });
+    expect(report.checks.transfer_fee.status).toBe('pass');
+    expect(report.checks.bundled_launch.status).toBe('unknown');
+    expect(report.checks.lp_not_found).toMatchObject({ status: 'fail', evidence: { pools: [], bondingCurve: null } });
+    expect(report.score).toBe(2 + 1 + 3 + 2); // mintable, owner not renounced, holder concentration, no pool
+    expect(report.flags).toEqual(['mintable', 'owner_not_renounced', 'high_holder_concentration', 'lp_not_found']);
+    expect(typeof report.checks.mintable.checkedAt).toBe('number');
+  });
+
+  test('should add a late check to an existing report and cap the score', () => {
+    const assessor = new RiskAssessor({}, {});
+    const report = assessor.buildReport('Mint', { mintInfo: {} }, {
+      honeypot: { raised: true, details: { status: 'high_fee', sellFeePct: 40 } },
+      dev_serial_rugger: { raised: true, details: { rugged: 3 } }
+    });
+
+    const updated = assessor.updateReport(report, { bundled_launch: { raised: true, details: { heldPct: 45 } } });
+
+    expect(report.score).toBe(10);
+    expect(updated.checks.bundled_launch).toMatchObject({ status: 'fail', contribution: 4, evidence: { heldPct: 45 } });
+    expect(updated.flags).toContain('bundled_launch');
+    expect(updated.score).toBe(10);
+  });
+
+  test('should clear mint checks once the authorities are revoked', async () => {
+    let mintAuthority = Keypair.generate().publicKey;
+    const connection = {
+      getMultipleAccountsInfo: jest.fn().mockImplementation(async (keys) => (
+        keys.map((key, index) => (index === 0 ? mintAccount({ mintAuthority }) : null))
+      )),
+      getTokenLargestAccounts: jest.fn().mockResolvedValue({ value: [{ amount: '500000' }, { amount: '500000' }] }),
+      getProgramAccounts: jest.fn().mockResolvedValue([
+        holderSlice(Keypair.generate().publicKey, 500000),
+        holderSlice(Keypair.generate().publicKey, 500000)
+      ])
+    };
+    const assessor = new RiskAssessor(connection, {});
+    const mint = Keypair.generate().publicKey.toBase58();
+    const report = await assessor.assessToken(mint);
+
+    mintAuthority = null;
+    const updated = await assessor.refreshMintChecks(report, mint);
+
+    expect(report.flags).toEqual(['mintable', 'owner_not_renounced', 'lp_not_found']);
+    expect(updated.flags).toEqual(['lp_not_found']);
+    expect(updated.score).toBe(2);
+    // Holders only refetched when the supply changed
+    expect(holderScans(connection)).toHaveLength(1);
+  });
+});
\ No newline at end of file
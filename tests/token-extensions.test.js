@@ -0,0 +1,57 @@
+const { describe, test, expect } = require('@jest/globals');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const { getMintExtensionFlags } = require('../src/utils/token-extensions');
+
+// TLV entry: u16 extension type, u16 length, value
+const tlv = (type, value) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(value.length, 2);
+  return Buffer.concat([header, value]);
+};
+
+const transferFee = (basisPoints, maximumFee) => {
+  const fee = Buffer.alloc(18);
+  fee.writeBigUInt64LE(0n, 0);                  // epoch
+  fee.writeBigUInt64LE(BigInt(maximumFee), 8);
+  fee.writeUInt16LE(basisPoints, 16);
+  return fee;
+};
+
+describe('Token-2022 extension flags', () => {
+  test('should return no flags for a mint without extensions', () => {
+    expect(getMintExtensionFlags({ tlvData: Buffer.alloc(0) })).toEqual([]);
+  });
+
+  test('should report transfer fee and permanent delegate parameters', () => {
+    const delegate = Keypair.generate().publicKey;
+    const feeConfig = Buffer.concat([
+      PublicKey.default.toBuffer(),               // fee config authority (none)
+      PublicKey.default.toBuffer(),               // withdraw authority
+      Buffer.alloc(8),                            // withheld amount
+      transferFee(0, 0),                          // older fee
+      transferFee(500, 1000000)                   // newer fee: 5%
+    ]);
+
+    const flags = getMintExtensionFlags({
+      tlvData: Buffer.concat([tlv(1, feeConfig), tlv(12, delegate.toBuffer())])
+    });
+
+    expect(flags).toEqual([
+      {
+        flag: 'transfer_fee',
+        details: { basisPoints: 500, olderBasisPoints: 0, maximumFee: '1000000', feeAuthority: null }
+      },
+      {
+        flag: 'permanent_delegate',
+        details: { delegate: delegate.toBase58() }
+      }
+    ]);
+  });
+
+  test('should ignore a transfer hook with no program and no authority', () => {
+    const hook = Buffer.concat([PublicKey.default.toBuffer(), PublicKey.default.toBuffer()]);
+    expect(getMintExtensionFlags({ tlvData: tlv(14, hook) })).toEqual([]);
+  });
+});
\ No newline at end of file
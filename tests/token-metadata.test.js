@@ -0,0 +1,73 @@
+const { describe, test, expect } = require('@jest/globals');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const { decodeMetaplexMetadata, getToken2022Metadata } = require('../src/utils/token-metadata');
+
+// Borsh string: u32 length, utf8 bytes
+const borshString = (value, padTo = value.length) => {
+  const bytes = Buffer.alloc(padTo);
+  bytes.write(value);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(padTo, 0);
+  return Buffer.concat([length, bytes]);
+};
+
+// TLV entry: u16 extension type, u16 length, value
+const tlv = (type, value) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(value.length, 2);
+  return Buffer.concat([header, value]);
+};
+
+describe('Token metadata decoding', () => {
+  test('should decode a Metaplex account and skip its creators', () => {
+    const updateAuthority = Keypair.generate().publicKey;
+    const mint = Keypair.generate().publicKey;
+    const data = Buffer.concat([
+      Buffer.from([4]),                                 // key: MetadataV1
+      updateAuthority.toBuffer(),
+      mint.toBuffer(),
+      borshString('Doge Wif Hat', 32),                  // padded with null bytes
+      borshString('DWH', 10),
+      borshString('https://example.com/dwh.json', 200),
+      Buffer.from([0xf4, 0x01]),                        // seller fee: 500
+      Buffer.from([1, 2, 0, 0, 0]),                     // two creators
+      Buffer.alloc(68),
+      Buffer.from([0, 1])                               // primary sale not happened, mutable
+    ]);
+
+    expect(decodeMetaplexMetadata(data)).toEqual({
+      source: 'metaplex',
+      updateAuthority: updateAuthority.toBase58(),
+      mint: mint.toBase58(),
+      name: 'Doge Wif Hat',
+      symbol: 'DWH',
+      uri: 'https://example.com/dwh.json',
+      sellerFeeBasisPoints: 500,
+      primarySaleHappened: false,
+      isMutable: true
+    });
+  });
+
+  test('should treat Token-2022 metadata without an update authority as immutable', () => {
+    const mint = Keypair.generate().publicKey;
+    const metadata = Buffer.concat([
+      PublicKey.default.toBuffer(),                     // update authority (none)
+      mint.toBuffer(),
+      borshString('Frozen Cat'),
+      borshString('FCAT'),
+      borshString('ipfs://fcat'),
+      Buffer.alloc(4)                                   // no additional metadata
+    ]);
+
+    expect(getToken2022Metadata({ tlvData: tlv(19, metadata) })).toMatchObject({
+      source: 'token_2022',
+      updateAuthority: null,
+      name: 'Frozen Cat',
+      symbol: 'FCAT',
+      isMutable: false
+    });
+    expect(getToken2022Metadata({ tlvData: Buffer.alloc(0) })).toBeNull();
+  });
+});
\ No newline at end of file
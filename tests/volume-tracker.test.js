@@ -0,0 +1,253 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../src/utils/config', () => ({
+  getConfig: () => ({
+    get: (path) => {
+      const mockConfig = {
+        'monitoring.MONITOR_MODE': 'since_first_trade'
+      };
+      return mockConfig[path];
+    }
+  })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const VolumeTracker = require('../src/volume-tracker');
+const RollingWindow = require('../src/utils/rolling-window');
+const CandleSeries = require('../src/utils/candle-series');
+
+const WSOL = 'So11111111111111111111111111111111111111112';
+const MEME = '7BgBvyjrZX1YKz4oh9mjb8ZScatkkwb8DzFx6LnfkGrx';
+
+describe('VolumeTracker pricing', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new VolumeTracker({});
+    jest.spyOn(tracker, 'getSOLPriceUSD').mockResolvedValue(100);
+    jest.spyOn(tracker, 'getTokenPriceFromJupiter').mockResolvedValue(0);
+    jest.spyOn(tracker, 'findLiquidityPools').mockResolvedValue([]);
+  });
+
+  test('should weight observed prices by how long they stood', () => {
+    const now = Date.now();
+    tracker.recordPriceObservation(MEME, 1, now - 60000);
+    tracker.recordPriceObservation(MEME, 4, now - 20000);
+
+    // 1 for 40s, 4 for 20s
+    expect(tracker.getTWAP(MEME, now).price).toBeCloseTo(2);
+  });
+
+  test('should price a new token from its deepest SOL pool', async () => {
+    const pools = [
+      { pool: 'Shallow', baseMint: MEME, quoteMint: WSOL, baseReserve: 1000, quoteReserve: 1 },
+      { pool: 'Deep', baseMint: WSOL, quoteMint: MEME, baseReserve: 50, quoteReserve: 100000 }
+    ];
+
+    const spot = await tracker.updateSpotPrice(MEME, pools);
+
+    expect(spot.pool).toBe('Deep');
+    expect(spot.price).toBeCloseTo(0.05); // 50 SOL / 100,000 tokens at $100
+    expect(await tracker.getTokenPriceUSD(MEME)).toBeCloseTo(0.05);
+    expect(tracker.getTokenPriceInfo(MEME).source).toBe('pool_spot');
+  });
+
+  test('should fall back to the TWAP when the spot price was pushed by a single swap', async () => {
+    const now = Date.now();
+    tracker.recordPriceObservation(MEME, 0.01, now - 120000);
+    tracker.setCurveSpotPrice(MEME, 90, 100000, 100, 'Curve'); // $0.09 after one huge buy
+
+    const { price, source } = await tracker.getTokenPriceFromSOLPair(MEME);
+
+    expect(source).toBe('twap');
+    expect(price).toBeCloseTo(0.01);
+  });
+
+  test('should price a curve trade from the curve rather than Jupiter', async () => {
+    tracker.getTokenPriceFromJupiter.mockResolvedValue(0.5);
+    expect(await tracker.getTokenPriceUSD(MEME)).toBe(0.5);
+
+    tracker.setCurveSpotPrice(MEME, 30, 1000000, 100, 'Curve');
+
+    expect(await tracker.getTokenPriceUSD(MEME)).toBeCloseTo(0.003);
+    expect(tracker.getTokenPriceInfo(MEME).source).toBe('bonding_curve');
+
+    // Once the cache expires, the fresh curve price still beats Jupiter
+    tracker.priceCache.clear();
+    expect(await tracker.getTokenPriceUSD(MEME)).toBeCloseTo(0.003);
+    expect(tracker.getTokenPriceFromJupiter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should read concentrated liquidity prices from the sqrt price', async () => {
+    // sqrt(2) * 2^64: 2 quote units per base unit at equal decimals
+    const sqrtPriceX64 = BigInt(Math.round(Math.SQRT2 * Math.pow(2, 64)));
+    const pools = [{
+      pool: 'Clmm', baseMint: WSOL, quoteMint: MEME, baseReserve: 10, quoteReserve: 5,
+      baseDecimals: 9, quoteDecimals: 9, sqrtPriceX64
+    }];
+
+    const spot = await tracker.updateSpotPrice(MEME, pools);
+
+    expect(spot.price).toBeCloseTo(50); // 0.5 SOL per token at $100
+  });
+});
+
+describe('VolumeTracker price impact', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new VolumeTracker({});
+    jest.spyOn(tracker, 'getSOLPriceUSD').mockResolvedValue(100);
+  });
+
+  test('should quote buys and sells on the deepest constant product pool', async () => {
+    tracker.tokenLiquidity.set(MEME, {
+      pools: [
+        { pool: 'Shallow', dex: 'raydium_cpmm', baseMint: MEME, quoteMint: WSOL, baseReserve: 1000, quoteReserve: 0.1, liquidityUSD: 20 },
+        { pool: 'Deep', dex: 'raydium_amm_v4', baseMint: MEME, quoteMint: WSOL, baseReserve: 1000000, quoteReserve: 100, liquidityUSD: 20000 }
+      ]
+    });
+
+    const impact = await tracker.getPriceImpact(MEME, [1000]);
+    const [buy, sell] = impact.quotes;
+
+    expect(impact).toMatchObject({ pool: 'Deep', model: 'constant_product' });
+    // 10 SOL in after a 0.25% fee against 100 SOL / 1M tokens at $0.01
+    expect(buy.amountOut).toBeCloseTo(90702.43, 1);
+    expect(buy.priceImpactPct).toBeCloseTo(9.3, 1);
+    expect(sell.amountIn).toBeCloseTo(100000);
+    expect(sell.outputUSD).toBeCloseTo(907.02, 1);
+  });
+
+  test('should quote with the fee tier of a CPMM pool and the default without one', async () => {
+    // CPMM AmmConfig with a 1% trade fee (rate over 1,000,000 at offset 12)
+    const ammConfig = Buffer.alloc(236);
+    ammConfig.writeBigUInt64LE(BigInt(10000), 12);
+    tracker.connection = { getAccountInfo: jest.fn().mockResolvedValue({ data: ammConfig }) };
+    const pool = { pool: 'Cpmm', dex: 'raydium_cpmm', ammConfig: 'So11111111111111111111111111111111111111112' };
+
+    expect(await tracker.getPoolFeeRate(pool)).toBe(0.01);
+    expect(await tracker.getPoolFeeRate(pool)).toBe(0.01);
+    expect(tracker.connection.getAccountInfo).toHaveBeenCalledTimes(1);
+    expect(await tracker.getPoolFeeRate({ pool: 'Amm', dex: 'raydium_amm_v4' })).toBe(0.0025);
+  });
+
+  test('should approximate concentrated pools from the active range, capped at the vaults', async () => {
+    // CLMM AmmConfig with a 0.01% trade fee (u32 rate at offset 47)
+    const ammConfig = Buffer.alloc(117);
+    ammConfig.writeUInt32LE(100, 47);
+    tracker.connection = { getAccountInfo: jest.fn().mockResolvedValue({ data: ammConfig }) };
+    tracker.tokenLiquidity.set(MEME, {
+      pools: [{
+        pool: 'Clmm', dex: 'raydium_clmm', ammConfig: 'So11111111111111111111111111111111111111112',
+        baseMint: WSOL, quoteMint: MEME, baseDecimals: 9, quoteDecimals: 9, baseReserve: 20, quoteReserve: 5,
+        liquidity: BigInt(1e12), sqrtPriceX64: BigInt(Math.round(Math.SQRT2 * Math.pow(2, 64)))
+      }]
+    });
+
+    const impact = await tracker.getPriceImpact(MEME, [1000]);
+    const [buy, sell] = impact.quotes;
+
+    expect(impact).toMatchObject({ pool: 'Clmm', model: 'concentrated', feeRate: 0.0001 });
+    expect(impact.lowerBound).toBeUndefined();
+    // ~707 SOL / ~1414 tokens active would pay ~19.6 tokens for 10 SOL, the vault holds 5
+    expect(buy.amountOut).toBe(5);
+    expect(sell.amountOut).toBeCloseTo(9.86, 1);
+  });
+
+  test('should cap bonding curve quotes at the real reserves', async () => {
+    tracker.setCurveSpotPrice(MEME, 30, 1073000000, 100, 'Curve', { realSolReserves: 5, realTokenReserves: 200000000 });
+
+    const impact = await tracker.getPriceImpact(MEME, [1000]);
+    const [buy, sell] = impact.quotes;
+
+    expect(impact.model).toBe('bonding_curve');
+    expect(buy.amountOut).toBe(200000000);
+    expect(buy.priceImpactPct).toBeCloseTo(44.08, 1);
+    expect(sell.outputUSD).toBeCloseTo(500);
+    expect(await new VolumeTracker({}).getPriceImpact(MEME)).toBeNull();
+  });
+});
+
+describe('VolumeTracker rolling windows', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new VolumeTracker({});
+  });
+
+  test('should split volume by side and count unique wallets per window', async () => {
+    await tracker.recordTrade(MEME, 300, 'sig1', { side: 'buy', trader: 'WalletA', tokenAmount: 0 });
+    await tracker.recordTrade(MEME, 100, 'sig2', { side: 'sell', trader: 'WalletB', tokenAmount: 0 });
+    await tracker.recordTrade(MEME, 50, 'sig3', { side: 'buy', trader: 'WalletA', tokenAmount: 0 });
+
+    const windows = tracker.getVolumeWindows(MEME);
+
+    expect(Object.keys(windows)).toEqual(['5m', '1h', '6h', '24h']);
+    expect(windows['5m']).toEqual({
+      volume: 450,
+      buyVolume: 350,
+      sellVolume: 100,
+      trades: 3,
+      uniqueWallets: 2
+    });
+  });
+
+  test('should expire whole buckets as the window moves', () => {
+    const window = new RollingWindow(60000, 10000);
+    const start = 1700000000000;
+
+    window.add({ timestamp: start, amountUSD: 10, side: 'buy', wallet: 'A' });
+    window.add({ timestamp: start + 30000, amountUSD: 5, side: 'sell', wallet: 'B' });
+
+    expect(window.getStats(start + 50000).volume).toBe(15);
+
+    const later = window.getStats(start + 75000);
+    expect(later.volume).toBe(5);
+    expect(later.buyVolume).toBe(0);
+    expect(later.uniqueWallets).toBe(1);
+  });
+});
+
+describe('VolumeTracker candles', () => {
+  test('should build OHLCV candles and overwrite the oldest slot when the ring is full', () => {
+    const candles = new CandleSeries(60000, 3);
+    const start = 1700000040000 - (1700000040000 % 60000);
+
+    candles.add({ timestamp: start, price: 1, baseVolume: 10, quoteVolume: 10 });
+    candles.add({ timestamp: start + 1000, price: 3, baseVolume: 5, quoteVolume: 15 });
+    candles.add({ timestamp: start + 2000, price: 2, baseVolume: 5, quoteVolume: 10 });
+
+    expect(candles.getCandles()).toEqual([{
+      time: start, open: 1, high: 3, low: 1, close: 2, baseVolume: 20, quoteVolume: 35, trades: 3
+    }]);
+
+    candles.add({ timestamp: start + 60000, price: 4 });
+    candles.add({ timestamp: start + 180000, price: 5 });
+
+    // The first minute was overwritten, the empty third minute has no candle
+    expect(candles.getCandles().map(candle => candle.close)).toEqual([4, 5]);
+    expect(candles.getCandles(1)[0].time).toBe(start + 180000);
+  });
+
+  test('should query candles by mint and interval from recorded trades', async () => {
+    const tracker = new VolumeTracker({});
+
+    await tracker.recordTrade(MEME, 100, 'sig1', { side: 'buy', tokenAmount: 1000 });
+    await tracker.recordTrade(MEME, 300, 'sig2', { side: 'buy', tokenAmount: 2000 });
+
+    const [candle] = tracker.getCandles(MEME, '1h');
+    expect(candle.open).toBeCloseTo(0.1);
+    expect(candle.close).toBeCloseTo(0.15);
+    expect(candle.baseVolume).toBe(3000);
+    expect(candle.quoteVolume).toBe(400);
+    expect(tracker.getPriceChange(MEME, 5 * 60 * 1000)).toBeCloseTo(0.5);
+    expect(() => tracker.getCandles(MEME, '3m')).toThrow('Unsupported candle interval');
+  });
+});
\ No newline at end of file